@@ -0,0 +1,267 @@
+'use strict';
+
+import { logger, errorLogger } from '../log.js';
+import packagejson from '../package.json' with {type: 'json'}
+import { addFields, decode, getBookDetails, toIsoDate, coverUrl } from '../app/controller.js';
+import {
+  findBooks, countBooks, getStatistics, getAuthorsList, getSeriesList, getPublishersList, getTagsList, getCustomColumnDefinitions, getCustomColumns,
+  sortStrings, checkSearch
+} from '../app/model.js';
+import { libraries, currentLibrary, libraryBase } from '../app/libraries.js';
+
+const PAGE_LIMIT = parseInt(process.env.PAGE_LIMIT) || 30;
+const MAX_LIMIT = 100;
+
+// Listen unter /api/v1/<type>; filter = Parameter für /api/v1/books, count = Schlüssel in getStatistics()
+const listTypes = {
+  "authors": { "list": getAuthorsList, "count": "authors", "filter": "author" },
+  "series": { "list": getSeriesList, "count": "series", "filter": "serie" },
+  "publishers": { "list": getPublishersList, "count": "publishers", "filter": "publisher" },
+  "tags": { "list": getTagsList, "count": "tags", "filter": "tag" }
+};
+
+// Parameter von /api/v1/books und die zugehörigen Filter von findBooks/countBooks (kombinierbar)
+const bookFilters = {
+  "author": "authorsId",
+  "serie": "serieId",
+  "publisher": "publisherId",
+  "tag": "tagId"
+};
+
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Base functions ***********************
+
+function getId(value, name) {
+  if (value === undefined) return 0;
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) throw new ApiError(400, "invalid_parameter", "Parameter '" + name + "' must be a positive integer");
+  return id;
+}
+
+function getPaging(request) {  // page beginnt bei 1
+  const page = (request.query.page === undefined) ? 1 : getId(request.query.page, "page");
+  const limit = (request.query.limit === undefined) ? PAGE_LIMIT : getId(request.query.limit, "limit");
+  if (limit > MAX_LIMIT) throw new ApiError(400, "invalid_parameter", "Parameter 'limit' must not exceed " + MAX_LIMIT);
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+function getSort(request) {
+  const sort = request.query.sort;
+  if (sort === undefined || sort === "") return "";
+  if (sortStrings.indexOf(sort) < 0) throw new ApiError(400, "invalid_parameter", "Parameter 'sort' must be one of: " + sortStrings.join(", "));
+  return sort;
+}
+
+function pageUrl(request, page) {
+  const params = new URLSearchParams(request.query);
+  params.set('page', page);
+  return request.baseUrl + request.path + "?" + params.toString();
+}
+
+function sendList(request, response, data, total, paging) {
+  const pages = Math.max(Math.ceil(total / paging.limit), 1);
+  response.json({
+    data,
+    meta: { total, page: paging.page, limit: paging.limit, pages },
+    links: {
+      self: pageUrl(request, paging.page),
+      first: pageUrl(request, 1),
+      prev: (paging.page > 1) ? pageUrl(request, Math.min(paging.page - 1, pages)) : null,
+      next: (paging.page < pages) ? pageUrl(request, paging.page + 1) : null,
+      last: pageUrl(request, pages)
+    }
+  });
+}
+
+function bookLinks(base, book) {
+  const files = {};
+  book.formats.map((format) => { files[format] = libraryBase() + "/app/file/" + format + "/" + book.bookId });
+  return {
+    self: base + "/books/" + book.bookId,
+    html: libraryBase() + "/app/book/" + book.bookId,
+    cover: coverUrl("book", book),
+    thumbnail: coverUrl("list", book),
+    files
+  };
+}
+
+function toBookResource(base, book) {
+  return {
+    id: book.bookId,
+    title: book.title,
+    sort: book.sort,
+    authors: book.authors.map((author) => { return { id: author.authorsId, name: author.authorsName } }),
+    serie: (book.serie) ? { id: book.serie.seriesId, name: book.serie.seriesName, index: book.seriesIndex } : null,
+    tags: book.tags,
+    formats: book.formats,
+    sizes: book.sizes,
+    added: toIsoDate(book.timestamp),
+    published: toIsoDate(book.pubdate),
+    modified: toIsoDate(book.lastModified),
+    hasCover: Boolean(book.hasCover),
+    links: bookLinks(base, book)
+  };
+}
+
+// Rohwert einer benutzerdefinierten Spalte (Bewertung in halben Sternen 0-10 wie in Calibre)
+function customValue(column, row) {
+  switch (column.datatype) {
+    case 'bool':
+      return Boolean(row.value);
+    case 'datetime':
+      return toIsoDate(row.value);
+    case 'series':
+      return { name: decode(row.value), index: row.extra };
+    case 'int':
+    case 'float':
+    case 'rating':
+      return row.value;
+    default:
+      return decode(row.value);
+  }
+}
+
+// Actions **************************
+
+export async function indexAction(request, response) {
+  try {
+    (logger.isLevelEnabled('debug')) && logger.debug("*** api indexAction");
+    const base = request.baseUrl;
+    response.json({
+      data: {
+        name: packagejson.name, version: packagejson.version, user: request.user.name,
+        library: { id: currentLibrary().id, name: currentLibrary().name },
+        libraries: libraries.map((library) => { return { id: library.id, name: library.name, links: { self: "/lib/" + library.id + "/api/v1" } } }),
+        counts: getStatistics(), sort: sortStrings
+      },
+      links: {
+        books: base + "/books", authors: base + "/authors", series: base + "/series",
+        publishers: base + "/publishers", tags: base + "/tags", customcolumns: base + "/customcolumns"
+      }
+    });
+  }
+  catch (error) { errorHandler(error, response, 'api indexAction') }
+}
+
+export async function booksAction(request, response) {
+  try {
+    (logger.isLevelEnabled('debug')) && logger.debug("*** api booksAction: query=" + JSON.stringify(request.query));
+    const paging = getPaging(request);
+    const sortString = getSort(request);
+    const searchString = (typeof request.query.search === 'string') ? request.query.search : "";
+    const searchError = checkSearch(searchString);
+    if (searchError) throw new ApiError(400, "invalid_search", searchError);
+
+    const filters = { searchString };
+    for (let name in bookFilters) {
+      if (request.query[name] !== undefined) filters[bookFilters[name]] = getId(request.query[name], name);
+    }
+    if (request.query.cc !== undefined || request.query.ccValue !== undefined) {
+      if (request.query.cc === undefined || request.query.ccValue === undefined) throw new ApiError(400, "invalid_parameter", "Parameters 'cc' and 'ccValue' must be used together");
+      filters.ccNum = getId(request.query.cc, "cc");
+      filters.ccId = getId(request.query.ccValue, "ccValue");
+      if (!getCustomColumnDefinitions().find((cc) => cc.id === filters.ccNum && cc.browsable)) throw new ApiError(404, "not_found", "Custom column " + filters.ccNum + " not found");
+    }
+
+    const count = countBooks(filters);
+    if (count < 0) throw new Error("Database query failed");
+
+    const books = (count > 0 && paging.offset < count) ? addFields(findBooks(filters, sortString, paging.limit, paging.offset)) : [];
+    sendList(request, response, books.map((book) => toBookResource(request.baseUrl, book)), count, paging);
+  }
+  catch (error) { errorHandler(error, response, 'api booksAction') }
+}
+
+export async function bookAction(request, response) {
+  try {
+    (logger.isLevelEnabled('debug')) && logger.debug("*** api bookAction: params=" + JSON.stringify(request.params));
+    const book = getBookDetails(getId(request.params.id, "id"));
+    if (!book) throw new ApiError(404, "not_found", "Book " + request.params.id + " not found");
+
+    const data = toBookResource(request.baseUrl, Object.assign({}, book, { tags: book.tags.map((tag) => tag.tagName) }));
+    data.comment = book.comment || null;
+    data.publisher = (book.publisher) ? { id: book.publisher.id, name: book.publisher.name } : null;
+    data.rating = book.rating || null;
+    data.languages = book.languages.map((language) => language.code);
+    data.identifiers = book.identifiers.map((identifier) => { return { type: identifier.type, value: identifier.value, url: identifier.url } });
+    data.customValues = {};
+    book.customColumns.map((cc) => {
+      const values = cc.values.map((row) => customValue(cc, row));
+      data.customValues[cc.label] = (cc.isMultiple) ? values : values[0];
+    });
+    response.json({ data, links: { self: data.links.self } });
+  }
+  catch (error) { errorHandler(error, response, 'api bookAction') }
+}
+
+export async function listAction(request, response, next) {
+  try {
+    const type = listTypes[request.params.type];
+    if (!type) return next();
+    (logger.isLevelEnabled('debug')) && logger.debug("*** api listAction: type=" + request.params.type + ", query=" + JSON.stringify(request.query));
+
+    const paging = getPaging(request);
+    const total = getStatistics()[type.count] || 0;
+    const data = type.list(paging.limit, paging.offset).map((item) => {
+      return { id: item.id, name: decode(item.name), count: item.count, links: { books: request.baseUrl + "/books?" + type.filter + "=" + item.id } };
+    });
+    sendList(request, response, data, total, paging);
+  }
+  catch (error) { errorHandler(error, response, 'api listAction') }
+}
+
+export async function customColumnsAction(request, response) {
+  try {
+    (logger.isLevelEnabled('debug')) && logger.debug("*** api customColumnsAction");
+    const data = getCustomColumnDefinitions().map((cc) => {
+      const resource = { id: cc.id, label: cc.label, name: cc.name, datatype: cc.datatype, isMultiple: cc.isMultiple, browsable: cc.browsable };
+      if (cc.browsable) resource.links = { values: request.baseUrl + "/customcolumns/" + cc.id };
+      return resource;
+    });
+    response.json({ data, links: { self: request.baseUrl + "/customcolumns" } });
+  }
+  catch (error) { errorHandler(error, response, 'api customColumnsAction') }
+}
+
+export async function customColumnAction(request, response) {
+  try {
+    (logger.isLevelEnabled('debug')) && logger.debug("*** api customColumnAction: params=" + JSON.stringify(request.params));
+    const ccNum = getId(request.params.ccNum, "ccNum");
+    const column = getCustomColumnDefinitions().find((cc) => cc.id === ccNum && cc.browsable);
+    if (!column) throw new ApiError(404, "not_found", "Custom column " + ccNum + " not found");
+
+    const data = getCustomColumns(ccNum).map((cc) => {
+      return { id: cc.id, value: (column.datatype === 'rating') ? cc.value : decode(String(cc.value)), links: { books: request.baseUrl + "/books?cc=" + ccNum + "&ccValue=" + cc.id } };
+    });
+    response.json({ data, meta: { id: column.id, label: column.label, name: column.name, datatype: column.datatype }, links: { self: request.baseUrl + "/customcolumns/" + ccNum } });
+  }
+  catch (error) { errorHandler(error, response, 'api customColumnAction') }
+}
+
+export async function notFoundAction(request, response) {
+  sendError(response, new ApiError(404, "not_found", "Unknown API endpoint " + request.method + " " + request.originalUrl));
+}
+
+// Helper functions ***********************
+
+function sendError(response, error) {
+  response.status(error.status).json({ error: { status: error.status, code: error.code, message: error.message } });
+}
+
+function errorHandler(error, response, actionName) {
+  if (error instanceof ApiError) {
+    (logger.isLevelEnabled('debug')) && logger.debug(actionName + ": " + error.status + " " + error.message);
+    sendError(response, error);
+    return;
+  }
+  logger.error("Cassis: Internal server error in '" + actionName + "': " + error.message);
+  errorLogger(error);
+  sendError(response, new ApiError(500, "internal_error", "Internal server error"));
+}
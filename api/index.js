@@ -0,0 +1,20 @@
+'use strict';
+
+import { Router } from 'express';
+
+import {
+  indexAction, booksAction, bookAction, listAction, customColumnsAction, customColumnAction, notFoundAction
+} from './controller.js';
+
+const router = Router();
+
+// JSON-API v1, Antworten: { data, meta, links } bzw. { error: { status, code, message } }
+router.get('/', indexAction);
+router.get('/books', booksAction);
+router.get('/books/:id', bookAction);
+router.get('/customcolumns', customColumnsAction);
+router.get('/customcolumns/:ccNum', customColumnAction);
+router.get('/:type', listAction);
+router.use(notFoundAction);
+
+export { router };
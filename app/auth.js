@@ -0,0 +1,188 @@
+'use strict';
+
+import { logger, errorLogger } from '../log.js';
+import { countUsers, createUser, checkLogin, createSession, getSessionUser, removeSession, getRules, getTokenUser, checkSyncKey, getKoboToken, getUserLanguage } from './usermodel.js';
+import { restrictionContext } from './restrictions.js';
+import { getLibrary, runInLibrary } from './libraries.js';
+import { t, setLanguageCookie } from './i18n.js';
+
+const AUTH_ENABLED = process.env.AUTH !== "false";
+const SESSION_COOKIE = "cassis_session";
+const LOCAL_ORIGIN = "http://cassis.invalid";  // Basis zum Prüfen der Weiterleitung nach der Anmeldung (safeNext)
+
+// Ohne Anmeldung (AUTH=false) hat jeder Zugriff alle Rechte - wie bisher
+const ANONYMOUS = { id: 0, name: "", role: "admin" };
+
+if (!AUTH_ENABLED) {
+  logger.warn("Authentication is disabled (AUTH=false)");
+} else if (countUsers() === 0) {
+  if (process.env.ADMIN_PASSWORD) {
+    createUser(process.env.ADMIN_USER || "admin", process.env.ADMIN_PASSWORD, "admin");
+  } else {
+    logger.warn("No users found: set ADMIN_USER/ADMIN_PASSWORD or create an admin with 'node users.js add <name> <password> admin'");
+  }
+}
+
+// Base functions ***********************
+
+function basicUser(request) {
+  const header = request.get('authorization');
+  if (!header || !header.startsWith('Basic ')) return null;
+
+  // checkLogin liest Benutzer und Rolle bei jedem Request, die teure Passwortprüfung merkt sich usermodel.js
+  const credentials = Buffer.from(header.substring(6), 'base64').toString('utf8');
+  const separator = credentials.indexOf(':');
+  if (separator < 0) return null;
+  return checkLogin(credentials.substring(0, separator), credentials.substring(separator + 1));
+}
+
+// KOReader-Sync: Benutzername und MD5 des Sync-Passworts in x-auth-user/x-auth-key
+function syncUser(request) {
+  const name = request.get('x-auth-user');
+  const key = request.get('x-auth-key');
+  if (!name || !key) return null;
+  return checkSyncKey(name, key);
+}
+
+function bearerUser(request) {
+  const header = request.get('authorization');
+  if (!header || !header.startsWith('Bearer ')) return null;
+  return getTokenUser(header.substring(7).trim());
+}
+
+function identify(request) {
+  if (!AUTH_ENABLED) return ANONYMOUS;
+  const token = request.cookies && request.cookies[SESSION_COOKIE];
+  return (token && getSessionUser(token)) || basicUser(request) || bearerUser(request);
+}
+
+function proceed(request, response, next, user) {
+  request.user = response.locals.user = user;
+  restrictionContext.run((user.id) ? getRules(user.id) : [], next);
+}
+
+function loginUrl(request) {
+  return "/login?next=" + encodeURIComponent(request.originalUrl);
+}
+
+// Middleware **************************
+
+// Browser-Seitenaufrufe werden zur Anmeldung umgeleitet, fetch-Aufrufe der SPA erhalten 401,
+// alle anderen (E-Reader-Apps über OPDS, Downloads, Cover) werden zur Basic-Auth aufgefordert.
+export function authenticate(request, response, next) {
+  try {
+    const user = identify(request);
+    if (user) return proceed(request, response, next, user);
+
+    (logger.isLevelEnabled('debug')) && logger.debug("authenticate: unauthorized request to " + request.originalUrl);
+    if (request.xhr) {
+      response.status(401).json({ login: "/login" });
+    } else if (request.method === 'GET' && (request.get('accept') || "").includes('text/html') && !request.get('authorization')) {
+      response.redirect(loginUrl(request));
+    } else {
+      response.set('WWW-Authenticate', 'Basic realm="Cassis", charset="UTF-8"');
+      response.sendStatus(401);
+    }
+  }
+  catch (error) { errorLogger(error); response.sendStatus(500); }
+}
+
+// JSON-API: Session, Basic Auth oder API-Token ("Authorization: Bearer <token>")
+export function authenticateApi(request, response, next) {
+  try {
+    const user = identify(request);
+    if (user) return proceed(request, response, next, user);
+
+    (logger.isLevelEnabled('debug')) && logger.debug("authenticateApi: unauthorized request to " + request.originalUrl);
+    response.set('WWW-Authenticate', 'Bearer realm="Cassis"');
+    response.status(401).json({ error: { status: 401, code: "unauthorized", message: "Authentication required" } });
+  }
+  catch (error) { errorLogger(error); response.sendStatus(500); }
+}
+
+// KOReader-Sync (kosync): eigene Zugangsdaten, unabhängig von AUTH=false, Fehler im Format des kosync-Servers
+export function authenticateSync(request, response, next) {
+  try {
+    const user = syncUser(request);
+    if (user) return proceed(request, response, next, user);
+
+    logger.warn("authenticateSync: unauthorized sync request for user '" + (request.get('x-auth-user') || "") + "' from " + request.ip);
+    response.status(401).json({ code: 2001, message: "Unauthorized" });
+  }
+  catch (error) { errorLogger(error); response.sendStatus(500); }
+}
+
+// Kobo-Sync: das Token im Pfad (/kobo/<token>/...) bestimmt Benutzer, Bibliothek und Filter (request.kobo)
+export function authenticateKobo(request, response, next) {
+  try {
+    const kobo = getKoboToken(request.params.token);
+    const library = kobo && getLibrary(kobo.library);
+    if (kobo && library) {
+      request.kobo = kobo;
+      return runInLibrary(library, () => proceed(request, response, next, kobo.user));
+    }
+
+    logger.warn("authenticateKobo: unknown Kobo token from " + request.ip);
+    response.sendStatus(401);
+  }
+  catch (error) { errorLogger(error); response.sendStatus(500); }
+}
+
+export function requireAdmin(request, response, next) {
+  if (request.user && request.user.role === 'admin') return next();
+  logger.warn("requireAdmin: access denied to " + request.originalUrl + " for user '" + (request.user && request.user.name) + "'");
+  response.status(403).json({ state: false, msg: t("app.noPermission") });
+}
+
+// Actions **************************
+
+export async function loginPageAction(request, response) {
+  try {
+    if (!AUTH_ENABLED) { response.redirect('/app'); return; }
+    response.render(import.meta.dirname + '/views/login', { next: safeNext(request.query.next), failed: false });
+  }
+  catch (error) { errorLogger(error); response.sendStatus(500); }
+}
+
+export async function loginAction(request, response) {
+  try {
+    const name = (request.body.name || "").trim();
+    const next = safeNext(request.body.next);
+    const user = checkLogin(name, request.body.password || "");
+    if (!user) {
+      logger.warn("loginAction: login failed for user '" + name + "' from " + request.ip);
+      response.status(401).render(import.meta.dirname + '/views/login', { next, failed: true, name });
+      return;
+    }
+    const session = createSession(user.id);
+    response.cookie(SESSION_COOKIE, session.token, { httpOnly: true, sameSite: 'lax', secure: request.secure, expires: session.expires });
+    // gespeicherte Sprache des Benutzers gilt auch auf anderen Geräten
+    const language = getUserLanguage(user.id);
+    if (language) setLanguageCookie(request, response, language);
+    logger.info("loginAction: user '" + user.name + "' logged in");
+    response.redirect(next);
+  }
+  catch (error) { errorLogger(error); response.sendStatus(500); }
+}
+
+export async function logoutAction(request, response) {
+  try {
+    const token = request.cookies && request.cookies[SESSION_COOKIE];
+    if (token) removeSession(token);
+    response.clearCookie(SESSION_COOKIE);
+    response.redirect('/login');
+  }
+  catch (error) { errorLogger(error); response.sendStatus(500); }
+}
+
+// Helper functions ***********************
+
+function safeNext(next) {
+  // nur lokale Ziele zulassen: Browser machen aus "/\\host" oder "/\t/host" ein "//host" auf einem fremden Server
+  if (typeof next !== 'string' || !next.startsWith('/')) return '/app';
+  try {
+    const url = new URL(next, LOCAL_ORIGIN);
+    const path = url.pathname + url.search + url.hash;
+    return (url.origin === LOCAL_ORIGIN && !path.startsWith('//')) ? path : '/app';
+  } catch (error) { return '/app'; }
+}
@@ -0,0 +1,48 @@
+'use strict';
+
+import sharp from 'sharp';
+
+import { listZip, readZipEntry } from './zip.js';
+import { getPdfPages, readPdfPage } from './pdf.js';
+import { imageFormats } from './covercache.js';
+
+// Comics (CBZ): die Bilder im Archiv sind die Seiten, in natürlicher Sortierung ihrer Namen (Seite 2 vor Seite 10).
+// PDF: je Seite das eingebettete ganzseitige Bild (gescannte Comics und Zeitschriften, s. pdf.js), die Seiten heißen 0, 1, ...
+// CBR (RAR) und CB7 (7-Zip) brauchen einen Entpacker, den es in Node.js nicht gibt, und werden nicht angezeigt.
+export const comicFormats = ["cbz", "pdf"];
+
+// Seitenbreiten, auf die angeforderte Breiten aufgerundet werden (begrenzt die Varianten im Browser-Cache)
+export const comicWidths = [200, 800, 1200, 1600, 2400];
+
+const pageExtensions = /\.(jpe?g|png|gif|webp|avif)$/i;
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// Exported functions **************************************
+
+// angeforderte Breite -> nächstgrößere Breite aus comicWidths
+export function comicWidth(width) {
+  return comicWidths.find((size) => size >= width) || comicWidths[comicWidths.length - 1];
+}
+
+// Seiten eines Comics ({ format, file }) in Lesereihenfolge
+export async function getComicPages(comic) {
+  if (comic.format === "pdf") return (await getPdfPages(comic.file)).map((page, index) => index);
+  return (await listZip(comic.file))
+    .map((entry) => entry.name)
+    .filter((name) => pageExtensions.test(name) && !name.startsWith("__MACOSX/") && !name.split("/").pop().startsWith("."))
+    .sort(collator.compare);
+}
+
+// Seite verkleinert auf die Breite (aus comicWidths), als JPEG oder WebP
+export async function renderComicPage(comic, name, width, format) {
+  if (comic.format === "pdf") {
+    const page = await readPdfPage(comic.file, name);
+    if (!page) return null;
+    // Drehung aus dem Seitenbaum statt EXIF
+    return sharp(page.data, (page.raw) ? { raw: page.raw } : {}).rotate(page.rotate).resize({ width, withoutEnlargement: true })
+      .toFormat(format, imageFormats[format].options).toBuffer();
+  }
+  const data = await readZipEntry(comic.file, name);
+  if (!data) return null;
+  return sharp(data).rotate().resize({ width, withoutEnlargement: true }).toFormat(format, imageFormats[format].options).toBuffer();
+}
@@ -1,40 +1,177 @@
 'use strict';
 
 import fs from 'fs-extra';
-import sharp from 'sharp';
 
 import { logger, consoleTransport, fileTransport, errorLogger, log_levels } from '../log.js';
 import packagejson from '../package.json' with {type: 'json'}
 import {
-  findBooks, countBooks, findBooksWithTags, countBooksWithTags, findBooksWithCC, countBooksWithCC, findBooksBySerie, countBooksBySerie,
-  findBooksByAuthor, countBooksByAuthor, getSeriesOfBooks, getAuthorsOfBooks, getFormatsOfBooks, getPublisherOfBooks, getTagsOfBooks, getBook,
-  getCoverData, getFileData, getStatistics, connectDb, unconnectDb, getCustomColumnOfBooks, getTags, getCustomColumns, getTagsStatistics,
-  getAuthorsStatistics, getSeriesStatistics, getPublishersStatistics
+  findBooks, countBooks, getFilterNames, getSeriesOfBooks, getAuthorsOfBooks, getFormatsOfBooks, getPublisherOfBooks, getTagsOfBooks, getBook,
+  getCoverData, getFileData, getStatistics, connectDb, unconnectDb, getCustomColumnsOfBook, getCustomColumnDefinitions, getTags, getCustomColumns, getTagsStatistics,
+  getAuthorsStatistics, getSeriesStatistics, getPublishersStatistics, checkSearch, getLanguagesOfBooks, getIdentifiersOfBooks,
+  libraryEvents, getLatestTimestamp, countBooksAddedSince
 } from './model.js';
+import { restrictionContext } from './restrictions.js';
+import { libraries, libraryContext, currentLibrary, libraryBase } from './libraries.js';
+import { getCachedCover, getCachedFile, cacheDir, lockCachedFile, startCoverPrecache, coverFormat, coverScales, imageFormats } from './covercache.js';
+import { sendCached, sendAndCache, clearResponseCache } from './responsecache.js';
+import { t, currentLanguage, currentLocale, clientMessages, languageOptions, isLanguage, setLanguageCookie, LANGUAGE_COOKIE } from './i18n.js';
+import { getEpubStructure, sanitizeEntryName } from './epub.js';
+import { readZipEntry, createZipWriter } from './zip.js';
+import { convertToKepub } from './kepub.js';
+import { embedMetadata } from './opf.js';
+import { comicFormats, comicWidths, comicWidth, getComicPages, renderComicPage } from './comic.js';
+import { mailEnabled, mailFormats, maxAttachmentSize, isMailAddress, sendMail } from './mailer.js';
+import { partialMD5, filenameHash, syncKey } from './kosync.js';
+import {
+  getRecipients, getRecipient, saveRecipient, deleteRecipient, logDelivery, getDeliveries,
+  logDownload, getDownloadCount, getDownloadTotal, getMostDownloaded, getRecentlyDownloaded,
+  bookStates, getBookStates, getStateBooks, setBookState, getShelves, getShelf, getShelvesOfBook, getShelfBooks,
+  createShelf, deleteShelf, setShelfBook, getStateModified, exportBookStates,
+  setSyncKey, hasSyncKey, getLatestProgress, getProgressModified, saveDocument, getDocumentsOfBook, createKoboToken, getKoboTokens, deleteKoboToken, setUserLanguage
+} from './usermodel.js';
 
 const appInfo = {
   "version": packagejson.name.toUpperCase() + ", Version " + packagejson.version + " (2024)",
   "author": packagejson.author + " (License " + packagejson.license + ")"
 };
 
-const BOOKDIR = process.env.BOOKDIR || process.env.HOME + "/Documents/Calibre"
-const IMGCACHE = process.env.IMGCACHE || "./Cache";
 const PAGE_LIMIT = parseInt(process.env.PAGE_LIMIT) || 30;
+const IDENTIFIER_LINKS = process.env.IDENTIFIER_LINKS || "./data/identifier-links.json";
+const EMBED_METADATA = process.env.EMBED_METADATA !== "false";
+const BASE_URL = (process.env.BASE_URL || "").replace(/\/+$/, "");  // öffentliche Adresse, z.B. https://books.example.org
+const DOWNLOAD_LIST_LIMIT = 100;
+const DOWNLOAD_POPUP_LIMIT = 20;
+
+// Listen aus der Cassis-Datenbank (Filter "listType"), kombinierbar mit den anderen Filtern; Wert = Schlüssel der Bezeichnung
+const listTypes = {
+  "downloads": "list.types.downloads",
+  "recent": "list.types.recent",
+  "favorites": "list.types.favorites",
+  "unread": "list.types.unread",
+  "shelf": "list.types.shelf"
+};
 
-// Bookdir einrichten:
-logger.info("Calibre e-book directory found at " + BOOKDIR);
-fs.existsSync(BOOKDIR, (error, exists) => {
-  if (error) { errorLogger(error); process.exit(1) }
-})
+// Links für Identifikatoren (ISBN, ASIN ...), "{id}" wird durch den Wert ersetzt.
+// Eigene Einträge in IDENTIFIER_LINKS ergänzen oder ersetzen diese, "url": null schaltet einen Link ab.
+const identifierLinks = {
+  "isbn": { "name": "ISBN", "url": "https://www.worldcat.org/isbn/{id}" },
+  "issn": { "name": "ISSN", "url": "https://www.worldcat.org/issn/{id}" },
+  "amazon": { "name": "Amazon", "url": "https://www.amazon.com/dp/{id}" },
+  "amazon_de": { "name": "Amazon.de", "url": "https://www.amazon.de/dp/{id}" },
+  "mobi-asin": { "name": "ASIN", "url": "https://www.amazon.com/dp/{id}" },
+  "google": { "name": "Google Books", "url": "https://books.google.com/books?id={id}" },
+  "goodreads": { "name": "Goodreads", "url": "https://www.goodreads.com/book/show/{id}" },
+  "openlibrary": { "name": "Open Library", "url": "https://openlibrary.org/books/{id}" },
+  "doi": { "name": "DOI", "url": "https://doi.org/{id}" }
+};
+if (fs.existsSync(IDENTIFIER_LINKS)) {
+  try {
+    Object.assign(identifierLinks, fs.readJsonSync(IDENTIFIER_LINKS));
+    logger.info("Identifier links loaded from " + IDENTIFIER_LINKS);
+  } catch (error) { errorLogger(error) }
+}
 
-// Image-Cache einrichten:
-logger.info("Cache for bookcovers found at " + IMGCACHE);
-fs.ensureDirSync(IMGCACHE, (error, exists) => {
-  if (error) { errorLogger(error); process.exit(1) }
-})
+// Bookdir der Bibliotheken einrichten:
+for (let library of libraries) {
+  logger.info("Calibre e-book directory found at " + library.bookDir + " (library '" + library.id + "')");
+  fs.existsSync(library.bookDir, (error, exists) => {
+    if (error) { errorLogger(error); process.exit(1) }
+  })
+}
+
+startCoverPrecache();
 
 // Base functions ***********************
 
+// Filter der Bücherliste aus den Optionen des Clients (s. app.js), alle kombinierbar
+function getFilters(options) {
+  const id = (value) => (!value || isNaN(value)) ? 0 : parseInt(value, 10);
+  return {
+    searchString: (typeof options.searchString === 'string') ? options.searchString : "",
+    tagId: id(options.tagId),
+    ccNum: id(options.ccNum),
+    ccId: id(options.ccId),
+    authorsId: id(options.authorsId),
+    serieId: id(options.serieId),
+    publisherId: id(options.publisherId),
+    listType: (Object.hasOwn(listTypes, options.listType)) ? options.listType : "",
+    shelfId: (options.listType === "shelf") ? id(options.shelfId) : 0
+  };
+}
+
+// Bücher der Liste (listType) als Filter bookIds, in der Reihenfolge der Liste; "Zuletzt geladen" zeigt die eigenen Downloads.
+// Favoriten, Ungelesen und Regale gehören dem angemeldeten Benutzer (ohne Anmeldung: leer bzw. alle Bücher).
+function resolveListType(filters, user) {
+  const library = currentLibrary().id;
+  switch (filters.listType) {
+    case "downloads":
+      return Object.assign({}, filters, { bookIds: getMostDownloaded(library, DOWNLOAD_LIST_LIMIT).map((row) => row.book) });
+    case "recent":
+      return Object.assign({}, filters, { bookIds: getRecentlyDownloaded(library, user.id, DOWNLOAD_LIST_LIMIT).map((row) => row.book) });
+    case "favorites":
+      return Object.assign({}, filters, { bookIds: (user.id) ? getStateBooks(user.id, library, "favorite") : [] });
+    case "unread":
+      return Object.assign({}, filters, { excludeBookIds: (user.id) ? getStateBooks(user.id, library, "read") : [] });
+    case "shelf": {
+      const shelf = (user.id) ? getShelf(user.id, filters.shelfId) : null;
+      return Object.assign({}, filters, { bookIds: (shelf && shelf.library === library) ? getShelfBooks(shelf.id) : [] });
+    }
+    default:
+      return filters;
+  }
+}
+
+// Gelesen/Favorit des Benutzers an den Büchern der Liste (Markierungen in booklist.pug)
+function addBookStates(books, user) {
+  if (!user.id || books.length === 0) return books;
+  const states = getBookStates(user.id, currentLibrary().id, books.map((book) => book.bookId));
+  for (let book of books) {
+    const state = states.find((state) => state.book == book.bookId);
+    book.state = { read: Boolean(state && state.read), favorite: Boolean(state && state.favorite) };
+  }
+  return books;
+}
+
+// Anzeige der gesetzten Filter als entfernbare "Chips" über der Bücherliste
+function getFilterChips(filters, user) {
+  const names = getFilterNames(filters);
+  const chips = [];
+  if (filters.searchString.trim()) chips.push({ key: "searchString", label: t("list.chips.search", { value: filters.searchString }) });
+  if (names.tagId) chips.push({ key: "tagId", label: t("list.chips.genre", { value: decode(names.tagId) }) });
+  if (names.ccId) chips.push({ key: "ccId", label: names.ccId.column.name + ": " + formatCustomValue(names.ccId.column, names.ccId) });
+  if (names.authorsId) chips.push({ key: "authorsId", label: t("list.chips.author", { value: decode(names.authorsId) }) });
+  if (names.serieId) chips.push({ key: "serieId", label: t("list.chips.serie", { value: decode(names.serieId) }) });
+  if (names.publisherId) chips.push({ key: "publisherId", label: t("list.chips.publisher", { value: decode(names.publisherId) }) });
+  if (filters.listType === "shelf") {
+    const shelf = (user.id) ? getShelf(user.id, filters.shelfId) : null;
+    chips.push({ key: "listType", label: t("list.chips.shelf", { value: (shelf) ? shelf.name : "?" }) });
+  } else if (filters.listType) {
+    chips.push({ key: "listType", label: t("list.chips.list", { value: t(listTypes[filters.listType]) }) });
+  }
+  return chips;
+}
+
+// Optionen der Bücherliste/Buchseite: GET mit Query-Parametern (bedingte Anfragen möglich) oder POST mit JSON
+function requestOptions(request) {
+  return (request.method === 'GET') ? request.query : request.body;
+}
+
+// cacheOptions: normalisierte Optionen als Schlüssel des Antwort-Caches, ohne sie wird nicht zwischengespeichert
+function renderBooklist(request, response, data, cacheOptions) {
+  Object.assign(data, { formatSize, coverUrl, coverSrcset });
+  response.render(import.meta.dirname + '/views/booklist', data, function (error, html) {
+    if (error) {
+      errorHandler(error, response, 'render booklist page');
+    } else if (cacheOptions) {
+      sendAndCache(request, response, 'list', cacheOptions, { html });
+    } else {
+      response.removeHeader('ETag');
+      response.removeHeader('Last-Modified');
+      response.set('Cache-Control', 'no-store').send({ html });
+    }
+  });
+}
+
 function getPageNavigation(page, count) {
   if (count <= PAGE_LIMIT) return { size: count };
 
@@ -52,7 +189,55 @@ function getPageNavigation(page, count) {
   }
 }
 
-function addFields(books) {
+// Sind Filter gesetzt (Serie, Autor, Suche ...)? Ohne Filter gibt es keinen Download der ganzen Bibliothek als ZIP.
+function hasFilters(filters) {
+  return Boolean(filters.searchString.trim() || filters.listType) || Object.keys(filters).some((key) => filters[key] > 0);
+}
+
+// "Alle herunterladen" über der gefilterten Liste: je Format die Zahl der Bücher und die Adresse des ZIP (s. zipAction)
+function getBundle(filters, sortString) {
+  const books = findBooks(filters, sortString, -1, 0);
+  if (books.length < 2) return null;
+  const formats = getFormatsOfBooks(books.map((book) => book.bookId).toString());
+  const counts = {};
+  for (let format of formats) counts[decode(format.name)] = (counts[decode(format.name)] || 0) + 1;
+  if (counts["epub"] && !counts["kepub"]) counts["kepub"] = counts["epub"];
+  const query = new URLSearchParams(Object.entries(Object.assign({}, filters, { sortString }))
+    .filter(([key, value]) => key !== "bookIds" && value && String(value).trim()).map(([key, value]) => [key, String(value)])).toString();
+  return {
+    count: books.length,
+    formats: addVirtualFormats(Object.keys(counts).filter((format) => format !== "kepub")).map((format) => ({ format, count: counts[format] })),
+    url: (format) => libraryBase() + "/app/zip/" + format + "?" + query
+  };
+}
+
+// Dateinamen im ZIP: "<Serie> 03 - <Titel>.epub", innerhalb einer Serie nur "03 - <Titel>.epub"
+function bundleNames(books, format, filters) {
+  const series = getSeriesOfBooks(books.map((book) => book.bookId).toString());
+  const digits = Math.max(2, ...books.map((book) => String(Math.floor(book.seriesIndex || 0)).length));
+  const used = new Set();
+  return books.map((book) => {
+    const serie = series.find((serie) => serie.bookId == book.bookId);
+    let name = safeFileName(decode(book.title)) || String(book.bookId);
+    if (serie) {
+      const [whole, fraction] = String(book.seriesIndex ?? "").split(".");
+      const index = (whole || "0").padStart(digits, "0") + ((fraction) ? "." + fraction : "");
+      name = ((filters.serieId) ? "" : safeFileName(decode(serie.seriesName)) + " ") + index + " - " + name;
+    }
+    let unique = name;
+    for (let i = 2; used.has(unique.toLowerCase()); i++) unique = name + " (" + i + ")";
+    used.add(unique.toLowerCase());
+    return unique + "." + ((format === "kepub") ? "kepub.epub" : format);
+  });
+}
+
+// Virtuelle Formate: KEPUB für Kobo-Reader wird bei Bedarf aus dem EPUB erzeugt (s. bookFile)
+function addVirtualFormats(formats) {
+  if (formats.includes("epub") && !formats.includes("kepub")) formats.splice(formats.indexOf("epub") + 1, 0, "kepub");
+  return formats;
+}
+
+export function addFields(books) {
 
   if (books.length > 0) {
     const bookIdString = books.map((book) => book.bookId).toString();
@@ -66,7 +251,9 @@ function addFields(books) {
 
     const formats = getFormatsOfBooks(bookIdString);
     books.map((book) => {
-      book.formats = formats.filter((format) => format.bookId == book.bookId).map((format) => decode(format.name));
+      const bookFormats = formats.filter((format) => format.bookId == book.bookId);
+      book.formats = addVirtualFormats(bookFormats.map((format) => decode(format.name)));
+      book.sizes = Object.fromEntries(bookFormats.map((format) => [decode(format.name), format.size]));
     })
 
     const series = getSeriesOfBooks(bookIdString);
@@ -84,6 +271,63 @@ function addFields(books) {
   return (books);
 }
 
+export function getBookDetails(bookId) {
+  const book = getBook(bookId);
+  if (!book) return null;
+
+  const formats = getFormatsOfBooks(bookId);
+  book.formats = addVirtualFormats(formats.map((format) => decode(format.name)));
+  book.sizes = Object.fromEntries(formats.map((format) => [decode(format.name), format.size]));
+
+  const languageNames = new Intl.DisplayNames(currentLanguage(), { type: 'language' });
+  book.languages = getLanguagesOfBooks(bookId).map((language) => {
+    let name = language.code;
+    try { name = languageNames.of(language.code) } catch (error) { }  // unbekannter Code: Code anzeigen
+    return { code: language.code, name };
+  });
+
+  book.identifiers = getIdentifiersOfBooks(bookId).map((identifier) => {
+    const link = identifierLinks[identifier.type.toLowerCase()] || {};
+    return {
+      type: identifier.type, value: identifier.value, name: link.name || identifier.type,
+      url: (link.url) ? link.url.replaceAll("{id}", encodeURIComponent(identifier.value)) : null
+    };
+  });
+
+  const authors = getAuthorsOfBooks(bookId);
+  book.authors = authors.map((author) => {
+    author.authorsName = decode(author.authorsName); return author
+  });
+
+  const publisher = getPublisherOfBooks(bookId)[0];
+  if (publisher) { publisher.name = decode(publisher.name); book.publisher = publisher }
+
+  const tags = getTagsOfBooks(bookId);
+  for (let t in tags) {
+    tags[t].tagName = decode(tags[t].tagName);
+  }
+  book.tags = tags
+
+  book.customColumns = getCustomColumnsOfBook(bookId).map((cc) => {
+    return {
+      id: cc.column.id, label: cc.column.label, name: cc.column.name, datatype: cc.column.datatype, isMultiple: cc.column.isMultiple, browsable: cc.column.browsable,
+      html: cc.column.datatype === 'comments' && (cc.column.display.interpret_as || 'html') === 'html',
+      values: cc.values.map((row) => { return { id: row.id, value: row.value, extra: row.extra, text: formatCustomValue(cc.column, row) } })
+    }
+  });
+
+  const series = getSeriesOfBooks(bookId);
+  if (series[0]) { series[0].seriesName = decode(series[0].seriesName); book.serie = series[0] }
+  if (book.pubdate && book.pubdate.substr(0, 1) == "0") { book.pubdate = null };
+  book.hasCover = Boolean(book.hasCover);
+  book.ratingText = (book.rating) ? formatRating(book.rating, true) : "";
+  book.published = formatDate(book.pubdate);
+  book.added = formatDate(book.timestamp);
+  book.modified = formatDate(book.lastModified);
+
+  return book;
+}
+
 // Actions **************************
 
 export async function startAction(request, response) {
@@ -91,184 +335,105 @@ export async function startAction(request, response) {
   try {
     const type = request.params.type;
     const id = request.params.id;
-    response.render(import.meta.dirname + '/views/start', { "type": type, "id": id });
+    const customColumns = getCustomColumnDefinitions().filter((column) => column.browsable);
+    const messages = JSON.stringify(clientMessages()).replace(/</g, "\\u003c");
+    response.render(import.meta.dirname + '/views/start', { "type": type, "id": id, "user": request.user, customColumns, messages });
   }
   catch (error) { errorHandler(error, response, 'startAction') }
 }
 
 export async function listAction(request, response) {
   try {
-    const options = request.body;
+    const options = requestOptions(request);
     (logger.isLevelEnabled('debug')) && logger.debug("*** listAction: options=" + JSON.stringify(options));
 
     const page = (!options.page || isNaN(options.page)) ? 0 : parseInt(options.page, 10);
     const sortString = (!options.sortString) ? "" : options.sortString;
-    const type = options.type || request.params.type;
-
-    let books = {};
-    let count = 0;
-
-    switch (type) {
-      case "serie":
-        const seriesId = (!options.serieId || isNaN(options.serieId)) ? 0 : parseInt(options.serieId, 10);
-        count = countBooksBySerie(seriesId);
-        if (count !== 0)
-          books = findBooksBySerie(seriesId, sortString, PAGE_LIMIT, page * PAGE_LIMIT);
-        break;
-
-      case "author":
-        const authorsId = (!options.authorsId || isNaN(options.authorsId)) ? 0 : parseInt(options.authorsId, 10);
-        count = countBooksByAuthor(authorsId);
-        if (count !== 0)
-          books = findBooksByAuthor(authorsId, sortString, PAGE_LIMIT, page * PAGE_LIMIT);
-        break
-
-      default:
-        const tagId = (!options.tagId || isNaN(options.tagId)) ? 0 : parseInt(options.tagId, 10);
-        const ccNum = (!options.ccNum || isNaN(options.ccNum)) ? 0 : parseInt(options.ccNum, 10);
-        const ccId = (!options.ccId || isNaN(options.ccId)) ? 0 : parseInt(options.ccId, 10);
-
-        if (tagId && tagId > 0) {
-          (logger.isLevelEnabled('debug')) && logger.debug("listAction: tagId: " + tagId);
-          count = countBooksWithTags(options.searchString, tagId);
-          if (count !== 0) books = findBooksWithTags(options.searchString, sortString, tagId, PAGE_LIMIT, page * PAGE_LIMIT);
-
-        } else {
-          if (ccNum && ccNum > 0) {
-            (logger.isLevelEnabled('debug')) && logger.debug("listAction: ccNum: " + ccNum + ", ccId: " + ccId);
-            count = countBooksWithCC(ccNum, options.searchString, ccId);
-            if (count !== 0) books = findBooksWithCC(ccNum, options.searchString, sortString, ccId, PAGE_LIMIT, page * PAGE_LIMIT);
-
-          } else {
-            if (tagId === 0 && ccNum === 0) {
-              count = countBooks(options.searchString);
-              if (count && count !== 0) books = findBooks(options.searchString, sortString, PAGE_LIMIT, page * PAGE_LIMIT);
-            }
-          }
-        }
-        break;
+    const filters = resolveListType(getFilters(options), request.user);
+    const state = getStateModified(request.user.id, currentLibrary().id);
+    const cacheOptions = { page, sortString, filters, state };
+    if (sendCached(request, response, 'list', cacheOptions)) return;
+    const chips = (page === 0) ? getFilterChips(filters, request.user) : [];
+
+    const searchError = checkSearch(filters.searchString);
+    if (searchError) {
+      renderBooklist(request, response, { books: [], chips, message: t("list.invalidSearch", { error: searchError }) }, cacheOptions);
+      return;
     }
 
+    const count = countBooks(filters);
+    let books = (count > 0) ? findBooks(filters, sortString, PAGE_LIMIT, page * PAGE_LIMIT) : [];
+
     if (count <= 0 || books.length === 0) {
-      const message = (count === 0) ? "Keine Bücher/Zeitschriften gefunden!" : "Fehler beim Zugriff auf die Datenbank!";
-      response.send({ "html": "<div class='message'><h3>" + message + "</h3></div>" });
+      const message = (count === 0) ? t("list.notFound") : t("list.dbError");
+      renderBooklist(request, response, { books: [], chips, message }, (count === 0) ? cacheOptions : null);
       return;
     }
 
-    books = addFields(books);
+    books = addBookStates(addFields(books), request.user);
     const pageNav = getPageNavigation(page, count);
+    const bundle = (chips.length > 0) ? getBundle(filters, sortString) : null;
 
     (logger.isLevelEnabled('silly'))
       && logger.silly("listAction: books=" + JSON.stringify(books))
       && logger.silly("listAction: pageNav=" + JSON.stringify(pageNav));
 
-    response.render(import.meta.dirname + '/views/booklist', { books, pageNav }, function (error, html) {
-      if (error) {
-        errorHandler(error, response, 'render booklist page');
-      } else {
-        response.send({ html });
-      }
-    });
-
+    renderBooklist(request, response, { books, pageNav, chips, bundle }, cacheOptions);
   }
   catch (error) { errorHandler(error, response, 'listAction') }
 }
 
 export async function bookAction(request, response) {
   try {
-    const options = request.body;
+    const options = requestOptions(request);
     (logger.isLevelEnabled('debug')) && logger.debug("*** bookAction: options=" + JSON.stringify(options));
 
     const bookId = parseInt(options.bookId, 10);
-    const book = getBook(bookId);
+    const num = (!options.num || isNaN(options.num)) ? 0 : parseInt(options.num, 10);
+    const sortString = (!options.sortString) ? "" : options.sortString;
+    const filters = resolveListType(getFilters(options), request.user);
+    const downloads = getDownloadCount(currentLibrary().id, bookId);
+    const state = getStateModified(request.user.id, currentLibrary().id);
+    // Fortschritt erst nach dem Cache suchen (Hashes aller Dateien), im Schlüssel steht nur die letzte Meldung
+    const sync = (request.user.id && hasSyncKey(request.user.id)) ? getProgressModified(request.user.id) : 0;
+    const cacheOptions = { bookId, num, sortString, filters, downloads, state, sync };
+    if (sendCached(request, response, 'book', cacheOptions)) return;
+    const progress = (sync) ? await getSyncProgress(request.user, bookId) : null;
+
+    const book = getBookDetails(bookId);
     (logger.isLevelEnabled('silly')) && logger.silly("*** bookAction: book=" + JSON.stringify(book));
+    if (!book) {
+      response.send({ "html": "<div class='message'><h3>" + t("book.notFound") + "</h3></div>" });
+      return;
+    }
+    book.downloads = downloads;
+    if (progress) {
+      book.progress = { percent: Math.round(progress.percentage * 100), device: progress.device, date: formatTimestamp(progress.timestamp) };
+    }
+    if (request.user.id) {
+      addBookStates([book], request.user);
+      book.state.shelves = getShelvesOfBook(request.user.id, currentLibrary().id, bookId).length;
+    }
 
     let nextBook;
     let prevBook;
 
-
-    if (options.bookId !== undefined && options.num) {
-      const rowNum = parseInt(options.num, 10) - 1;
-      const sortString = (!options.sortString) ? "" : options.sortString;
-      const type = options.type;
-      let nextBookArray;
-      let prevBookArray;
-
-      switch (type) {
-        case "serie":
-          const seriesId = (!options.serieId || isNaN(options.serieId)) ? 0 : parseInt(options.serieId, 10);
-          prevBookArray = (rowNum === 0) ? [] : findBooksBySerie(seriesId, sortString, 1, rowNum - 1);
-          nextBookArray = findBooksBySerie(seriesId, sortString, 1, rowNum + 1);
-          break;
-
-        case "author":
-          const authorsId = (!options.authorsId || isNaN(options.authorsId)) ? 0 : parseInt(options.authorsId, 10);
-          prevBookArray = (rowNum === 0) ? [] : findBooksByAuthor(authorsId, sortString, 1, rowNum - 1);
-          nextBookArray = findBooksByAuthor(authorsId, sortString, 1, rowNum + 1);
-          break
-
-        default:
-          const tagId = (!options.tagId || isNaN(options.tagId)) ? 0 : parseInt(options.tagId, 10);
-          const ccNum = (!options.ccNum || isNaN(options.ccNum)) ? 0 : parseInt(options.ccNum, 10);
-          const ccId = (!options.ccId || isNaN(options.ccId)) ? 0 : parseInt(options.ccId, 10);
-
-          if (tagId && tagId > 0) {
-            prevBookArray = (rowNum === 0) ? [] : findBooksWithTags(options.searchString, sortString, tagId, 1, rowNum - 1);
-            nextBookArray = findBooksWithTags(options.searchString, sortString, tagId, 1, rowNum + 1);
-
-          } else {
-            if (ccNum && ccNum > 0) {
-              prevBookArray = (rowNum == 0) ? [] : findBooksWithCC(ccNum, options.searchString, sortString, ccId, 1, rowNum - 1);
-              nextBookArray = findBooksWithCC(ccNum, options.searchString, sortString, ccId, 1, rowNum + 1);
-
-            } else {
-              if (tagId === 0 && ccNum === 0) {
-                prevBookArray = (rowNum === 0) ? [] : findBooks(options.searchString, sortString, 1, rowNum - 1);
-                nextBookArray = findBooks(options.searchString, sortString, 1, rowNum + 1);
-              }
-            }
-          }
-          break;
-      }
-      nextBook = nextBookArray[0];
-      prevBook = prevBookArray[0];
-
-    }
-
-    const formats = getFormatsOfBooks(bookId);
-    book.formats = formats.map((format) => decode(format.name));
-
-    const authors = getAuthorsOfBooks(bookId);
-    book.authors = authors.map((author) => {
-      author.authorsName = decode(author.authorsName); return author
-    });
-
-    const publisher = getPublisherOfBooks(bookId);
-    if (publisher) { publisher.name = decode(publisher.name); book.publisher = publisher }
-
-    const tags = getTagsOfBooks(bookId);
-    for (let t in tags) {
-      tags[t].tagName = decode(tags[t].tagName);
-      if (tags[t].colId) {
-        tags[t].subTags = getCustomColumnOfBooks(tags[t].colId, bookId);
-      };
+    if (num) {
+      const rowNum = num - 1;
+      prevBook = (rowNum === 0) ? undefined : findBooks(filters, sortString, 1, rowNum - 1)[0];
+      nextBook = findBooks(filters, sortString, 1, rowNum + 1)[0];
     }
-    book.tags = tags
-
-    const series = getSeriesOfBooks(bookId);
-    if (series[0]) { series[0].seriesName = decode(series[0].seriesName); book.serie = series[0] }
-    if (book.pubdate.substr(0, 1) == "0") { book.pubdate = null };
 
     (logger.isLevelEnabled('silly'))
     && logger.silly("bookAction: " + JSON.stringify(book))
     && logger.silly("bookAction: prevBook=" + JSON.stringify(prevBook))
     && logger.silly("bookAction: nextBook=" + JSON.stringify(nextBook));
 
-    response.render(import.meta.dirname + '/views/book', { book, prevBook, nextBook }, function (error, html) {
+    response.render(import.meta.dirname + '/views/book', { book, prevBook, nextBook, formatSize, coverUrl, coverSrcset, comicFormats }, function (error, html) {
       if (error) {
         errorHandler(error, response, 'render book page');
       } else {
-        response.send({ html });
+        sendAndCache(request, response, 'book', cacheOptions, { html });
       }
     });
   }
@@ -302,11 +467,16 @@ export async function ccAction(request, response) {
     const ccNum = (!request.params.ccNum || isNaN(request.params.ccNum)) ? 0 : parseInt(request.params.ccNum, 10);
     const selectedId = (!request.params.ccId || isNaN(request.params.ccId)) ? 0 : parseInt(request.params.ccId, 10);
 
+    const column = getCustomColumnDefinitions().find((column) => column.id === ccNum && column.browsable);
+    if (!column) {
+      response.send({ "html": "<div class='message'><h3>" + t("book.columnNotFound") + "</h3></div>" });
+      return;
+    }
     const custCols =
       getCustomColumns(ccNum)
-        .map(cc => { cc.class = (cc.id === selectedId) ? "selected" : ""; return cc });
+        .map(cc => { cc.class = (cc.id === selectedId) ? "selected" : ""; cc.text = formatCustomValue(column, cc); return cc });
 
-    const options = { ccNum, custCols };
+    const options = { ccNum, ccName: column.name, custCols };
     (logger.isLevelEnabled('silly')) && logger.silly("ccAction: appInfo=" + appInfo + ", " + "options=" + JSON.stringify(options));
     response.render(import.meta.dirname + '/views/info', { appInfo, options }, function (error, html) {
       if (error) {
@@ -319,59 +489,35 @@ export async function ccAction(request, response) {
   catch (error) { errorHandler(error, response, 'ccAction') }
 }
 
-async function sendResizedCover2(response, source, targetDir, targetFile, resizeOptions) {
-  try {
-    const options = { root: targetDir, headers: { 'Content-Type': 'image/jpeg' } }
-    fs.pathExists(targetDir + "/" + targetFile, async (error, exists) => {
-      if (error) { errorLogger(error) }
-      else {
-        if (exists) {
-          response.sendFile(targetFile, options, function (error) {
-            if (error) { errorLogger(error) }
-          })
-        } else {
-          sharp(source)
-            .resize(resizeOptions)
-            .toFile(targetDir + "/" + targetFile, function (error, info) {
-              if (!error) {
-                response.sendFile(targetFile, options, function (error) {
-                  if (error) { errorLogger(error) }
-                })
-              } else { errorLogger(error) }
-            });
-        }
-      }
-    })
-  }
-  catch (error) { errorHandler(error, response, 'sendResizedCover') }
-}
-
-
-async function sendResizedCover(response, source, targetDir, targetFile, resizeOptions) {
+// Cover im passenden Format (Accept, ?f=jpeg erzwingt JPEG) und in der Größe für srcset (?s=2);
+// mit Version (?v=...) ist die URL unveränderlich
+async function sendResizedCover(request, response, variant, fileData) {
   try {
-    const options = { root: targetDir, headers: { 'Content-Type': 'image/jpeg' } }
-    const exists = await fs.pathExists(targetDir + "/" + targetFile);
-
-    if (!exists) {
-      await sharp(source)
-        .resize(resizeOptions)
-        .toFile(targetDir + "/" + targetFile);
+    const source = currentLibrary().bookDir + "/" + fileData.path + "/cover.jpg";
+    const scale = (coverScales.includes(parseInt(request.query.s, 10))) ? parseInt(request.query.s, 10) : 1;
+    const format = (request.query.f === "jpeg") ? "jpeg" : coverFormat(request.get('accept'));
+    const cover = await getCachedCover(variant, fileData.bookId, source, scale, format);
+    const headers = {
+      'Content-Type': cover.type, 'ETag': cover.etag, 'Vary': 'Accept',
+      'Cache-Control': (request.query.v) ? 'private, max-age=31536000, immutable' : 'private, no-cache'
+    };
+    if (request.get('if-none-match') === cover.etag) {
+      response.set(headers).status(304).end();
+      return;
     }
-    response.sendFile(targetFile, options);
+    response.sendFile(cover.file, { root: cover.dir, headers, etag: false, lastModified: false });
   }
   catch (error) { errorHandler(error, response, 'sendResizedCover') }
 }
 
-
 export async function coverListAction(request, response) {
   try {
     let fileData = getCoverData(parseInt(request.params.id, 10));
     if (fileData) {
       (logger.isLevelEnabled('silly')) && logger.silly("*** coverListAction: fileData=" + JSON.stringify(fileData));
-      const source = BOOKDIR + "/" + fileData.path + "/cover.jpg";
-      const targetDir = IMGCACHE + "/1" + ("0000" + fileData.bookId).slice(-5).substring(0, 2);
-      fs.ensureDirSync(targetDir);
-      sendResizedCover(response, source, targetDir, fileData.bookId + ".jpg", { height: 250 });
+      sendResizedCover(request, response, 'list', fileData);
+    } else {
+      response.sendStatus(404);
     }
   }
   catch (error) { errorHandler(error, response, 'coverListAction') }
@@ -381,40 +527,554 @@ export async function coverBookAction(request, response) {
   try {
     let fileData = getCoverData(parseInt(request.params.id, 10));
     (logger.isLevelEnabled('debug')) && logger.debug("*** coverBookAction: fileData=" + JSON.stringify(fileData));
-    const source = BOOKDIR + "/" + fileData.path + "/cover.jpg";
-    const targetDir = IMGCACHE + "/0" + ("0000" + fileData.bookId).slice(-5).substring(0, 2);
-    fs.ensureDirSync(targetDir);
-    sendResizedCover(response, source, targetDir, fileData.bookId + ".jpg", { width: 320 });
+    if (!fileData) { response.sendStatus(404); return; }
+    sendResizedCover(request, response, 'book', fileData);
   }
   catch (error) { errorHandler(error, response, 'coverBookAction') }
 }
 
+// Datei eines Buches zum Ausliefern: { dir, file, filename (Name der Datei in Calibre), release }, null ohne dieses Format.
+// EPUBs bekommen die aktuellen Metadaten aus Calibre (EMBED_METADATA), KEPUB wird aus dem EPUB erzeugt; beide liegen
+// im Buch-Cache (BOOKCACHE/<Bibliothek>/epub bzw. kepub) und bleiben dort, bis release() nach dem Ausliefern aufgerufen wird.
+export async function bookFile(bookId, format) {
+  const fileData = getFileData(bookId, format);
+  (logger.isLevelEnabled('debug')) && logger.debug("*** bookFile: bookId=" + bookId + ", format=" + format + ", fileData=" + JSON.stringify(fileData));
+  if (!fileData && format === 'kepub') return kepubFile(bookId);
+  if (!fileData) return null;
+  const original = { dir: currentLibrary().bookDir + "/" + fileData.path, file: fileData.filename, filename: fileData.filename, release: () => {} };
+  return (format === 'epub' && EMBED_METADATA) ? embeddedEpubFile(bookId, original) : original;
+}
+
+// Cache-Datei dir/file erzeugen bzw. prüfen und für die Auslieferung sperren, gibt die Freigabe zurück
+async function lockedCacheFile(dir, file, source, create, modified) {
+  const release = lockCachedFile(dir + "/" + file);
+  try {
+    await getCachedFile(dir, file, source, create, modified);
+  } catch (error) {
+    release();
+    throw error;
+  }
+  return release;
+}
+
+async function kepubFile(bookId) {
+  const epub = await bookFile(bookId, 'epub');
+  if (!epub) return null;
+  const source = epub.dir + "/" + epub.file;
+  const dir = cacheDir("kepub", "books");
+  const file = bookId + ".kepub.epub";
+  try {
+    const release = await lockedCacheFile(dir, file, source, (temp) => convertToKepub(source, temp));
+    return { dir, file, filename: epub.filename.replace(/\.epub$/, "") + ".kepub.epub", release };
+  } finally {
+    epub.release();
+  }
+}
+
+// Neu erzeugt, wenn sich das EPUB oder die Metadaten (last_modified, auch bei neuem Cover) geändert haben
+async function embeddedEpubFile(bookId, original) {
+  const book = getBookDetails(bookId);
+  const source = original.dir + "/" + original.file;
+  const cover = (book.hasCover) ? currentLibrary().bookDir + "/" + book.path + "/cover.jpg" : null;
+  const metadata = {
+    title: book.title, titleSort: book.sort, seriesIndex: book.seriesIndex, description: book.comment,
+    authors: book.authors.map((author) => ({ name: author.authorsName, sort: author.authorsSort })),
+    series: (book.serie) ? book.serie.seriesName : null,
+    tags: book.tags.map((tag) => tag.tagName),
+    publisher: (book.publisher) ? book.publisher.name : null,
+    pubdate: formatDate(book.pubdate, 'iso')
+  };
+  const modified = (toIsoDate(book.lastModified)) ? new Date(toIsoDate(book.lastModified)) : null;
+  const dir = cacheDir("epub", "books");
+  const file = bookId + ".epub";
+  try {
+    const release = await lockedCacheFile(dir, file, source, (temp) => embedMetadata(source, temp, metadata, cover), modified);
+    return { dir, file, filename: original.filename, release };
+  } catch (error) {  // z.B. EPUB ohne lesbares OPF: dann unverändert
+    logger.warn("embeddedEpubFile: book " + bookId + " is served unchanged: " + error.message);
+    return original;
+  }
+}
+
 export async function fileAction(request, response) {
   try {
-    let fileData = getFileData(parseInt(request.params.id, 10), request.params.format);
-    (logger.isLevelEnabled('debug')) && logger.debug("*** fileAction: fileData=" + JSON.stringify(fileData));
+    const bookId = parseInt(request.params.id, 10);
+    const format = request.params.format;
+    const source = await bookFile(bookId, format);
+    (logger.isLevelEnabled('debug')) && logger.debug("*** fileAction: source=" + JSON.stringify(source) + ", range=" + request.get('range'));
+    if (!source) { response.sendStatus(404); return; }
+    response.on('close', source.release);
+    // Range-Anfragen (Fortsetzen abgebrochener Downloads) beantwortet sendFile, If-Range prüft ETag/Last-Modified
     const options = {
-      root: BOOKDIR + "/" + fileData.path,
+      root: source.dir,
       dotfiles: 'deny',
+      cacheControl: false,
       headers: {
-        'x-timestamp': Date.now(),
-        'x-sent': true
+        'Cache-Control': 'private, no-cache',
+        'Content-Disposition': contentDisposition(downloadName(bookId, format))
       }
     }
-    response.sendFile(fileData.filename, options, function (error) {
-      if (error)
+    response.sendFile(source.file, options, function (error) {
+      if (!error) {
+        (logger.isLevelEnabled('debug')) && logger.debug('response.sendFile: file=' + source.dir + "/" + source.file);
+      } else if (response.headersSent) {
+        (logger.isLevelEnabled('debug')) && logger.debug('response.sendFile: aborted: ' + error.message);
+      } else if (error.status && error.status < 500) {
+        response.sendStatus(error.status);  // z.B. 416 bei ungültigem Range
+      } else {
         errorHandler(error, response, 'response.sendFile');
-      else
-        (logger.isLevelEnabled('debug')) && logger.debug('response.sendFile: filename=' + fileData.filename);
+      }
     })
+    // gezählt wird nur der Anfang eines Downloads, nicht jede fortgesetzte Teilanfrage
+    const range = request.get('range');
+    if (request.method === 'GET' && (!range || /^bytes=0-/.test(range.trim()))) {
+      logDownload(request.user.id, currentLibrary().id, bookId, format);
+      rememberDocument(bookId, format, source.dir + "/" + source.file, downloadName(bookId, format));
+    }
+  }
+  catch (error) { errorHandler(error, response, 'fileAction') }
+}
+
+// Alle Bücher einer gefilterten Liste (Serie, Autor, Suche ...) in einem Format als ZIP. Das Archiv wird direkt in die
+// Antwort geschrieben, die Dateien unkomprimiert (E-Books sind schon komprimiert) und ohne sie ganz in den Speicher zu laden.
+export async function zipAction(request, response) {
+  try {
+    const format = String(request.params.format).toLowerCase();
+    const filters = resolveListType(getFilters(request.query), request.user);
+    const sortString = (typeof request.query.sortString === 'string') ? request.query.sortString : "";
+    (logger.isLevelEnabled('debug')) && logger.debug("*** zipAction: format=" + format + ", filters=" + JSON.stringify(filters));
+    if (!hasFilters(filters) || checkSearch(filters.searchString)) { response.sendStatus(400); return; }
+
+    const books = findBooks(filters, sortString, -1, 0).filter((book) => getFileData(book.bookId, format) || (format === "kepub" && getFileData(book.bookId, "epub")));
+    if (!books.length) { response.sendStatus(404); return; }
+    const names = bundleNames(books, format, filters);
+    const title = getFilterChips(filters, request.user).map((chip) => chip.label.replace(/^[^:]*: /, "")).join(" - ");
+
+    response.attachment((safeFileName(title).substring(0, 100) || "cassis") + " (" + format.toUpperCase() + ").zip");
+    response.set('Cache-Control', 'no-store');
+    const zip = createZipWriter(response);
+    const sent = [];
+    for (let i = 0; i < books.length; i++) {
+      const source = await bookFile(books[i].bookId, format);
+      if (!source) continue;  // inzwischen gelöscht
+      try {
+        await zip.addFile(names[i], source.dir + "/" + source.file);
+      } finally {
+        source.release();
+      }
+      sent.push({ bookId: books[i].bookId, file: source.dir + "/" + source.file, name: names[i] });
+    }
+    await zip.finish();
+    response.end();
+    for (let entry of sent) {
+      logDownload(request.user.id, currentLibrary().id, entry.bookId, format);
+      await rememberDocument(entry.bookId, format, entry.file, entry.name);
+    }
+    logger.info("zipAction: " + books.length + " books (" + format + ") sent to " + (request.user.name || "anonymous"));
+  }
+  catch (error) {
+    if (!response.headersSent) { errorHandler(error, response, 'zipAction'); return; }
+    logger.warn("zipAction: download aborted: " + error.message);
+    response.destroy();
+  }
+}
+
+// Online-Reader: Lesereihenfolge und Inhaltsverzeichnis des EPUB, die Kapitel lädt der Browser über epubAction
+export async function readerAction(request, response) {
+  try {
+    const bookId = parseInt(request.params.id, 10);
+    (logger.isLevelEnabled('debug')) && logger.debug("*** readerAction: bookId=" + bookId);
+    const fileData = getFileData(bookId, 'epub');
+    if (!fileData) {
+      response.send({ "html": "<div class='message'><h3>" + t("book.notFound") + "</h3></div>" });
+      return;
+    }
+    const book = getBookDetails(bookId);
+    const epub = await getEpubStructure(currentLibrary().bookDir + "/" + fileData.path + "/" + fileData.filename);
+    const spine = epub.spine.map((entry) => epubUrl(bookId, entry));
+    const toc = epub.toc
+      .map((entry) => { return { title: entry.title, level: entry.level, index: epub.spine.indexOf(entry.href.split("#")[0]), fragment: entry.href.split("#")[1] || "" } })
+      .filter((entry) => entry.index >= 0);
+    response.render(import.meta.dirname + '/views/reader', { book, spine, toc }, function (error, html) {
+      if (error) {
+        errorHandler(error, response, 'render reader');
+      } else {
+        response.send({ html });
+      }
+    });
+  }
+  catch (error) { errorHandler(error, response, 'readerAction') }
+}
+
+// Einzelne Datei aus dem EPUB (XHTML, CSS, Bilder, Schriften); Skripte im Buch werden per CSP unterbunden
+export async function epubAction(request, response) {
+  try {
+    const bookId = parseInt(request.params.id, 10);
+    const name = sanitizeEntryName(request.params[0]);
+    (logger.isLevelEnabled('debug')) && logger.debug("*** epubAction: bookId=" + bookId + ", entry=" + name);
+    const fileData = (name) ? getFileData(bookId, 'epub') : null;
+    if (!fileData) { response.sendStatus(404); return; }
+
+    const file = currentLibrary().bookDir + "/" + fileData.path + "/" + fileData.filename;
+    const etag = '"' + bookId + "-" + Math.floor((await fs.stat(file)).mtimeMs / 1000).toString(36) + '"';
+    const headers = {
+      'ETag': etag, 'Cache-Control': 'private, no-cache', 'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'self' data:; style-src 'self' 'unsafe-inline' data:; script-src 'none'; object-src 'none'; frame-ancestors 'self'"
+    };
+    if (request.get('if-none-match') === etag) {
+      response.set(headers).status(304).end();
+      return;
+    }
+    const data = await readZipEntry(file, name);
+    if (!data) { response.sendStatus(404); return; }
+    response.set(headers).type(name.split("/").pop()).send(data);
+  }
+  catch (error) { errorHandler(error, response, 'epubAction') }
+}
+
+// Comic-Viewer: Seitenzahl und Adresse der Seitenbilder, die Seiten liefert comicPageAction
+export async function comicAction(request, response) {
+  try {
+    const bookId = parseInt(request.params.id, 10);
+    (logger.isLevelEnabled('debug')) && logger.debug("*** comicAction: bookId=" + bookId);
+    const comic = comicFile(bookId);
+    if (!comic) {
+      response.send({ "html": "<div class='message'><h3>" + t("book.notFound") + "</h3></div>" });
+      return;
+    }
+    const book = getBookDetails(bookId);
+    const pages = await getComicPages(comic);
+    if (!pages.length) {
+      response.send({ "html": "<div class='message'><h3>" + t("comic.noPages") + "</h3></div>" });
+      return;
+    }
+    const pageUrl = libraryBase() + "/app/comics/" + bookId + "/";
+    const version = Math.floor((await fs.stat(comic.file)).mtimeMs / 1000).toString(36);
+    response.render(import.meta.dirname + '/views/comic', { book, pages: pages.length, pageUrl, version, widths: comicWidths }, function (error, html) {
+      if (error) {
+        errorHandler(error, response, 'render comic');
+      } else {
+        response.send({ html });
+      }
+    });
+  }
+  catch (error) { errorHandler(error, response, 'comicAction') }
+}
+
+// Seite eines Comics (ab 0) in der Breite ?w=, als WebP, wenn der Browser es kann; mit Version (?v=...) unveränderlich
+export async function comicPageAction(request, response) {
+  try {
+    const bookId = parseInt(request.params.id, 10);
+    const page = parseInt(request.params.page, 10);
+    (logger.isLevelEnabled('debug')) && logger.debug("*** comicPageAction: bookId=" + bookId + ", page=" + page + ", query=" + JSON.stringify(request.query));
+    const comic = comicFile(bookId);
+    if (!comic) { response.sendStatus(404); return; }
+    const name = (await getComicPages(comic))[page];
+    if (name === undefined) { response.sendStatus(404); return; }
+
+    const format = ((request.get('accept') || "").includes("image/webp")) ? "webp" : "jpeg";
+    const width = comicWidth(parseInt(request.query.w, 10) || Infinity);
+    const version = Math.floor((await fs.stat(comic.file)).mtimeMs / 1000).toString(36);
+    const etag = '"' + bookId + "-" + page + "-" + width + "-" + format + "-" + version + '"';
+    const headers = {
+      'Content-Type': imageFormats[format].type, 'ETag': etag, 'Vary': 'Accept',
+      'Cache-Control': (request.query.v === version) ? 'private, max-age=31536000, immutable' : 'private, no-cache'
+    };
+    if (request.get('if-none-match') === etag) {
+      response.set(headers).status(304).end();
+      return;
+    }
+    const image = await renderComicPage(comic, name, width, format);
+    response.set(headers).send(image);
+  }
+  catch (error) { errorHandler(error, response, 'comicPageAction') }
+}
+
+// An E-Reader senden: Dialog mit den gespeicherten Empfängern des Benutzers, den Formaten des Buches und den letzten Sendungen
+export async function sendtoAction(request, response) {
+  try {
+    const bookId = parseInt(request.params.id, 10);
+    (logger.isLevelEnabled('debug')) && logger.debug("*** sendtoAction: bookId=" + bookId);
+    const book = getBookDetails(bookId);
+    if (!book) { response.sendStatus(404); return; }
+    const userId = request.user.id;
+    const sendto = {
+      mailEnabled, canSave: Boolean(userId), maxSize: formatSize(maxAttachmentSize), mailFormats,
+      formats: book.formats.filter((format) => mailFormats.includes(format)),
+      recipients: (userId) ? getRecipients(userId) : [],
+      deliveries: (userId) ? getDeliveries(userId, 10).map((delivery) => Object.assign(delivery, { created: formatTimestamp(delivery.created) })) : []
+    };
+    response.render(import.meta.dirname + '/views/sendto', { book, sendto, formatSize }, function (error, html) {
+      if (error) {
+        errorHandler(error, response, 'render sendto');
+      } else {
+        response.send({ html });
+      }
+    });
+  }
+  catch (error) { errorHandler(error, response, 'sendtoAction') }
+}
+
+// Buch als Anhang an einen gespeicherten Empfänger senden, im gewählten oder dessen bevorzugten Format
+export async function sendBookAction(request, response) {
+  try {
+    const bookId = parseInt(request.params.id, 10);
+    const userId = request.user.id;
+    (logger.isLevelEnabled('debug')) && logger.debug("*** sendBookAction: bookId=" + bookId + ", body=" + JSON.stringify(request.body));
+    if (!mailEnabled) { response.status(503).json({ ok: false, msg: t("sendto.mailDisabled") }); return; }
+    const recipient = (userId) ? getRecipient(userId, parseInt(request.body.recipientId, 10)) : null;
+    if (!recipient) { response.status(404).json({ ok: false, msg: t("sendto.recipientNotFound") }); return; }
+    const book = getBookDetails(bookId);
+    if (!book) { response.status(404).json({ ok: false, msg: t("sendto.bookNotFound") }); return; }
+
+    const formats = book.formats.filter((format) => mailFormats.includes(format));
+    const format = [request.body.format, recipient.format].find((format) => formats.includes(format)) || formats[0];
+    const source = (format) ? await bookFile(bookId, format) : null;
+    if (!source) { response.status(404).json({ ok: false, msg: t("sendto.noMatchingFormat") }); return; }
+    response.on('close', source.release);
+    const file = source.dir + "/" + source.file;
+    const size = (await fs.stat(file)).size;
+    const delivery = { library: currentLibrary().id, bookId, title: book.title, format, email: recipient.email, size };
+
+    if (size > maxAttachmentSize) {
+      const msg = t("sendto.tooLarge", { size: formatSize(size), max: formatSize(maxAttachmentSize) });
+      logDelivery(userId, Object.assign(delivery, { status: 'rejected', message: msg }));
+      response.status(413).json({ ok: false, msg });
+      return;
+    }
+
+    const authors = book.authors.map((author) => author.authorsName).join(", ");
+    try {
+      const reply = await sendMail({
+        to: recipient.email, subject: book.title, format, file, filename: downloadName(bookId, format),
+        text: (authors) ? t("sendto.mailText", { title: book.title, authors }) : t("sendto.mailTextNoAuthors", { title: book.title })
+      });
+      logger.info("sendBookAction: book " + bookId + " (" + format + ") sent to " + recipient.email + " by " + request.user.name);
+      logDelivery(userId, Object.assign(delivery, { status: 'sent', message: reply }));
+      rememberDocument(bookId, format, file, downloadName(bookId, format));
+      response.json({ ok: true, msg: t("sendto.done", { title: book.title, format: format.toUpperCase(), recipient: recipient.label || recipient.email }) });
+    } catch (error) {
+      logger.warn("sendBookAction: sending book " + bookId + " to " + recipient.email + " failed: " + error.message);
+      logDelivery(userId, Object.assign(delivery, { status: 'failed', message: error.message }));
+      response.status(502).json({ ok: false, msg: t("sendto.sendFailed", { error: error.message }) });
+    }
+  }
+  catch (error) { errorHandler(error, response, 'sendBookAction') }
+}
+
+// Empfänger speichern (gleiche Adresse: Name und Format ändern) oder löschen
+export async function recipientAction(request, response) {
+  try {
+    const userId = request.user.id;
+    (logger.isLevelEnabled('debug')) && logger.debug("*** recipientAction: " + request.method + ", params=" + JSON.stringify(request.params) + ", body=" + JSON.stringify(request.body));
+    if (!userId) { response.status(403).json({ ok: false, msg: t("sendto.loginRequired") }); return; }
+    if (request.method === 'DELETE') {
+      const deleted = deleteRecipient(userId, parseInt(request.params.id, 10));
+      response.status((deleted) ? 200 : 404).json({ ok: deleted > 0, msg: (deleted) ? t("sendto.recipientDeleted") : t("sendto.recipientNotFound") });
+      return;
+    }
+    const email = String(request.body.email || "").trim();
+    const label = String(request.body.label || "").trim().substring(0, 100);
+    const format = String(request.body.format || "epub").toLowerCase();
+    if (!isMailAddress(email)) { response.status(400).json({ ok: false, msg: t("sendto.invalidEmail") }); return; }
+    if (!mailFormats.includes(format)) { response.status(400).json({ ok: false, msg: t("sendto.unknownFormat", { format }) }); return; }
+    saveRecipient(userId, email, label, format);
+    response.json({ ok: true, msg: t("sendto.recipientSaved") });
+  }
+  catch (error) { errorHandler(error, response, 'recipientAction') }
+}
+
+// Gelesen/Favorit eines Buches setzen oder zurücknehmen: { state: 'read' | 'favorite', value: true | false }
+export async function bookStateAction(request, response) {
+  try {
+    const bookId = parseInt(request.params.id, 10);
+    const userId = request.user.id;
+    (logger.isLevelEnabled('debug')) && logger.debug("*** bookStateAction: bookId=" + bookId + ", body=" + JSON.stringify(request.body));
+    if (!userId) { response.status(403).json({ ok: false, msg: t("shelves.listsLoginRequired") }); return; }
+    if (!bookStates.includes(request.body.state)) { response.status(400).json({ ok: false, msg: t("shelves.unknownState", { state: request.body.state }) }); return; }
+    if (!getBook(bookId)) { response.status(404).json({ ok: false, msg: t("shelves.bookNotFound") }); return; }
+    setBookState(userId, currentLibrary().id, bookId, request.body.state, Boolean(request.body.value));
+    response.json({ ok: true });
+  }
+  catch (error) { errorHandler(error, response, 'bookStateAction') }
+}
+
+// Übersicht der eigenen Listen und Regale (Menü "Meine Bücher")
+export async function shelvesAction(request, response) {
+  try {
+    const userId = request.user.id;
+    (logger.isLevelEnabled('debug')) && logger.debug("*** shelvesAction: userId=" + userId);
+    const library = currentLibrary().id;
+    const shelves = {
+      canSave: Boolean(userId),
+      favorites: (userId) ? getStateBooks(userId, library, "favorite").length : 0,
+      read: (userId) ? getStateBooks(userId, library, "read").length : 0,
+      list: (userId) ? getShelves(userId, library) : [],
+      kobo: (userId) ? getKoboTokens(userId, library).map((token) => Object.assign(token, { last_used: formatTimestamp(token.last_used) })) : []
+    };
+    response.render(import.meta.dirname + '/views/shelves', { shelves, base: libraryBase() }, function (error, html) {
+      if (error) {
+        errorHandler(error, response, 'render shelves');
+      } else {
+        response.send({ html });
+      }
+    });
+  }
+  catch (error) { errorHandler(error, response, 'shelvesAction') }
+}
+
+// Popup der Buchseite: Regale mit/ohne dieses Buch
+export async function bookShelvesAction(request, response) {
+  try {
+    const bookId = parseInt(request.params.id, 10);
+    const userId = request.user.id;
+    (logger.isLevelEnabled('debug')) && logger.debug("*** bookShelvesAction: bookId=" + bookId);
+    const book = getBook(bookId);
+    if (!book) { response.sendStatus(404); return; }
+    const selected = (userId) ? getShelvesOfBook(userId, currentLibrary().id, bookId) : [];
+    const shelves = {
+      canSave: Boolean(userId),
+      list: (userId) ? getShelves(userId, currentLibrary().id).map((shelf) => Object.assign(shelf, { selected: selected.includes(shelf.id) })) : []
+    };
+    response.render(import.meta.dirname + '/views/bookshelves', { book, shelves }, function (error, html) {
+      if (error) {
+        errorHandler(error, response, 'render bookshelves');
+      } else {
+        response.send({ html });
+      }
+    });
+  }
+  catch (error) { errorHandler(error, response, 'bookShelvesAction') }
+}
+
+// Regal anlegen (optional gleich mit einem Buch: { name, bookId }) oder löschen
+export async function shelfAction(request, response) {
+  try {
+    const userId = request.user.id;
+    (logger.isLevelEnabled('debug')) && logger.debug("*** shelfAction: " + request.method + ", params=" + JSON.stringify(request.params) + ", body=" + JSON.stringify(request.body));
+    if (!userId) { response.status(403).json({ ok: false, msg: t("shelves.shelvesLoginRequired") }); return; }
+    if (request.method === 'DELETE') {
+      const deleted = deleteShelf(userId, parseInt(request.params.id, 10));
+      response.status((deleted) ? 200 : 404).json({ ok: deleted > 0, msg: (deleted) ? t("shelves.shelfDeleted") : t("shelves.shelfNotFound") });
+      return;
+    }
+    const name = String(request.body.name || "").trim().substring(0, 100);
+    if (!name) { response.status(400).json({ ok: false, msg: t("shelves.nameRequired") }); return; }
+    const shelf = createShelf(userId, currentLibrary().id, name);
+    const bookId = parseInt(request.body.bookId, 10);
+    if (bookId > 0 && getBook(bookId)) setShelfBook(userId, shelf.id, bookId, true);
+    response.json({ ok: true, id: shelf.id, msg: t("shelves.shelfSaved") });
+  }
+  catch (error) { errorHandler(error, response, 'shelfAction') }
+}
+
+// Buch in ein Regal stellen (PUT) oder herausnehmen (DELETE)
+export async function shelfBookAction(request, response) {
+  try {
+    const userId = request.user.id;
+    const shelfId = parseInt(request.params.id, 10);
+    const bookId = parseInt(request.params.bookId, 10);
+    (logger.isLevelEnabled('debug')) && logger.debug("*** shelfBookAction: " + request.method + ", shelfId=" + shelfId + ", bookId=" + bookId);
+    if (!userId) { response.status(403).json({ ok: false, msg: t("shelves.shelvesLoginRequired") }); return; }
+    // Buch-Ids gelten nur in ihrer Bibliothek: nur Regale der aktuellen Bibliothek
+    const shelf = getShelf(userId, shelfId);
+    if (!shelf || shelf.library !== currentLibrary().id) { response.status(404).json({ ok: false, msg: t("shelves.shelfNotFound") }); return; }
+    if (request.method === 'PUT' && !getBook(bookId)) { response.status(404).json({ ok: false, msg: t("shelves.bookNotFound") }); return; }
+    if (!setShelfBook(userId, shelfId, bookId, request.method === 'PUT')) { response.status(404).json({ ok: false, msg: t("shelves.shelfNotFound") }); return; }
+    response.json({ ok: true });
+  }
+  catch (error) { errorHandler(error, response, 'shelfBookAction') }
+}
+
+// Gelesen, Favoriten und Regale der aktuellen Bibliothek als JSON-Datei, mit Titel und Autoren (für andere Programme lesbar)
+export async function exportStatesAction(request, response) {
+  try {
+    const userId = request.user.id;
+    (logger.isLevelEnabled('debug')) && logger.debug("*** exportStatesAction: userId=" + userId);
+    if (!userId) { response.sendStatus(403); return; }
+    const library = currentLibrary();
+    const states = exportBookStates(userId, library.id);
+    const bookIds = [...new Set([states.read, states.favorites, ...states.shelves.map((shelf) => shelf.books)].flat().map((entry) => entry.book))];
+    const books = (bookIds.length) ? findBooks({ bookIds }, "", -1, 0) : [];
+    const authors = (books.length) ? getAuthorsOfBooks(books.map((book) => book.bookId).toString()) : [];
+    const describe = ({ book: bookId, ...entry }) => {
+      const book = books.find((book) => book.bookId == bookId);
+      return Object.assign({ id: bookId }, (book) ? {
+        title: decode(book.title),
+        authors: authors.filter((author) => author.bookId == bookId).map((author) => decode(author.authorsName))
+      } : {}, entry);
+    };
+    const data = {
+      user: request.user.name, library: library.name, exported: new Date().toISOString(),
+      read: states.read.map(describe),
+      favorites: states.favorites.map(describe),
+      shelves: states.shelves.map((shelf) => ({ name: shelf.name, created: shelf.created, books: shelf.books.map(describe) }))
+    };
+    response.set('Content-Disposition', contentDisposition("cassis-" + safeFileName(request.user.name + "-" + library.name) + ".json"));
+    response.type('json').send(JSON.stringify(data, null, 2));
+  }
+  catch (error) { errorHandler(error, response, 'exportStatesAction') }
+}
+
+// Sync-Passwort für KOReader setzen; KOReader meldet sich mit dessen MD5 an (s. kosync/controller.js)
+export async function syncKeyAction(request, response) {
+  try {
+    (logger.isLevelEnabled('debug')) && logger.debug("*** syncKeyAction: user=" + request.user.name);
+    if (!request.user.id) { response.status(403).json({ ok: false, msg: t("kosync.loginRequired") }); return; }
+    const password = String(request.body.password || "");
+    if (password.length < 4) { response.status(400).json({ ok: false, msg: t("kosync.passwordTooShort") }); return; }
+    setSyncKey(request.user.name, syncKey(password));
+    logger.info("syncKeyAction: sync password of user '" + request.user.name + "' changed");
+    response.json({ ok: true, msg: t("kosync.saved") });
+  }
+  catch (error) { errorHandler(error, response, 'syncKeyAction') }
+}
+
+// Kobo-Sync: Token für ein Gerät erzeugen ({ shelf } oder { tag } als Filter, sonst alle Bücher) oder löschen.
+// Die Adresse mit dem Token wird nur jetzt angezeigt (gespeichert ist nur ein Hash, s. usermodel.js).
+export async function koboTokenAction(request, response) {
+  try {
+    const userId = request.user.id;
+    (logger.isLevelEnabled('debug')) && logger.debug("*** koboTokenAction: " + request.method + ", params=" + JSON.stringify(request.params) + ", body=" + JSON.stringify(request.body));
+    if (!userId) { response.status(403).json({ ok: false, msg: t("shelves.koboLoginRequired") }); return; }
+    if (request.method === 'DELETE') {
+      const deleted = deleteKoboToken(userId, parseInt(request.params.id, 10));
+      response.status((deleted) ? 200 : 404).json({ ok: deleted > 0, msg: (deleted) ? t("shelves.tokenDeleted") : t("shelves.tokenNotFound") });
+      return;
+    }
+    const library = currentLibrary().id;
+    const shelfId = parseInt(request.body.shelf, 10) || null;
+    const shelf = (shelfId) ? getShelf(userId, shelfId) : null;
+    if (shelfId && (!shelf || shelf.library !== library)) { response.status(404).json({ ok: false, msg: t("shelves.shelfNotFound") }); return; }
+    const tag = (shelfId) ? null : String(request.body.tag || "").trim().substring(0, 100) || null;
+    const token = createKoboToken(userId, library, shelfId, tag);
+    logger.info("koboTokenAction: Kobo token for user '" + request.user.name + "' created (library " + library + ", " + ((shelf) ? "shelf " + shelf.name : (tag) ? "tag " + tag : "all books") + ")");
+    response.json({ ok: true, url: serverUrl(request) + "/kobo/" + token, msg: t("shelves.tokenCreated") });
+  }
+  catch (error) { errorHandler(error, response, 'koboTokenAction') }
+}
+
+// Sprache der Oberfläche wählen ({ language: "de" | "en" | "" = automatisch nach dem Browser), gilt im Browser (Cookie)
+// und für angemeldete Benutzer auch nach der nächsten Anmeldung auf anderen Geräten
+export async function languageAction(request, response) {
+  try {
+    const language = String(request.body.language || "");
+    (logger.isLevelEnabled('debug')) && logger.debug("*** languageAction: user=" + request.user.name + ", language=" + language);
+    if (language && !isLanguage(language)) { response.status(400).json({ ok: false, msg: t("info.unknownLanguage", { language }) }); return; }
+    if (request.user.id) setUserLanguage(request.user.id, language);
+    setLanguageCookie(request, response, language);
+    response.json({ ok: true });
   }
-  catch (error) { errorHandler(error, 'fileAction') }
+  catch (error) { errorHandler(error, response, 'languageAction') }
 }
 
 export async function infoAction(request, response) {
   try {
-    const stats = getStatistics();
-    const options = { stats, logger: { level: logger.level, levels: log_levels, consoleOn: !consoleTransport.silent, fileOn: !fileTransport.silent } };
+    const stats = Object.assign(getStatistics(), { downloads: getDownloadTotal(currentLibrary().id) });
+    const isAdmin = request.user.role === 'admin';
+    const kosync = (request.user.id) ? { url: serverUrl(request) + "/kosync", hasKey: hasSyncKey(request.user.id) } : null;
+    const language = (isLanguage(request.cookies[LANGUAGE_COOKIE])) ? request.cookies[LANGUAGE_COOKIE] : "";
+    const options = { stats, isAdmin, user: request.user.name, kosync, language, languages: languageOptions(), logger: { level: logger.level, levels: log_levels, consoleOn: !consoleTransport.silent, fileOn: !fileTransport.silent } };
     (logger.isLevelEnabled('debug')) && logger.debug("*** infoAction: appInfo=" + JSON.stringify(appInfo) + ", " + "options=" + JSON.stringify(options));
     response.render(import.meta.dirname + '/views/info', { appInfo, options }, function (error, html) {
       if (error) {
@@ -430,7 +1090,7 @@ export async function infoAction(request, response) {
 export async function tagsCountAction(request, response) {
   try {
     (logger.isLevelEnabled('debug')) && logger.debug("*** tagsCountAction");
-    const popup = { "type": "tag", "head_name": "Genres", "head_count": "Bücher, Zeitschriften", "content": getTagsStatistics()};
+    const popup = { "type": "tag", "head_name": t("popup.genres"), "head_count": t("popup.books"), "content": getTagsStatistics()};
     response.render(import.meta.dirname + '/views/info_popup', { popup }, function (error, html) {
       if (error) {
         errorHandler(error, response, 'render info page');
@@ -446,7 +1106,7 @@ export async function tagsCountAction(request, response) {
 export async function authorsCountAction(request, response) {
   try {
     (logger.isLevelEnabled('debug')) && logger.debug("*** authorsCountAction");
-    const popup = { "type": "author", "head_name": "Autoren", "head_count": "Bücher, Zeitschriften", "content": getAuthorsStatistics() };
+    const popup = { "type": "author", "head_name": t("popup.authors"), "head_count": t("popup.books"), "content": getAuthorsStatistics() };
     response.render(import.meta.dirname + '/views/info_popup', { popup }, function (error, html) {
       if (error) {
         errorHandler(error, response, 'render info page');
@@ -461,7 +1121,7 @@ export async function authorsCountAction(request, response) {
 export async function seriesCountAction(request, response) {
   try {
     (logger.isLevelEnabled('debug')) && logger.debug("*** seriesCountAction");
-    const popup = { "type": "serie", "head_name": "Serie", "head_count": "Bücher, Zeitschriften", "content": getSeriesStatistics() };
+    const popup = { "type": "serie", "head_name": t("popup.serie"), "head_count": t("popup.books"), "content": getSeriesStatistics() };
     response.render(import.meta.dirname + '/views/info_popup', { popup }, function (error, html) {
       if (error) {
         errorHandler(error, response, 'render info page');
@@ -476,7 +1136,7 @@ export async function seriesCountAction(request, response) {
 export async function publishersCountAction(request, response) {
   try {
     (logger.isLevelEnabled('debug')) && logger.debug("*** publishersCountAction");
-    const popup = { "type": "publisher", "head_name": "Verlag", "head_count": "Bücher, Zeitschriften", "content": getPublishersStatistics() };
+    const popup = { "type": "publisher", "head_name": t("popup.publisher"), "head_count": t("popup.books"), "content": getPublishersStatistics() };
     response.render(import.meta.dirname + '/views/info_popup', { popup }, function (error, html) {
       if (error) {
         errorHandler(error, response, 'render info page');
@@ -488,6 +1148,26 @@ export async function publishersCountAction(request, response) {
   catch (error) { errorHandler(error, response, 'tagsCountAction') }
 }
 
+// Meistgeladene Bücher der Bibliothek (nur die, die der Benutzer sehen darf)
+export async function downloadsCountAction(request, response) {
+  try {
+    (logger.isLevelEnabled('debug')) && logger.debug("*** downloadsCountAction");
+    const downloads = getMostDownloaded(currentLibrary().id, DOWNLOAD_POPUP_LIMIT * 2);
+    const counts = new Map(downloads.map((row) => [row.book, row.count]));
+    const books = findBooks({ bookIds: downloads.map((row) => row.book) }, "", DOWNLOAD_POPUP_LIMIT, 0);
+    const content = books.map((book, i) => ({ id: book.bookId, num: i + 1, name: decode(book.title), count: counts.get(book.bookId) }));
+    const popup = { "type": "book", "head_name": t("popup.mostDownloaded"), "head_count": t("popup.downloads"), content };
+    response.render(import.meta.dirname + '/views/info_popup', { popup }, function (error, html) {
+      if (error) {
+        errorHandler(error, response, 'render info page');
+      } else {
+        response.send({ html });
+      }
+    });
+  }
+  catch (error) { errorHandler(error, response, 'downloadsCountAction') }
+}
+
 export async function logAction(request, response) {
   try {
     logger.info("*** logAction: request.params=" + JSON.stringify(request.params));
@@ -514,20 +1194,62 @@ export async function logAction(request, response) {
 
 // externe API-Funktionen:
 
+// Healthcheck (healthcheck.js, ohne Anmeldung): prüft nur den Zugriff auf die Datenbank, verrät keine Zahlen
+export async function healthAction(request, response) {
+  try {
+    // countBooks fängt Datenbankfehler selbst ab und liefert dann -1
+    const healthy = countBooks({}) >= 0;
+    response.status((healthy) ? 200 : 503).json({ healthy });
+  }
+  catch (error) { errorHandler(error, response, 'healthAction') }
+}
+
 export async function countAction(request, response) {
   try {
     (logger.isLevelEnabled('debug')) && logger.debug("countAction: request.query=" + JSON.stringify(request.query));
     const searchString = request.query.search || "";
-    const count = countBooks(searchString);
+    const count = countBooks({ searchString });
     response.json({ count, healthy: true });
   }
   catch (error) { errorHandler(error, response, 'countAction') }
 }
 
+// Server-Sent Events: meldet dem Browser neue Bücher, sobald Calibre metadata.db geändert hat
+export async function eventsAction(request, response) {
+  try {
+    const rules = restrictionContext.getStore();
+    const store = libraryContext.getStore();
+    let since = getLatestTimestamp();
+    (logger.isLevelEnabled('debug')) && logger.debug("*** eventsAction: client connected, since=" + since);
+
+    response.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+    response.flushHeaders();
+    response.write("retry: 10000\n\n");
+
+    const onChange = (change) => {
+      if (change.library !== store.library.id) return;
+      // Anzahl neuer Bücher in dieser Bibliothek nach den Regeln des Benutzers
+      const added = libraryContext.run(store, () => restrictionContext.run(rules, () => countBooksAddedSince(since)));
+      if (added.count > 0) since = added.latest;
+      response.write("event: library\ndata: " + JSON.stringify({ added: added.count }) + "\n\n");
+    };
+    const heartbeat = setInterval(() => response.write(": ping\n\n"), 30000);
+
+    libraryEvents.on('change', onChange);
+    request.on('close', () => {
+      clearInterval(heartbeat);
+      libraryEvents.off('change', onChange);
+      (logger.isLevelEnabled('debug')) && logger.debug("eventsAction: client disconnected");
+    });
+  }
+  catch (error) { errorHandler(error, response, 'eventsAction') }
+}
+
 export async function dbAction(request, response) {
   try {
     (logger.isLevelEnabled('debug')) && logger.debug("dbAction: request.url=" + request.url);
     const result = (request.url === "/unconnectdb") ? unconnectDb() : connectDb();
+    clearResponseCache();
     response.json(result);
   }
   catch (error) { errorHandler(error, response, 'dbAction') }
@@ -535,10 +1257,165 @@ export async function dbAction(request, response) {
 
 // Helper functions ***********************
 
-function decode(str) {
+export function decode(str) {
   return (str) ? str.toString().replaceAll('|', ',') : "";
 }
 
+// Datum nach Calibre-Format (display.date_format, z.B. "dd.MM.yyyy", "MMM yyyy", Monatsnamen in der Sprache des Benutzers),
+// ohne Format in der üblichen Schreibweise der Sprache, z.B. "12.03.2024" bzw. "Mar 12, 2024"
+function formatDate(calibreDate, format) {
+  if (!calibreDate || calibreDate.substr(0, 1) == "0") return "";
+  const [year, month, day] = calibreDate.substr(0, 10).split('-');
+  if (format === 'iso') return calibreDate.substr(0, 10);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (!format) return date.toLocaleDateString(currentLocale(), { dateStyle: 'medium', timeZone: 'UTC' });
+  const monthName = date.toLocaleDateString(currentLocale(), { month: 'long', timeZone: 'UTC' });
+  const parts = {
+    "yyyy": year, "yy": year.substr(2), "MMMM": monthName, "MMM": monthName.substr(0, 3),
+    "MM": month, "M": String(parseInt(month, 10)), "dd": day, "d": String(parseInt(day, 10))
+  };
+  return format.replace(/yyyy|yy|MMMM|MMM|MM|M|dd|d/g, (token) => parts[token]);
+}
+
+// Zeitstempel der Cassis-Datenbank (UTC, "2024-01-01 10:00:00") oder Unix-Zeit in Sekunden (kosync) in Ortszeit, z.B. "01.01.2024 11:00"
+function formatTimestamp(timestamp) {
+  const date = (typeof timestamp === 'number') ? new Date(timestamp * 1000) : new Date(String(timestamp).replace(' ', 'T') + "Z");
+  if (isNaN(date)) return "";
+  return date.toLocaleString(currentLocale(), { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+// Zahl nach Calibre-Format (display.number_format im Python-Stil, z.B. "{0:,.2f} €")
+function formatNumber(value, format) {
+  const spec = (format) ? format.match(/\{0?:([^}]*)\}/) : null;
+  const digits = (spec) ? spec[1].match(/\.(\d+)f/) : null;
+  const options = { useGrouping: !spec || spec[1].includes(',') };
+  if (digits) options.minimumFractionDigits = options.maximumFractionDigits = parseInt(digits[1], 10);
+  const text = Number(value).toLocaleString(currentLocale(), options);
+  return (spec) ? format.replace(spec[0], text) : text;
+}
+
+// Adresse des Servers für Geräte (Kobo, KOReader): BASE_URL, sonst aus dem Request (hinter einem Proxy mit TRUST_PROXY)
+export function serverUrl(request) {
+  if (BASE_URL) return BASE_URL;
+  // X-Forwarded-Host wie X-Forwarded-Proto (request.protocol) nur von einem vertrauenswürdigen Proxy
+  const forwarded = request.app.get('trust proxy fn')(request.socket.remoteAddress, 0) && request.get('x-forwarded-host');
+  return request.protocol + "://" + ((forwarded) ? forwarded.split(",")[0].trim() : request.get('host'));
+}
+
+// URL eines Covers mit Version (last_modified), damit Browser es dauerhaft zwischenspeichern dürfen.
+// format "jpeg": immer JPEG statt AVIF/WebP nach Accept, z.B. für OPDS, wo der Typ im Link steht
+export function coverUrl(variant, book, scale = 1, format) {
+  const params = [];
+  const modified = (book.lastModified) ? new Date(book.lastModified.replace(' ', 'T')).getTime() : NaN;
+  if (!isNaN(modified)) params.push("v=" + modified.toString(36));
+  if (scale > 1) params.push("s=" + scale);
+  if (format === "jpeg") params.push("f=jpeg");
+  return libraryBase() + "/app/cover/" + variant + "/" + book.bookId + ((params.length) ? "?" + params.join("&") : "");
+}
+
+// Datei des ersten Comic-Formats eines Buches
+function comicFile(bookId) {
+  for (let format of comicFormats) {
+    const fileData = getFileData(bookId, format);
+    if (fileData) return { format, file: currentLibrary().bookDir + "/" + fileData.path + "/" + fileData.filename };
+  }
+  return null;
+}
+
+// URL einer Datei im EPUB für den Reader, relative Verweise in den Kapiteln funktionieren damit unverändert
+function epubUrl(bookId, entry) {
+  return libraryBase() + "/app/epub/" + bookId + "/" + entry.split("/").map(encodeURIComponent).join("/");
+}
+
+export function coverSrcset(variant, book) {
+  return coverScales.map((scale) => coverUrl(variant, book, scale) + " " + scale + "x").join(", ");
+}
+
+// Hashes einer ausgelieferten Datei für den KOReader-Sync merken: Inhalt und Name, unter dem sie gespeichert wird
+async function rememberDocument(bookId, format, file, filename) {
+  const library = currentLibrary().id;
+  try {
+    saveDocument(await partialMD5(file), library, bookId, format);
+    saveDocument(filenameHash(filename), library, bookId, format);
+  } catch (error) { errorLogger(error); }
+}
+
+// Neuester Lesefortschritt aus KOReader zu einem Buch: Hashes der ausgelieferten Dateien (s. rememberDocument),
+// der Originale in Calibre (z.B. per USB kopiert) und der Download-Namen
+async function getSyncProgress(user, bookId) {
+  if (!user.id || !hasSyncKey(user.id)) return null;
+  const documents = getDocumentsOfBook(currentLibrary().id, bookId);
+  for (let format of addVirtualFormats(getFormatsOfBooks(bookId).map((format) => decode(format.name)))) {
+    documents.push(filenameHash(downloadName(bookId, format)));
+    const fileData = getFileData(bookId, format);
+    if (!fileData) continue;
+    try {
+      documents.push(await partialMD5(currentLibrary().bookDir + "/" + fileData.path + "/" + fileData.filename));
+    } catch (error) { (logger.isLevelEnabled('debug')) && logger.debug("getSyncProgress: " + error.message); }
+  }
+  return getLatestProgress(user.id, documents) || null;
+}
+
+// Name einer heruntergeladenen Datei: "Autor - Titel.epub" (höchstens zwei Autoren)
+function downloadName(bookId, format) {
+  const book = getBook(bookId);
+  const authors = getAuthorsOfBooks(bookId).map((author) => decode(author.authorsName));
+  const name = ((authors.length) ? authors.slice(0, 2).join(", ") + " - " : "") + ((book) ? book.title : bookId);
+  return safeFileName(name).substring(0, 150) + "." + ((format === "kepub") ? "kepub.epub" : format);
+}
+
+// Content-Disposition nach RFC 6266: filename* mit dem UTF-8-Namen, filename als ASCII-Ersatz (Umlaute umschrieben)
+function contentDisposition(filename) {
+  const umlauts = { "ä": "ae", "ö": "oe", "ü": "ue", "Ä": "Ae", "Ö": "Oe", "Ü": "Ue", "ß": "ss" };
+  const ascii = filename.replace(/[äöüÄÖÜß]/g, (char) => umlauts[char]).normalize('NFD').replace(/[^\x20-\x7e]/g, "").replace(/["\\%]/g, "_");
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, (char) => "%" + char.charCodeAt(0).toString(16).toUpperCase());
+  return "attachment; filename=\"" + ascii + "\"; filename*=UTF-8''" + encoded;
+}
+
+// Titel als Dateiname: Zeichen, die in Dateisystemen verboten sind, werden ersetzt
+function safeFileName(text) {
+  return text.replace(/[\\/:*?"<>|\x00-\x1f]/g, "_").trim();
+}
+
+// Dateigröße für die Download-Buttons, z.B. "1,4 MB"
+export function formatSize(bytes) {
+  if (!bytes) return "";
+  const units = ["B", "KB", "MB", "GB"];
+  let unit = 0;
+  while (bytes >= 1024 && unit < units.length - 1) { bytes = bytes / 1024; unit++ }
+  return bytes.toLocaleString(currentLocale(), { maximumFractionDigits: (unit > 1) ? 1 : 0 }) + " " + units[unit];
+}
+
+function formatRating(value, allowHalfStars) {
+  const stars = (allowHalfStars) ? Math.round(value) / 2 : Math.round(value / 2);
+  return "★".repeat(Math.floor(stars)) + ((stars % 1) ? "½" : "");
+}
+
+// Anzeige eines Wertes einer benutzerdefinierten Spalte je nach Datentyp
+function formatCustomValue(column, row) {
+  switch (column.datatype) {
+    case 'bool':
+      return (row.value) ? t("book.yes") : t("book.no");
+    case 'int':
+    case 'float':
+      return formatNumber(row.value, column.display.number_format);
+    case 'rating':
+      return formatRating(row.value, column.display.allow_half_stars);
+    case 'datetime':
+      return formatDate(row.value, column.display.date_format);
+    case 'series':
+      return decode(row.value) + ((row.extra !== undefined && row.extra !== null) ? " [" + formatNumber(row.extra) + "]" : "");
+    default:
+      return decode(row.value);
+  }
+}
+
+export function toIsoDate(calibreDate) {
+  // Calibre: "2024-01-01 10:00:00+00:00"; Jahr 0101 bedeutet "undefiniert"
+  if (!calibreDate || calibreDate.substr(0, 1) == "0") return null;
+  return calibreDate.replace(' ', 'T');
+}
+
 function errorHandler(error, response, actionName) {
   const message = "Cassis: Internal server error in '" + actionName + "': " + error.message;
   logger.error(message);
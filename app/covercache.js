@@ -0,0 +1,234 @@
+'use strict';
+
+import fs from 'fs-extra';
+import sharp from 'sharp';
+
+import { logger, errorLogger } from '../log.js';
+import { getCoverList } from './model.js';
+import { libraries, currentLibrary, runInLibrary } from './libraries.js';
+
+// Cache der verkleinerten Cover: IMGCACHE/<Bibliothek>/<variante><2 Ziffern der Buch-Id>/<Buch-Id>[@<n>x].<jpg|webp|avif>
+// und eigener Cache der aus Buchdateien erzeugten Dateien (KEPUB, EPUB mit Metadaten): BOOKCACHE/<Bibliothek>/<name>/...
+// Eine Cache-Datei bekommt die Änderungszeit ihrer Quelle (cover.jpg, EPUB) und wird neu erzeugt, sobald sich diese ändert.
+// Ist ein Cache größer als IMGCACHE_MAX_MB bzw. BOOKCACHE_MAX_MB, werden die am längsten nicht benutzten Dateien gelöscht
+// (LRU), aber keine, die gerade erzeugt oder ausgeliefert werden (s. lockCachedFile).
+const IMGCACHE = process.env.IMGCACHE || "./Cache";
+const IMGCACHE_MAX = (parseInt(process.env.IMGCACHE_MAX_MB) || 500) * 1024 * 1024;
+const BOOKCACHE = process.env.BOOKCACHE || "./BookCache";
+const BOOKCACHE_MAX = (parseInt(process.env.BOOKCACHE_MAX_MB) || 2000) * 1024 * 1024;
+const COVER_PRECACHE = process.env.COVER_PRECACHE === "true";
+
+export const imageFormats = {
+  "jpeg": { "extension": "jpg", "type": "image/jpeg", "options": { quality: 80, mozjpeg: true } },
+  "webp": { "extension": "webp", "type": "image/webp", "options": { quality: 75 } },
+  "avif": { "extension": "avif", "type": "image/avif", "options": { quality: 50, effort: 2 } }
+};
+
+// AVIF/WebP werden ausgeliefert, wenn der Browser sie im Accept-Header nennt (in dieser Reihenfolge), sonst JPEG
+const COVER_FORMATS = (process.env.COVER_FORMATS || "avif,webp").split(",").map((format) => format.trim()).filter((format) => imageFormats[format]);
+
+// Größe bei einfacher Pixeldichte; für srcset gibt es die 2- und 3-fache Größe
+export const coverVariants = {
+  "book": { "prefix": "0", "resize": { width: 320 } },
+  "list": { "prefix": "1", "resize": { height: 250 } }
+};
+export const coverScales = [1, 2, 3];
+
+// index: Datei -> Größe, Reihenfolge = letzte Benutzung (älteste zuerst)
+const caches = {
+  "covers": { "name": "Cover cache", "root": IMGCACHE, "max": IMGCACHE_MAX, "index": new Map(), "size": 0 },
+  "books": { "name": "Book cache", "root": BOOKCACHE, "max": BOOKCACHE_MAX, "index": new Map(), "size": 0 }
+};
+const pending = new Map();     // Datei -> Promise der laufenden Prüfung bzw. Erzeugung
+const locks = new Map();       // Datei -> Anzahl laufender Auslieferungen
+
+// Caches einrichten:
+for (let cache of Object.values(caches)) {
+  logger.info(cache.name + " found at " + cache.root);
+  fs.ensureDirSync(cache.root, (error, exists) => {
+    if (error) { errorLogger(error); process.exit(1) }
+  })
+  loadIndex(cache);
+}
+
+// Base functions ***********************
+
+function loadIndex(cache) {
+  try {
+    const files = [];
+    for (let library of fs.readdirSync(cache.root)) {
+      if (!fs.statSync(cache.root + "/" + library).isDirectory()) continue;
+      if (/^[01]\d\d$/.test(library) && !libraries.find((entry) => entry.id === library)) {
+        // Cache-Verzeichnis aus der Zeit vor den Bibliotheken
+        fs.removeSync(cache.root + "/" + library);
+        continue;
+      }
+      for (let dir of fs.readdirSync(cache.root + "/" + library)) {
+        const path = cache.root + "/" + library + "/" + dir;
+        if (!fs.statSync(path).isDirectory()) continue;
+        for (let file of fs.readdirSync(path).filter((file) => !file.endsWith(".tmp"))) {
+          const stat = fs.statSync(path + "/" + file);
+          files.push({ file: path + "/" + file, size: stat.size, used: stat.atimeMs });
+        }
+      }
+    }
+    files.sort((a, b) => a.used - b.used).map((entry) => touch(cache, entry.file, entry.size));
+    logger.info(cache.name + ": " + cache.index.size + " files, " + Math.round(cache.size / 1024 / 1024) + " MB (max. " + Math.round(cache.max / 1024 / 1024) + " MB)");
+    evict(cache);
+  } catch (error) { errorLogger(error) }
+}
+
+function cacheOf(file) {
+  return (file.startsWith(BOOKCACHE + "/")) ? caches.books : caches.covers;
+}
+
+function touch(cache, file, size) {
+  if (cache.index.has(file)) cache.size -= cache.index.get(file);
+  cache.index.delete(file);
+  cache.index.set(file, size);
+  cache.size += size;
+}
+
+// keep: gerade erzeugte Datei, bleibt auch dann, wenn sie allein größer als der Cache ist
+function evict(cache, keep) {
+  for (let [file, size] of cache.index) {
+    if (cache.size <= cache.max) break;
+    if (file === keep || pending.has(file) || locks.has(file)) continue;
+    cache.index.delete(file);
+    cache.size -= size;
+    fs.remove(file).catch(errorLogger);
+    (logger.isLevelEnabled('debug')) && logger.debug(cache.name + ": evicted " + file);
+  }
+}
+
+async function createCached(target, create, sourceTime) {
+  const temp = target + ".tmp";
+  try {
+    await create(temp);
+  } catch (error) {
+    await fs.remove(temp);
+    throw error;
+  }
+  await fs.utimes(temp, new Date(), sourceTime);
+  await fs.rename(temp, target);
+  return (await fs.stat(target)).size;
+}
+
+async function updateCachedFile(dir, target, source, create, modified) {
+  const sourceStat = await fs.stat(source);
+  const sourceTime = (modified > sourceStat.mtime) ? modified : sourceStat.mtime;
+  const targetStat = await fs.stat(target).catch(() => null);
+  if (targetStat && Math.floor(targetStat.mtimeMs / 1000) === Math.floor(sourceTime.getTime() / 1000)) {
+    touch(cacheOf(target), target, targetStat.size);
+    return sourceStat;
+  }
+
+  (logger.isLevelEnabled('debug')) && logger.debug("Cache: " + ((targetStat) ? "renewing " : "creating ") + target);
+  await fs.ensureDir(dir);
+  touch(cacheOf(target), target, await createCached(target, create, sourceTime));
+  evict(cacheOf(target), target);
+  return sourceStat;
+}
+
+// Exported functions **************************************
+
+// Cache-Verzeichnis der aktuellen Bibliothek, cache: "covers" (IMGCACHE) oder "books" (BOOKCACHE)
+export function cacheDir(name, cache = "covers") {
+  return caches[cache].root + "/" + currentLibrary().id + "/" + name;
+}
+
+// Cache-Datei vor dem Löschen schützen, solange sie ausgeliefert wird (auch schon vor getCachedFile möglich).
+// Gibt die Funktion zum Freigeben zurück, danach wird der Cache falls nötig verkleinert.
+export function lockCachedFile(file) {
+  locks.set(file, (locks.get(file) || 0) + 1);
+  let locked = true;
+  return () => {
+    if (!locked) return;
+    locked = false;
+    if (locks.get(file) > 1) {
+      locks.set(file, locks.get(file) - 1);
+    } else {
+      locks.delete(file);
+      evict(cacheOf(file));
+    }
+  };
+}
+
+export function coverFile(variant, bookId, scale = 1, format = "jpeg") {
+  const dir = cacheDir(coverVariants[variant].prefix + ("0000" + bookId).slice(-5).substring(0, 2));
+  return { dir, file: bookId + ((scale > 1) ? "@" + scale + "x" : "") + "." + imageFormats[format].extension };
+}
+
+// Bildformat aus dem Accept-Header des Browsers
+export function coverFormat(accept) {
+  return COVER_FORMATS.find((format) => (accept || "").includes(imageFormats[format].type)) || "jpeg";
+}
+
+// Liefert die aktuelle Cache-Datei dir/file zur Quelldatei source: create(temp) erzeugt sie neu, wenn sie fehlt
+// oder sich die Quelle geändert hat. modified: weitere Änderungszeit (z.B. der Metadaten), zählt, wenn sie neuer ist.
+// Gibt die fs.Stats der Quelle zurück.
+export function getCachedFile(dir, file, source, create, modified) {
+  const target = dir + "/" + file;
+  // vor dem ersten await eintragen, damit gleichzeitige Anfragen auf dieselbe Prüfung und Erzeugung warten
+  if (!pending.has(target)) {
+    pending.set(target, updateCachedFile(dir, target, source, create, modified).finally(() => pending.delete(target)));
+  }
+  return pending.get(target);
+}
+
+// Liefert die aktuelle Cache-Datei zum Cover (erzeugt sie bei Bedarf neu),
+// dazu ETag und Content-Type für die Auslieferung
+export async function getCachedCover(variant, bookId, source, scale = 1, format = "jpeg") {
+  const { dir, file } = coverFile(variant, bookId, scale, format);
+  const resize = Object.fromEntries(Object.entries(coverVariants[variant].resize).map(([key, value]) => [key, value * scale]));
+  const sourceStat = await getCachedFile(dir, file, source, (temp) =>
+    sharp(source).resize(Object.assign(resize, { withoutEnlargement: true })).toFormat(format, imageFormats[format].options).toFile(temp));
+  return { dir, file, type: imageFormats[format].type, etag: '"' + file + "-" + Math.floor(sourceStat.mtimeMs / 1000).toString(36) + '"' };
+}
+
+// Cover in der Größe, die ein Gerät anfordert (Kobo-Sync): JPEG, höchstens width x height, optional in Graustufen.
+// Die Größe wird auf 50 Pixel aufgerundet und begrenzt, damit nicht beliebig viele Varianten im Cache landen.
+export async function getCachedCoverSize(bookId, source, width, height, greyscale) {
+  const [w, h] = [width, height].map((size) => Math.min(Math.ceil(Math.max(size, 1) / 50) * 50, 2000));
+  const dir = cacheDir("kobo" + ("0000" + bookId).slice(-5).substring(0, 2));
+  const file = bookId + "-" + w + "x" + h + ((greyscale) ? "-grey" : "") + ".jpg";
+  const sourceStat = await getCachedFile(dir, file, source, (temp) => {
+    const image = sharp(source).resize({ width: w, height: h, fit: 'inside', withoutEnlargement: true });
+    return ((greyscale) ? image.greyscale() : image).jpeg(imageFormats.jpeg.options).toFile(temp);
+  });
+  return { dir, file, type: imageFormats.jpeg.type, etag: '"' + file + "-" + Math.floor(sourceStat.mtimeMs / 1000).toString(36) + '"' };
+}
+
+// Hintergrundjob: Cover aller Bücher der aktuellen Bibliothek in beiden Größen (einfache Pixeldichte, JPEG und
+// die Formate aus COVER_FORMATS) erzeugen, einzeln nacheinander, bis der Cache zu 90 % gefüllt ist
+export async function precacheCovers() {
+  try {
+    const bookDir = currentLibrary().bookDir;
+    const books = getCoverList();
+    logger.info("Cover cache: pre-generating covers of " + books.length + " books in library '" + currentLibrary().id + "'");
+    let count = 0;
+    for (let book of books) {
+      for (let variant in coverVariants) {
+        for (let format of ["jpeg", ...COVER_FORMATS]) {
+          if (caches.covers.size > IMGCACHE_MAX * 0.9) {
+            logger.info("Cover cache: nearly full, pre-generation stopped after " + count + " books");
+            return;
+          }
+          try {
+            await getCachedCover(variant, book.bookId, bookDir + "/" + book.path + "/cover.jpg", 1, format);
+          } catch (error) { logger.warn("Cover cache: no cover for book " + book.bookId + ": " + error.message) }
+        }
+      }
+      count++;
+    }
+    logger.info("Cover cache: pre-generation finished, " + caches.covers.index.size + " files, " + Math.round(caches.covers.size / 1024 / 1024) + " MB");
+  } catch (error) { errorLogger(error) }
+}
+
+// Bibliotheken nacheinander
+export function startCoverPrecache() {
+  if (!COVER_PRECACHE) return;
+  setTimeout(async () => {
+    for (let library of libraries) await runInLibrary(library, () => precacheCovers());
+  }, 5000);
+}
@@ -0,0 +1,128 @@
+'use strict';
+
+import path from 'node:path';
+
+import { readZipEntry, ZipError } from './zip.js';
+
+// Aufbau eines EPUB für den Reader: OPF-Datei (META-INF/container.xml), Lesereihenfolge (Spine) und
+// Inhaltsverzeichnis (EPUB 3: nav-Dokument, EPUB 2: toc.ncx). Alle Pfade sind Namen von Einträgen im ZIP.
+
+// Base functions ***********************
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&(lt|gt|quot|apos|amp);/g, (match, name) => ({ lt: "<", gt: ">", quot: '"', apos: "'", amp: "&" })[name]);
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, "")).replace(/\s+/g, " ").trim();
+}
+
+export function attribute(tag, name) {
+  const match = tag.match(new RegExp("\\s" + name + "\\s*=\\s*(?:\"([^\"]*)\"|'([^']*)')", "i"));
+  return (match) ? decodeEntities(match[1] ?? match[2]) : null;
+}
+
+// href relativ zum Verzeichnis dir -> Eintrag im ZIP (mit #Fragment)
+export function resolveHref(dir, href) {
+  const [file, fragment] = href.split("#");
+  let name = file;
+  try { name = decodeURI(file) } catch (error) { }
+  name = (name) ? path.posix.normalize(path.posix.join(dir, name)) : "";
+  return name + ((fragment) ? "#" + fragment : "");
+}
+
+async function readText(file, name) {
+  const data = await readZipEntry(file, name);
+  return (data) ? data.toString('utf8') : null;
+}
+
+function parseNav(xhtml, dir) {
+  const navs = xhtml.match(/<nav\b[^>]*>[\s\S]*?<\/nav>/gi) || [];
+  const nav = navs.find((nav) => /epub:type\s*=\s*["'][^"']*\btoc\b/i.test(nav.substring(0, nav.indexOf(">")))) || navs[0];
+  if (!nav) return [];
+  const toc = [];
+  let depth = 0;
+  for (let match of nav.matchAll(/<(\/?)ol\b[^>]*>|<a\b([^>]*)>([\s\S]*?)<\/a>/gi)) {
+    if (match[2] === undefined) {
+      depth += (match[1]) ? -1 : 1;
+    } else {
+      const href = attribute(match[2], "href");
+      if (href) toc.push({ title: stripTags(match[3]), href: resolveHref(dir, href), level: Math.max(depth - 1, 0) });
+    }
+  }
+  return toc;
+}
+
+function parseNcx(ncx, dir) {
+  const toc = [];
+  let depth = 0;
+  let title = "";
+  for (let match of ncx.matchAll(/<navPoint\b[^>]*>|<\/navPoint>|<text>([\s\S]*?)<\/text>|<content\b([^>]*)>/gi)) {
+    if (match[0].startsWith("</")) {
+      depth--;
+    } else if (match[1] !== undefined) {
+      title = stripTags(match[1]);
+    } else if (match[2] !== undefined) {
+      const src = attribute(match[2], "src");
+      if (src) toc.push({ title, href: resolveHref(dir, src), level: Math.max(depth - 1, 0) });
+    } else {
+      depth++;
+      title = "";
+    }
+  }
+  return toc;
+}
+
+// Exported functions **************************************
+
+// Eintrag der OPF-Datei laut META-INF/container.xml, null wenn es keinen gibt
+export async function getOpfName(file) {
+  const container = await readText(file, "META-INF/container.xml");
+  const rootfile = (container) ? container.match(/<rootfile\b[^>]*>/i) : null;
+  return (rootfile) ? attribute(rootfile[0], "full-path") : null;
+}
+
+// { opf, title, spine: [Eintrag], toc: [{ title, href, level }] }
+export async function getEpubStructure(file) {
+  const opf = await getOpfName(file);
+  const opfText = (opf) ? await readText(file, opf) : null;
+  if (!opfText) throw new ZipError("No OPF file found in " + file);
+  const dir = path.posix.dirname(opf);
+
+  const manifest = new Map();
+  for (let [tag] of opfText.matchAll(/<(?:opf:)?item\b[^>]*>/gi)) {
+    manifest.set(attribute(tag, "id"), { href: resolveHref(dir, attribute(tag, "href") || ""), type: attribute(tag, "media-type"), properties: attribute(tag, "properties") || "" });
+  }
+  const spine = [];
+  for (let [tag] of opfText.matchAll(/<(?:opf:)?itemref\b[^>]*>/gi)) {
+    const item = manifest.get(attribute(tag, "idref"));
+    if (item && attribute(tag, "linear") !== "no") spine.push(item.href);
+  }
+  const titleMatch = opfText.match(/<dc:title\b[^>]*>([\s\S]*?)<\/dc:title>/i);
+
+  let toc = [];
+  const navItem = Array.from(manifest.values()).find((item) => item.properties.split(/\s+/).includes("nav"));
+  const spineTag = opfText.match(/<(?:opf:)?spine\b[^>]*>/i);
+  const ncxItem = manifest.get((spineTag) ? attribute(spineTag[0], "toc") : null) || Array.from(manifest.values()).find((item) => item.type === "application/x-dtbncx+xml");
+  if (navItem) {
+    const nav = await readText(file, navItem.href);
+    if (nav) toc = parseNav(nav, path.posix.dirname(navItem.href));
+  }
+  if (toc.length === 0 && ncxItem) {
+    const ncx = await readText(file, ncxItem.href);
+    if (ncx) toc = parseNcx(ncx, path.posix.dirname(ncxItem.href));
+  }
+
+  return { opf, title: (titleMatch) ? stripTags(titleMatch[1]) : "", spine, toc };
+}
+
+// Pfad aus der URL -> Eintrag im ZIP; null, wenn er aus dem Archiv heraus zeigen würde
+export function sanitizeEntryName(name) {
+  if (!name || name.includes("\0") || name.includes("\\")) return null;
+  const normalized = path.posix.normalize(name);
+  if (normalized.startsWith("/") || normalized === ".." || normalized.startsWith("../")) return null;
+  return normalized;
+}
@@ -0,0 +1,94 @@
+'use strict';
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+import de from './locales/de.json' with {type: 'json'}
+import en from './locales/en.json' with {type: 'json'}
+
+// Texte der Oberfläche je Sprache (app/locales/<code>.json). Schlüssel mit Punkten ("list.notFound"), Platzhalter in
+// geschweiften Klammern ("{count}"), Einzahl/Mehrzahl als { "one": ..., "other": ... } je nach params.count.
+// Fehlt ein Text, gilt der der Standardsprache. Der Abschnitt "client" enthält die Texte von public/app.js.
+// Sprache eines Requests: Einstellung des Benutzers (Cookie), sonst Accept-Language des Browsers, sonst DEFAULT_LANGUAGE.
+const catalogs = { de, en };
+const COOKIE_DAYS = 365;
+
+export const languages = Object.keys(catalogs);
+export const DEFAULT_LANGUAGE = (catalogs[process.env.DEFAULT_LANGUAGE]) ? process.env.DEFAULT_LANGUAGE : "de";
+export const LANGUAGE_COOKIE = "cassis_lang";
+
+// Sprache des Requests ("de", "en"). Gesetzt in selectLanguage.
+export const languageContext = new AsyncLocalStorage();
+
+// Base functions ***********************
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object') ? node[part] : undefined, catalog);
+}
+
+// Accept-Language: "en-US,en;q=0.9,de;q=0.8" -> ["en", "de"] (nur bekannte Sprachen, nach Gewichtung)
+function acceptedLanguages(header) {
+  return (header || "").split(",")
+    .map((part, index) => {
+      const [range, ...params] = part.trim().split(";");
+      const q = params.map((param) => param.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+      return { language: range.trim().toLowerCase().split("-")[0], q: (q) ? parseFloat(q[1]) : 1, index };
+    })
+    .filter((entry) => entry.q > 0 && catalogs[entry.language])
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map((entry) => entry.language);
+}
+
+// Exported functions **************************************
+
+export function isLanguage(language) {
+  return Boolean(language && catalogs[language]);
+}
+
+export function currentLanguage() {
+  return languageContext.getStore() || DEFAULT_LANGUAGE;
+}
+
+// Locale für Intl (Datum, Zahlen), z.B. "de-DE"
+export function currentLocale() {
+  return catalogs[currentLanguage()].locale;
+}
+
+export function t(key, params = {}) {
+  let text = lookup(catalogs[currentLanguage()], key);
+  if (text === undefined) text = lookup(catalogs[DEFAULT_LANGUAGE], key);
+  if (text === undefined) return key;
+  if (typeof text === 'object') {
+    text = text[new Intl.PluralRules(currentLocale()).select(params.count)] || text.other;
+  }
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined && params[name] !== null) ? params[name] : match);
+}
+
+// Auswahl für die Einstellungen: jede Sprache in ihrer eigenen Schreibweise
+export function languageOptions() {
+  return languages.map((code) => ({ code, name: catalogs[code].name }));
+}
+
+// Texte für public/app.js (als JSON in start.pug eingebettet)
+export function clientMessages() {
+  return Object.assign({}, catalogs[DEFAULT_LANGUAGE].client, catalogs[currentLanguage()].client);
+}
+
+// Gewählte Sprache im Browser merken, "" (automatisch) löscht die Einstellung
+export function setLanguageCookie(request, response, language) {
+  if (isLanguage(language)) {
+    response.cookie(LANGUAGE_COOKIE, language, { sameSite: 'lax', secure: request.secure, maxAge: COOKIE_DAYS * 24 * 60 * 60 * 1000 });
+  } else {
+    response.clearCookie(LANGUAGE_COOKIE);
+  }
+}
+
+// Middleware **************************
+
+export function selectLanguage(request, response, next) {
+  const cookie = request.cookies && request.cookies[LANGUAGE_COOKIE];
+  const language = (isLanguage(cookie)) ? cookie : acceptedLanguages(request.get('accept-language'))[0] || DEFAULT_LANGUAGE;
+  response.locals.lang = language;
+  response.locals.t = t;
+  response.vary('Accept-Language');
+  languageContext.run(language, next);
+}
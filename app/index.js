@@ -4,36 +4,70 @@ import { Router } from 'express';
 
 import {
   startAction, listAction, bookAction, fileAction, coverListAction, coverBookAction,
-  infoAction, countAction, dbAction, tagsAction, ccAction, logAction, tagsCountAction,
-  authorsCountAction, seriesCountAction, publishersCountAction
+  infoAction, countAction, healthAction, dbAction, tagsAction, ccAction, logAction, tagsCountAction,
+  authorsCountAction, seriesCountAction, publishersCountAction, eventsAction, readerAction, epubAction,
+  comicAction, comicPageAction, zipAction, sendtoAction, sendBookAction, recipientAction,
+  downloadsCountAction, bookStateAction, shelvesAction, bookShelvesAction, shelfAction, shelfBookAction, exportStatesAction,
+  syncKeyAction, koboTokenAction, languageAction
 } from './controller.js';
+import { authenticate, requireAdmin } from './auth.js';
 
 const router = Router();
 
+// Healthcheck: ohne Anmeldung
+router.get('/health', healthAction);
+
+router.use(authenticate);
+
 router.get('/', startAction);
+router.get('/count', countAction);
 
 //APP-Calls
+router.get('/list', listAction);
 router.post('/list/:type?', listAction);
 router.get('/cover/book/:id', coverBookAction);
 router.get('/cover/list/:id', coverListAction);
+router.get('/book', bookAction);
 router.post('/book', bookAction);
 router.get('/info', infoAction);
+router.get('/events', eventsAction);
 
 router.get('/tags/count', tagsCountAction);
 router.get('/authors/count', authorsCountAction);
 router.get('/series/count', seriesCountAction);
 router.get('/publishers/count', publishersCountAction);
+router.get('/downloads/count', downloadsCountAction);
 
 router.get('/tags/:tagId', tagsAction);
 router.get('/cc/:ccNum/:ccId', ccAction);
-router.get('/log/:key/:value', logAction);
+router.get('/log/:key/:value', requireAdmin, logAction);
 router.get('/file/:format/:id', fileAction);
+router.get('/zip/:format', zipAction);
+router.get('/reader/:id', readerAction);
+router.get('/epub/:id/*', epubAction);
+router.get('/comics/:id', comicAction);
+router.get('/comics/:id/:page', comicPageAction);
+router.get('/sendto/:id', sendtoAction);
+router.post('/sendto/:id', sendBookAction);
+router.post('/recipients', recipientAction);
+router.delete('/recipients/:id', recipientAction);
+router.post('/state/:id', bookStateAction);
+router.get('/shelves', shelvesAction);
+router.get('/shelves/export', exportStatesAction);
+router.get('/shelves/book/:id', bookShelvesAction);
+router.post('/shelves', shelfAction);
+router.delete('/shelves/:id', shelfAction);
+router.put('/shelves/:id/books/:bookId', shelfBookAction);
+router.delete('/shelves/:id/books/:bookId', shelfBookAction);
+router.post('/kosync', syncKeyAction);
+router.post('/kobo', koboTokenAction);
+router.delete('/kobo/:id', koboTokenAction);
+router.post('/language', languageAction);
 
 router.get('/:type/:id', startAction);
 
 //API-Calls
-router.get('/count', countAction);
-router.get('/connectdb', dbAction);
-router.get('/unconnectdb', dbAction);
+router.get('/connectdb', requireAdmin, dbAction);
+router.get('/unconnectdb', requireAdmin, dbAction);
 
 export { router };
@@ -0,0 +1,83 @@
+'use strict';
+
+import fs from 'fs-extra';
+import { finished } from 'node:stream/promises';
+
+import { listZip, readZipEntry, createZipWriter } from './zip.js';
+
+// KEPUB für Kobo-Reader aus einem EPUB (wie kepubify): der Text der Kapitel wird satzweise in
+// <span class="koboSpan" id="kobo.<Absatz>.<Satz>"> gesetzt (Lesefortschritt, Markierungen, Seitenzahlen auf dem Kobo),
+// der Inhalt von <body> kommt in div#book-columns/div#book-inner, im OPF wird das Cover als "cover-image" markiert.
+
+const skipTags = ["script", "style", "svg", "math", "pre"];
+const blockTags = ["p", "div", "h1", "h2", "h3", "h4", "h5", "h6", "li", "dt", "dd", "blockquote", "td", "th", "figcaption", "caption"];
+
+// Base functions ***********************
+
+function tagName(tag) {
+  const match = tag.match(/^<\/?([\w:-]+)/);
+  return (match) ? match[1].toLowerCase().replace(/^.*:/, "") : "";
+}
+
+function addKoboSpans(html) {
+  if (html.includes("koboSpan")) return html;  // schon KEPUB
+  const bodyTag = html.match(/<body\b[^>]*>/i);
+  const bodyEnd = html.search(/<\/body\s*>/i);
+  if (!bodyTag || bodyEnd < 0) return html;
+  const bodyStart = bodyTag.index + bodyTag[0].length;
+
+  let paragraph = 1;
+  let sentence = 0;
+  let skip = 0;
+  const body = html.substring(bodyStart, bodyEnd).replace(/(<!--[\s\S]*?-->|<[^>]*>)|([^<]+)/g, (match, tag, text) => {
+    if (tag) {
+      const name = tagName(tag);
+      if (skipTags.includes(name) && !tag.endsWith("/>")) skip = Math.max(skip + ((tag.startsWith("</")) ? -1 : 1), 0);
+      if (blockTags.includes(name) && !tag.startsWith("</") && sentence > 0) { paragraph++; sentence = 0; }
+      return tag;
+    }
+    if (skip > 0 || !text.trim()) return text;
+    // Sätze enden mit . ! ? … (auch mit folgenden Anführungszeichen oder Klammern) vor Leerraum
+    return text.split(/(?<=[.!?…]["'»«“”‘’)\]]*)(?=\s)/).map((part) => {
+      if (!part.trim()) return part;
+      const space = part.match(/^\s*/)[0];
+      return space + '<span class="koboSpan" id="kobo.' + paragraph + '.' + (++sentence) + '">' + part.substring(space.length) + '</span>';
+    }).join("");
+  });
+
+  const style = '<style type="text/css" class="kobostylehacks">div#book-inner { margin-top: 0; margin-bottom: 0; }</style>';
+  const head = html.substring(0, bodyStart).replace(/<\/head\s*>/i, (end) => style + end);
+  return head + '<div id="book-columns"><div id="book-inner">' + body + '</div></div>' + html.substring(bodyEnd);
+}
+
+function fixOpf(opf) {
+  // EPUB 2: <meta name="cover" content="<id>"/> -> properties="cover-image" am Manifest-Eintrag (braucht der Kobo für das Cover)
+  const meta = opf.match(/<meta\b(?=[^>]*\sname\s*=\s*["']cover["'])[^>]*\scontent\s*=\s*["']([^"']+)["'][^>]*>/i);
+  if (!meta) return opf;
+  return opf.replace(/<(?:opf:)?item\b[^>]*>/gi, (item) => {
+    if (!new RegExp("\\sid\\s*=\\s*[\"']" + meta[1].replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + "[\"']").test(item) || /cover-image/.test(item)) return item;
+    if (/\sproperties\s*=\s*["']/.test(item)) return item.replace(/(\sproperties\s*=\s*["'])/, "$1cover-image ");
+    return item.replace(/\s*(\/?>)$/, ' properties="cover-image"$1');
+  });
+}
+
+// Exported functions **************************************
+
+export async function convertToKepub(source, target) {
+  const output = fs.createWriteStream(target);
+  const zip = createZipWriter(output);
+  try {
+    await zip.addEntry("mimetype", Buffer.from("application/epub+zip"), { store: true });
+    for (let entry of await listZip(source)) {
+      if (entry.name === "mimetype") continue;
+      let data = await readZipEntry(source, entry.name);
+      if (/\.x?html?$/i.test(entry.name)) data = Buffer.from(addKoboSpans(data.toString('utf8')), 'utf8');
+      else if (/\.opf$/i.test(entry.name)) data = Buffer.from(fixOpf(data.toString('utf8')), 'utf8');
+      await zip.addEntry(entry.name, data);
+    }
+    await zip.finish();
+  } finally {
+    output.end();
+    await finished(output);
+  }
+}
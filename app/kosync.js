@@ -0,0 +1,38 @@
+'use strict';
+
+import fs from 'fs-extra';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+// Dokument-Hashes wie KOReader sie für den Fortschritts-Sync (kosync) bildet:
+// "Binär" (Standard): MD5 über je 1 KB ab den Positionen 0, 1 KB, 4 KB, 16 KB ... 1 GB (solange die Datei reicht),
+// "Dateiname": MD5 des Dateinamens ohne Verzeichnis. Das Passwort überträgt KOReader ebenfalls als MD5 ("userkey").
+const STEP = 1024;
+const SAMPLE_SIZE = 1024;
+
+// Exported functions **************************************
+
+export async function partialMD5(file) {
+  const hash = crypto.createHash('md5');
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    const buffer = Buffer.alloc(SAMPLE_SIZE);
+    for (let i = -1; i <= 10; i++) {
+      const position = (i < 0) ? 0 : STEP * Math.pow(4, i);
+      const { bytesRead } = await handle.read(buffer, 0, SAMPLE_SIZE, position);
+      if (bytesRead === 0) break;
+      hash.update(buffer.subarray(0, bytesRead));
+    }
+  } finally {
+    await handle.close();
+  }
+  return hash.digest('hex');
+}
+
+export function filenameHash(filename) {
+  return crypto.createHash('md5').update(path.basename(filename), 'utf8').digest('hex');
+}
+
+export function syncKey(password) {
+  return crypto.createHash('md5').update(password, 'utf8').digest('hex');
+}
@@ -0,0 +1,78 @@
+'use strict';
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import fs from 'fs-extra';
+import { logger, errorLogger } from '../log.js';
+
+// Calibre-Bibliotheken. LIBRARIES nennt eine JSON-Datei, z.B.
+//   [{ "id": "romane", "name": "Romane", "path": "/books/romane" }, { "id": "technik", "name": "Technik", "path": "/books/technik" }]
+// (path = Calibre-Bibliotheksordner mit metadata.db). Ohne LIBRARIES gibt es eine Bibliothek aus METADATA_PATH und BOOKDIR.
+// Die erste Bibliothek ist unter /app, /opds und /api/v1 erreichbar, jede unter /lib/<id>/app, /lib/<id>/opds und /lib/<id>/api/v1.
+const LIBRARIES = process.env.LIBRARIES;
+const METADATA_PATH = process.env.METADATA_PATH || process.env.HOME + "/Documents/Calibre/metadata.db"
+const BOOKDIR = process.env.BOOKDIR || process.env.HOME + "/Documents/Calibre"
+
+// Bibliothek des Requests: { library, base }, base = URL-Präfix der Links ("" oder "/lib/<id>"). Gesetzt in selectLibrary.
+export const libraryContext = new AsyncLocalStorage();
+
+export const libraries = loadLibraries();
+
+// Base functions ***********************
+
+function loadLibraries() {
+  if (!LIBRARIES) {
+    return [{ id: "calibre", name: "Calibre", metadataPath: METADATA_PATH, bookDir: BOOKDIR }];
+  }
+  try {
+    const list = fs.readJsonSync(LIBRARIES).map((entry) => {
+      if (!/^[\w-]+$/.test(entry.id || "")) throw new Error("Invalid library id '" + entry.id + "' in " + LIBRARIES);
+      return {
+        id: entry.id, name: entry.name || entry.id,
+        metadataPath: entry.metadataPath || entry.path + "/metadata.db",
+        bookDir: entry.bookDir || entry.path
+      };
+    });
+    if (list.length === 0) throw new Error("No libraries found in " + LIBRARIES);
+    logger.info("Libraries: " + list.map((library) => library.id).join(", "));
+    return list;
+  } catch (error) {
+    errorLogger(error);
+    process.exit(1);
+  }
+}
+
+// Exported functions **************************************
+
+export function getLibrary(id) {
+  return libraries.find((library) => library.id === id);
+}
+
+export function currentLibrary() {
+  const store = libraryContext.getStore();
+  return (store) ? store.library : libraries[0];
+}
+
+export function libraryBase() {
+  const store = libraryContext.getStore();
+  return (store) ? store.base : "";
+}
+
+// Für Hintergrundjobs außerhalb eines Requests
+export function runInLibrary(library, callback) {
+  return libraryContext.run({ library, base: "/lib/" + library.id }, callback);
+}
+
+// Middleware **************************
+
+export function selectLibrary(request, response, next) {
+  const library = (request.params.library) ? getLibrary(request.params.library) : libraries[0];
+  if (!library) {
+    response.status(404).send("Unknown library '" + request.params.library + "'");
+    return;
+  }
+  const base = (request.params.library) ? "/lib/" + library.id : "";
+  response.locals.base = base;
+  response.locals.library = { id: library.id, name: library.name };
+  response.locals.libraries = libraries.map((library) => { return { id: library.id, name: library.name } });
+  libraryContext.run({ library, base }, next);
+}
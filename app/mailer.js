@@ -0,0 +1,221 @@
+'use strict';
+
+import fs from 'fs-extra';
+import net from 'node:net';
+import tls from 'node:tls';
+import os from 'node:os';
+import crypto from 'node:crypto';
+
+import { logger } from '../log.js';
+
+// Versand von E-Books per E-Mail (Send-to-Kindle, PocketBook u.a.) über einen SMTP-Server.
+// SMTP_SECURE=true: TLS ab Verbindungsaufbau (Port 465), sonst STARTTLS, wenn der Server es anbietet.
+// Anmeldedaten (SMTP_USER) werden nur verschlüsselt gesendet, außer mit SMTP_INSECURE=true.
+// Für Tests genügt ein lokaler SMTP-Server ohne TLS und Anmeldung (z.B. Mailpit: SMTP_HOST=localhost, SMTP_PORT=1025).
+const SMTP_HOST = process.env.SMTP_HOST || "";
+const SMTP_SECURE = process.env.SMTP_SECURE === "true";
+const SMTP_PORT = parseInt(process.env.SMTP_PORT) || ((SMTP_SECURE) ? 465 : 587);
+const SMTP_USER = process.env.SMTP_USER || "";
+const SMTP_PASSWORD = process.env.SMTP_PASSWORD || "";
+const SMTP_INSECURE = process.env.SMTP_INSECURE === "true";
+const SMTP_FROM = process.env.SMTP_FROM || SMTP_USER;
+const SMTP_TIMEOUT = 60 * 1000;
+const MAIL_MAX_MB = parseFloat(process.env.MAIL_MAX_MB) || 25;
+
+export const mailEnabled = Boolean(SMTP_HOST && SMTP_FROM);
+// Größte Datei, die versendet wird: Base64 macht Anhänge um ein Drittel größer
+export const maxAttachmentSize = Math.floor(MAIL_MAX_MB * 1024 * 1024 * 3 / 4);
+
+const mailTypes = {
+  "epub": "application/epub+zip", "pdf": "application/pdf", "mobi": "application/x-mobipocket-ebook",
+  "azw3": "application/vnd.amazon.ebook", "txt": "text/plain", "rtf": "application/rtf", "fb2": "application/x-fictionbook+xml",
+  "docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+};
+
+// Formate, die als Anhang versendet werden (KEPUB nicht: Kobo-Reader empfangen keine E-Mails)
+export const mailFormats = Object.keys(mailTypes);
+
+export class MailError extends Error { }
+
+if (mailEnabled) logger.info("Sending e-books by mail via " + SMTP_HOST + ":" + SMTP_PORT + " from " + SMTP_FROM + " (max. " + MAIL_MAX_MB + " MB)");
+
+// Base functions ***********************
+
+// Antworten des Servers zeilenweise lesen; eine Antwort endet mit "<Code> " (mehrzeilige Antworten: "<Code>-")
+function createReader(socket) {
+  let buffer = "";
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  function settle() {
+    while (replies.length && waiting.length) waiting.shift().resolve(replies.shift());
+    while (failure && waiting.length) waiting.shift().reject(failure);
+  }
+
+  const onData = (data) => {
+    buffer += data.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.substring(0, end).replace(/\r$/, "");
+      buffer = buffer.substring(end + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({ code: parseInt(line.substring(0, 3), 10), lines: lines.map((l) => l.substring(4)), text: lines.join(" ") });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onError = (error) => { failure = failure || error; settle(); };
+  const onClose = () => { failure = failure || new MailError("Connection closed by " + SMTP_HOST); settle(); };
+  socket.on('data', onData).on('error', onError).on('close', onClose);
+
+  return {
+    read() {
+      return new Promise((resolve, reject) => { waiting.push({ resolve, reject }); settle(); });
+    },
+    detach() {
+      socket.off('data', onData).off('error', onError).off('close', onClose);
+    }
+  };
+}
+
+function connect() {
+  return new Promise((resolve, reject) => {
+    const options = { host: SMTP_HOST, port: SMTP_PORT, servername: SMTP_HOST };
+    const socket = (SMTP_SECURE) ? tls.connect(options) : net.connect(options);
+    socket.setTimeout(SMTP_TIMEOUT, () => socket.destroy(new MailError("Timeout talking to " + SMTP_HOST)));
+    socket.once((SMTP_SECURE) ? 'secureConnect' : 'connect', () => { socket.off('error', reject); resolve(socket); });
+    socket.once('error', reject);
+  });
+}
+
+function upgrade(socket) {
+  return new Promise((resolve, reject) => {
+    const secure = tls.connect({ socket, servername: SMTP_HOST }, () => { secure.off('error', reject); resolve(secure); });
+    secure.once('error', reject);
+  });
+}
+
+async function write(socket, data) {
+  if (!socket.write(data)) {
+    await new Promise((resolve, reject) => {
+      const cleanup = () => { socket.off('drain', onDrain); socket.off('close', onClose); };
+      const onDrain = () => { cleanup(); resolve(); };
+      const onClose = () => { cleanup(); reject(new MailError("Connection closed by " + SMTP_HOST)); };
+      socket.on('drain', onDrain).on('close', onClose);
+    });
+  }
+}
+
+// Nicht-ASCII-Text in Kopfzeilen nach RFC 2047
+function encodeHeader(text) {
+  return (/^[\x20-\x7e]*$/.test(text)) ? text : "=?UTF-8?B?" + Buffer.from(text, 'utf8').toString('base64') + "?=";
+}
+
+function base64Lines(buffer) {
+  return buffer.toString('base64').replace(/.{76}/g, "$&\r\n").replace(/\r\n$/, "");
+}
+
+function messageHead(mail, boundary) {
+  const asciiName = mail.filename.normalize('NFD').replace(/[^\x20-\x7e]/g, "").replace(/["\\]/g, "") || "book";
+  const type = mailTypes[mail.format] || "application/octet-stream";
+  return [
+    "From: " + SMTP_FROM,
+    "To: " + mail.to,
+    "Subject: " + encodeHeader(mail.subject),
+    "Date: " + new Date().toUTCString().replace("GMT", "+0000"),
+    "Message-ID: <" + crypto.randomUUID() + "@" + (SMTP_FROM.split("@")[1] || os.hostname()) + ">",
+    "MIME-Version: 1.0",
+    "Content-Type: multipart/mixed; boundary=\"" + boundary + "\"",
+    "",
+    "--" + boundary,
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(Buffer.from(mail.text, 'utf8')),
+    "--" + boundary,
+    "Content-Type: " + type + "; name=\"" + asciiName + "\"",
+    "Content-Disposition: attachment; filename=\"" + asciiName + "\"; filename*=UTF-8''" + encodeURIComponent(mail.filename),
+    "Content-Transfer-Encoding: base64",
+    "",
+    ""
+  ].join("\r\n");
+}
+
+// Anhang als Base64 in Zeilen zu 76 Zeichen (57 Bytes), die Datei wird dabei gestreamt.
+// Base64 enthält keine Punkte, die Nachricht braucht deshalb kein "Dot-Stuffing".
+async function writeAttachment(socket, file) {
+  let rest = Buffer.alloc(0);
+  for await (let chunk of fs.createReadStream(file, { highWaterMark: 57 * 1024 })) {
+    const data = Buffer.concat([rest, chunk]);
+    const usable = data.length - (data.length % 57);
+    rest = data.subarray(usable);
+    if (usable) await write(socket, base64Lines(data.subarray(0, usable)) + "\r\n");
+  }
+  if (rest.length) await write(socket, base64Lines(rest) + "\r\n");
+}
+
+// Exported functions **************************************
+
+// Einfache Prüfung, die vor allem Steuerzeichen und spitze Klammern in SMTP-Befehlen ausschließt
+export function isMailAddress(address) {
+  return typeof address === 'string' && address.length <= 254 && /^[^\s<>()\[\],;:"@]+@[^\s<>()\[\],;:"@]+\.[^\s<>()\[\],;:"@]+$/.test(address);
+}
+
+// mail: { to, subject, text, file, filename, format }; liefert die Antwort des Servers auf die Nachricht
+export async function sendMail(mail) {
+  if (!mailEnabled) throw new MailError("Mail is not configured (SMTP_HOST, SMTP_FROM)");
+  if (!isMailAddress(mail.to)) throw new MailError("Invalid mail address: " + mail.to);
+  let socket = await connect();
+  let reader = createReader(socket);
+
+  // secret: Anmeldedaten nicht ins Log schreiben
+  async function command(line, expected, secret) {
+    if (line !== null) await write(socket, line + "\r\n");
+    const reply = await reader.read();
+    (logger.isLevelEnabled('silly')) && logger.silly("sendMail: " + ((secret) ? "***" : line) + " -> " + reply.text);
+    if (!expected.includes(reply.code)) throw new MailError("SMTP server " + SMTP_HOST + ": " + reply.text);
+    return reply;
+  }
+
+  try {
+    await command(null, [220]);
+    let ehlo = await command("EHLO " + os.hostname(), [250]);
+    let encrypted = SMTP_SECURE;
+    if (!SMTP_SECURE && ehlo.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+      await command("STARTTLS", [220]);
+      reader.detach();
+      socket = await upgrade(socket);
+      socket.setTimeout(SMTP_TIMEOUT, () => socket.destroy(new MailError("Timeout talking to " + SMTP_HOST)));
+      reader = createReader(socket);
+      encrypted = true;
+      ehlo = await command("EHLO " + os.hostname(), [250]);
+    }
+    if (SMTP_USER) {
+      // fehlt STARTTLS (falsch eingerichtet oder von einem Angreifer aus der Antwort entfernt), kein Passwort im Klartext
+      if (!encrypted && !SMTP_INSECURE) throw new MailError("SMTP server " + SMTP_HOST + " offers no STARTTLS: refusing to send the password unencrypted (SMTP_INSECURE=true allows it)");
+      const auth = ehlo.lines.find((line) => /^AUTH\b/i.test(line)) || "";
+      if (/\bPLAIN\b/i.test(auth) || !/\bLOGIN\b/i.test(auth)) {
+        await command("AUTH PLAIN " + Buffer.from("\0" + SMTP_USER + "\0" + SMTP_PASSWORD, 'utf8').toString('base64'), [235], true);
+      } else {
+        await command("AUTH LOGIN", [334]);
+        await command(Buffer.from(SMTP_USER, 'utf8').toString('base64'), [334], true);
+        await command(Buffer.from(SMTP_PASSWORD, 'utf8').toString('base64'), [235], true);
+      }
+    }
+    await command("MAIL FROM:<" + SMTP_FROM.replace(/^.*<|>.*$/g, "") + ">", [250]);
+    await command("RCPT TO:<" + mail.to + ">", [250, 251]);
+    await command("DATA", [354]);
+    const boundary = "cassis-" + crypto.randomBytes(12).toString('hex');
+    await write(socket, messageHead(mail, boundary));
+    await writeAttachment(socket, mail.file);
+    const reply = await command("--" + boundary + "--\r\n.", [250]);
+    await command("QUIT", [221]).catch(() => { });
+    return reply.text;
+  } finally {
+    socket.destroy();
+  }
+}
@@ -1,33 +1,120 @@
 'use strict';
 
 import { DatabaseSync } from 'node:sqlite';
+import { EventEmitter } from 'node:events';
 import fs from 'fs-extra';
 import { logger, errorLogger } from '../log.js';
+import { restrictionContext } from './restrictions.js';
+import { libraries, currentLibrary } from './libraries.js';
+import { compileSearch, SearchError } from './search.js';
 
-const METADATA_PATH = process.env.METADATA_PATH || process.env.HOME + "/Documents/Calibre/metadata.db"
+const WATCH_INTERVAL = parseInt(process.env.WATCH_INTERVAL ?? 10);  // Sekunden, 0 = metadata.db nicht überwachen
 
-if (!fs.existsSync(METADATA_PATH)) {
-  logger.error("Calibre-Datenbank nicht gefunden im Pfad: " + METADATA_PATH);
-  process.exit(1);
+for (let library of libraries) {
+  if (!fs.existsSync(library.metadataPath)) {
+    logger.error("Calibre-Datenbank nicht gefunden im Pfad: " + library.metadataPath);
+    process.exit(1);
+  }
+  library.db = new DatabaseSync(library.metadataPath, { open: true });
+  if (library.db) logger.info("Connected to Calibre Database at " + library.metadataPath + " (library '" + library.id + "')")
+}
+
+// Datenbank der Bibliothek des aktuellen Requests (s. libraries.js)
+function metadataDb() {
+  return currentLibrary().db;
+}
+
+// Einschränkungen des angemeldeten Benutzers (allow/deny-Regeln, s. restrictions.js) *****
+
+const queryCustomColumnByLabel = 'SELECT id, normalized FROM custom_columns WHERE label = ?';
+const queryCustomColumnDefinitions = `
+SELECT id, label, name, datatype, is_multiple AS isMultiple, normalized, display
+FROM custom_columns
+WHERE mark_for_delete = 0
+ORDER BY name COLLATE NOCASE`;
+const querySavedSearches = "SELECT val FROM preferences WHERE key = 'saved_searches'";
+
+function sqlString(value) {
+  return "'" + String(value).replaceAll("'", "''") + "'";
 }
 
-const METADATA_DB = new DatabaseSync(METADATA_PATH, { open: true });
-if (METADATA_DB) logger.info("Connected to Calibre Database at " + METADATA_PATH)
+function ruleClause(rule) {  // SQL-Bedingung für books.id; "0" = Regel trifft auf kein Buch zu
+  switch (rule.type) {
+    case "tag":
+      return `id IN (SELECT btl.book FROM books_tags_link btl JOIN tags t ON t.id = btl.tag WHERE t.name = ` + sqlString(rule.value) + `)`;
+
+    case "cc":
+      const column = metadataDb().prepare(queryCustomColumnByLabel).get(rule.column.replace(/^#/, ""));
+      if (!column) return "0";
+      if (column.normalized)
+        return `id IN (SELECT bccl.book FROM books_custom_column_` + column.id + `_link bccl JOIN custom_column_` + column.id +
+          ` cc ON cc.id = bccl.value WHERE cc.value = ` + sqlString(rule.value) + `)`;
+      return `id IN (SELECT book FROM custom_column_` + column.id + ` WHERE value = ` + sqlString(rule.value) + `)`;
+
+    case "search":
+      // Gespeicherte Suche in Calibre-Syntax, Werte direkt als SQL-Strings eingesetzt
+      try {
+        const condition = compileSearch('search:"=' + rule.value.replace(/["\\]/g, '\\$&') + '"', "sb", searchContext(sqlString));
+        return `id IN (SELECT sb.id FROM books sb WHERE ` + condition + `)`;
+      } catch (error) {
+        if (error instanceof SearchError) { logger.warn("ruleClause: " + error.message); return "0"; }
+        throw error;
+      }
+  }
+  return "0";
+}
+
+function restrictionClause() {
+  const rules = restrictionContext.getStore();
+  if (!rules || rules.length === 0) return "";
+
+  const clauses = [];
+  const allow = rules.filter((rule) => rule.mode === 'allow').map(ruleClause);
+  if (allow.length > 0) clauses.push("(" + allow.join(" OR ") + ")");
+  rules.filter((rule) => rule.mode === 'deny').map((rule) => clauses.push("NOT " + ruleClause(rule)));
+  return clauses.join(" AND ");
+}
+
+// Benutzerdefinierte Spalten und gespeicherte Suchen für die Suchsprache (s. search.js)
+function searchContext(param) {
+  const savedSearches = metadataDb().prepare(querySavedSearches).get();
+  return {
+    columns: getCustomColumnDefinitions(),
+    savedSearches: (savedSearches) ? JSON.parse(savedSearches.val) : {},
+    param
+  };
+}
+
+// Für den Benutzer sichtbare Bücher: ersetzt die Tabelle books in allen Abfragen
+function booksSource() {
+  const clause = restrictionClause();
+  return (clause) ? "(SELECT * FROM books WHERE " + clause + ")" : "books";
+}
+
+function isBookVisible(bookId) {
+  const clause = restrictionClause();
+  if (!clause) return true;
+  return !!metadataDb().prepare("SELECT id FROM books WHERE id = ? AND " + clause).get(bookId);
+}
 
 // SQL 
-const bookColumns = ' b.id as bookId, b.title, b.sort, b.timestamp, b.pubdate, b.timestamp, b.series_index as seriesIndex, b.path ';
+const bookColumns = ' b.id as bookId, b.title, b.sort, b.timestamp, b.pubdate, b.series_index as seriesIndex, b.path, b.last_modified AS lastModified, b.has_cover AS hasCover ';
 
-const queryBook = `
-SELECT ` + bookColumns + `, (SELECT c.text FROM comments c WHERE c.book = b.id LIMIT 1) AS comment
-FROM books b
+function queryBook() {
+  return `
+SELECT ` + bookColumns + `, (SELECT c.text FROM comments c WHERE c.book = b.id LIMIT 1) AS comment,
+  (SELECT r.rating FROM books_ratings_link brl JOIN ratings r ON r.id = brl.rating WHERE brl.book = b.id LIMIT 1) AS rating
+FROM ` + booksSource() + ` b
 WHERE b.id = ?`;
+}
 
 function queryAuthorsOfBooks(bookIdString) {
   return `
-SELECT bsl.book AS bookId, a.name AS authorsName, a.id AS authorsId
+SELECT bsl.book AS bookId, a.name AS authorsName, a.id AS authorsId, a.sort AS authorsSort
 FROM books_authors_link bsl
 JOIN authors a ON bsl.author = a.id
-WHERE bsl.book IN (` + bookIdString + `);`;
+WHERE bsl.book IN (` + bookIdString + `)
+ORDER BY bsl.id;`;
 };
 
 function querySeriesOfBooks(bookIdString) {
@@ -41,7 +128,7 @@ WHERE b.id IN (` + bookIdString + `)`;
 
 function queryPublisherOfBook(bookIdString) {
   return `
-SELECT p.id, p.name
+SELECT bpl.book AS bookId, p.id, p.name
 FROM publishers p
 JOIN books_publishers_link bpl ON p.id = bpl.publisher
 WHERE bpl.book IN (` + bookIdString + `);
@@ -50,35 +137,76 @@ WHERE bpl.book IN (` + bookIdString + `);
 
 function queryTagsOfBook(bookIdString) {
   return `
-SELECT b.id AS bookId, t.name AS tagName, cc.id AS colId
+SELECT b.id AS bookId, t.name AS tagName
 FROM books b
 JOIN books_tags_link btl ON b.id = btl.book
 JOIN tags t ON btl.tag = t.id
-LEFT JOIN custom_columns cc ON cc.name = t.name
 WHERE b.id IN (` + bookIdString + `)`;
 }
 
 function queryFormatsOfBooks(bookIdString) {
   return `
-SELECT b.id AS bookId, LOWER(d.format) AS name
+SELECT b.id AS bookId, LOWER(d.format) AS name, d.uncompressed_size AS size
 FROM books b
 JOIN data d ON d.book = b.id
 WHERE b.id IN (` + bookIdString + `);`
 };
 
-const queryCustomColumnsIds = 'select id as colId, label, name from custom_columns';
+function queryLanguagesOfBooks(bookIdString) {
+  return `
+SELECT bll.book AS bookId, l.lang_code AS code
+FROM books_languages_link bll
+JOIN languages l ON bll.lang_code = l.id
+WHERE bll.book IN (` + bookIdString + `)
+ORDER BY bll.item_order;`;
+}
 
-function queryCustomColumns(colId) {
-  return 'SELECT id, value FROM custom_column_' + colId;
+function queryIdentifiersOfBooks(bookIdString) {
+  return `
+SELECT i.book AS bookId, i.type, i.val AS value
+FROM identifiers i
+WHERE i.book IN (` + bookIdString + `)
+ORDER BY i.type;`;
 }
 
-function queryCustomColumnsOfBooks(colId, bookIdString) {
+function queryUuidsOfBooks(bookIdString) {
   return `
-SELECT b.id AS bookId, cc.value
+SELECT b.id AS bookId, b.uuid
 FROM books b
-JOIN books_custom_column_` + colId + `_link bccl ON b.id = bccl.book
-JOIN custom_column_` + colId + ` cc ON cc.id = bccl.value
-WHERE b.id IN(` + bookIdString + `)`;
+WHERE b.id IN (` + bookIdString + `);`;
+}
+
+function queryCommentsOfBooks(bookIdString) {
+  return `
+SELECT c.book AS bookId, c.text AS comment
+FROM comments c
+WHERE c.book IN (` + bookIdString + `);`;
+}
+
+// Benutzerdefinierte Spalten: normalisierte Spalten (text, enumeration, series, rating) haben eine Wertetabelle
+// custom_column_N und eine Verknüpfung books_custom_column_N_link (bei series mit Index in "extra"),
+// alle anderen (bool, int, float, datetime, comments) speichern den Wert je Buch direkt in custom_column_N.
+// composite-Spalten werden von Calibre berechnet und haben keine Tabelle.
+const browsableDatatypes = ['text', 'enumeration', 'series', 'rating'];
+
+function queryCustomColumns(colId) {
+  if (!restrictionClause()) return 'SELECT id, value FROM custom_column_' + colId + ' ORDER BY value COLLATE NOCASE';
+  return `
+SELECT DISTINCT cc.id, cc.value
+FROM custom_column_` + colId + ` cc
+JOIN books_custom_column_` + colId + `_link bccl ON bccl.value = cc.id
+JOIN ` + booksSource() + ` b ON b.id = bccl.book
+ORDER BY cc.value COLLATE NOCASE`;
+}
+
+function queryCustomColumnOfBook(column) {
+  if (column.normalized) return `
+SELECT cc.id, cc.value` + ((column.datatype === 'series') ? ', bccl.extra' : '') + `
+FROM books_custom_column_` + column.id + `_link bccl
+JOIN custom_column_` + column.id + ` cc ON cc.id = bccl.value
+WHERE bccl.book = ?
+ORDER BY cc.value COLLATE NOCASE`;
+  return 'SELECT value FROM custom_column_' + column.id + ' WHERE book = ?';
 }
 
 const queryCoverData = `
@@ -87,87 +215,144 @@ FROM books b
 JOIN data d ON b.id = d.book
 WHERE b.id = ?;`
 
+const queryCoverList = `
+SELECT b.id AS bookId, b.path
+FROM books b
+WHERE b.has_cover = 1
+ORDER BY b.timestamp DESC;`
+
+const queryBookByUuid = 'SELECT id AS bookId FROM books WHERE uuid = ?';
+
 const queryFileData = `
 SELECT b.path, LOWER(d.name || '.' || d.format) AS filename
 FROM books b
 JOIN data d ON b.id = d.book
 WHERE b.id = ? AND d.format = ?;`
 
-const queryTags = 'SELECT id AS tagId, name AS tagName FROM tags';
+function queryTags() {
+  if (!restrictionClause()) return 'SELECT id AS tagId, name AS tagName FROM tags';
+  return `
+SELECT DISTINCT t.id AS tagId, t.name AS tagName
+FROM tags t
+JOIN books_tags_link btl ON btl.tag = t.id
+JOIN ` + booksSource() + ` b ON b.id = btl.book`;
+}
 
-const queryCounts = `
+function queryCounts() {
+  return `
 SELECT
-    (SELECT COUNT(*) FROM books) AS books,
-    (SELECT COUNT(*) FROM series) AS series,
-    (SELECT COUNT(*) FROM authors) AS authors,
-    (SELECT COUNT(*) FROM publishers) AS publishers,
-    (SELECT COUNT(*) FROM tags) AS tags;`
+    (SELECT COUNT(*) FROM ` + booksSource() + ` b) AS books,
+    (SELECT COUNT(DISTINCT bsl.series) FROM books_series_link bsl JOIN ` + booksSource() + ` b ON b.id = bsl.book) AS series,
+    (SELECT COUNT(DISTINCT bal.author) FROM books_authors_link bal JOIN ` + booksSource() + ` b ON b.id = bal.book) AS authors,
+    (SELECT COUNT(DISTINCT bpl.publisher) FROM books_publishers_link bpl JOIN ` + booksSource() + ` b ON b.id = bpl.book) AS publishers,
+    (SELECT COUNT(DISTINCT btl.tag) FROM books_tags_link btl JOIN ` + booksSource() + ` b ON b.id = btl.book) AS tags;`
+}
 
-const queryTagsCounts = `
+function queryTagsCounts() {
+  return `
 SELECT
   ROW_NUMBER() OVER (ORDER BY COUNT(DISTINCT btl.book) DESC, t.name ASC) AS num,
   t.id, t.name, 
   COUNT(DISTINCT btl.book) AS count
 FROM books_tags_link btl
 JOIN tags t ON btl.tag = t.id
+JOIN ` + booksSource() + ` b ON b.id = btl.book
 GROUP BY t.name
 ORDER BY count DESC`;
+}
 
-const queryAuthorsCounts = `
+function queryAuthorsCounts() {
+  return `
 SELECT
     ROW_NUMBER() OVER (ORDER BY COUNT(DISTINCT bal.book) DESC, a.name ASC) AS num,
     a.id, a.name,
     COUNT(DISTINCT bal.book) AS count
 FROM books_authors_link bal
 JOIN authors a ON bal.author = a.id
+JOIN ` + booksSource() + ` b ON b.id = bal.book
 GROUP BY a.id, a.name
 ORDER BY count DESC
 LIMIT 100;`
+}
 
-const querySeriesCounts = `
+function querySeriesCounts() {
+  return `
 SELECT
     ROW_NUMBER() OVER (ORDER BY COUNT(DISTINCT bsl.book) DESC) AS num,
     s.id, s.name,
     COUNT(DISTINCT bsl.book) AS count
 FROM books_series_link bsl
 JOIN series s ON bsl.series = s.id
+JOIN ` + booksSource() + ` b ON b.id = bsl.book
 GROUP BY s.name
 ORDER BY count DESC
 LIMIT 100;`
+}
 
-const queryPublisherCounts = `
+function queryPublisherCounts() {
+  return `
 SELECT
     ROW_NUMBER() OVER (ORDER BY COUNT(DISTINCT bpl.book) DESC) AS num,
     p.id, p.name,
     COUNT(DISTINCT bpl.book) AS count
 FROM books_publishers_link bpl
 JOIN publishers p ON bpl.publisher = p.id
+JOIN ` + booksSource() + ` b ON b.id = bpl.book
 GROUP BY p.name
 ORDER BY count DESC
 LIMIT 100;`
-const whitespace_chars = /[\/\,\.\|\ \*\?\!\:\;\(\)\[\]\&\"\+\-\_\%]+/g;  // ohne _ und %
-//whitespace_char01: In der Onleihe Zeichen zur Abtrennung des Artikels am Anfang von Titeln (für die Sortierung):
-const whitespace_char01 = String.fromCharCode(172);
-
-function searchStringToArray(searchString) {
-  if (!searchString) return null;
-  return (searchString.trim()
-    .replaceAll(whitespace_char01, " ")
-    .replaceAll(whitespace_chars, " ")
-    .replaceAll("'", "''").split(" ")
-    .sort((a, b) => { return b.length - a.length }));
-}
-
-function searchClause(searchString) {
-  const searchArray = searchStringToArray(searchString);
-  (logger.isLevelEnabled('silly')) && logger.silly("searchClause: searchString=" + searchString + ", searchArray=" + searchArray);
-
-  if (searchArray && searchArray.length > 0) {
-    let clause = "";
-    searchArray.forEach(element => { clause += " and search like '%" + element + "%'"; });
-    return " where " + clause.substring(4);
-  }
-  return "";
+}
+
+// Alphabetische Listen mit Anzahl der Bücher (Navigation, z.B. OPDS):
+function queryAuthorsList() {
+  return `
+SELECT a.id, a.name, COUNT(DISTINCT bal.book) AS count
+FROM authors a
+JOIN books_authors_link bal ON bal.author = a.id
+JOIN ` + booksSource() + ` b ON b.id = bal.book
+GROUP BY a.id
+ORDER BY a.sort COLLATE NOCASE ASC
+LIMIT ? OFFSET ?;`
+}
+
+function querySeriesList() {
+  return `
+SELECT s.id, s.name, COUNT(DISTINCT bsl.book) AS count
+FROM series s
+JOIN books_series_link bsl ON bsl.series = s.id
+JOIN ` + booksSource() + ` b ON b.id = bsl.book
+GROUP BY s.id
+ORDER BY s.sort COLLATE NOCASE ASC
+LIMIT ? OFFSET ?;`
+}
+
+function queryPublishersList() {
+  return `
+SELECT p.id, p.name, COUNT(DISTINCT bpl.book) AS count
+FROM publishers p
+JOIN books_publishers_link bpl ON bpl.publisher = p.id
+JOIN ` + booksSource() + ` b ON b.id = bpl.book
+GROUP BY p.id
+ORDER BY p.name COLLATE NOCASE ASC
+LIMIT ? OFFSET ?;`
+}
+
+function queryTagsList() {
+  return `
+SELECT t.id, t.name, COUNT(DISTINCT btl.book) AS count
+FROM tags t
+JOIN books_tags_link btl ON btl.tag = t.id
+JOIN ` + booksSource() + ` b ON b.id = btl.book
+GROUP BY t.id
+ORDER BY t.name COLLATE NOCASE ASC
+LIMIT ? OFFSET ?;`
+}
+
+// Suche (Calibre-Syntax) als Bedingung für den Alias b; die Werte werden an params angehängt
+function searchCondition(searchString, params) {
+  const condition = compileSearch(searchString, "b", searchContext((value) => { params.push(value); return "?" }));
+  (logger.isLevelEnabled('silly')) && logger.silly("searchCondition: searchString=" + searchString + ", condition=" + condition + ", params=" + JSON.stringify(params));
+  return condition;
 }
 
 const sortArray = [];
@@ -180,264 +365,159 @@ sortArray["title.desc"] = "ORDER BY b.sort DESC";
 sortArray["serie.asc"] = "ORDER BY b.series_index ASC";
 sortArray["serie.desc"] = "ORDER BY b.series_index DESC";
 
-function findBooksQuery(searchString, sortString) {
-  return `
- WITH AuthorNames AS (
-    SELECT books.id AS bookId,
-           GROUP_CONCAT(authors.name, ', ') AS name
-    FROM books
-    JOIN books_authors_link ON books.id = books_authors_link.book
-    JOIN authors ON authors.id = books_authors_link.author
-    GROUP BY books.id
-),
-SeriesInfo AS (
-    SELECT books.id AS bookId, series.sort
-    FROM books
-    JOIN books_series_link ON books.id = books_series_link.book
-    JOIN series ON series.id = books_series_link.series
-)
-SELECT ROW_NUMBER() OVER (ORDER BY b.timestamp DESC) AS num,
-       b.id AS bookId,
-       b.title,
-       b.sort,
-       b.timestamp,
-       b.pubdate,
-       b.series_index AS seriesIndex,
-       b.path,
-       (COALESCE(a.name, '') || ' ' || b.author_sort || ' ' || b.title || ' ' || COALESCE(s.sort, '') || ' ' || b.path) AS search
-FROM books b
-LEFT JOIN AuthorNames a ON b.id = a.bookId
-LEFT JOIN SeriesInfo  s ON b.id = s.bookId 
-` + searchClause(searchString) + `
-` + (sortArray[sortString] || sortArray['timestamp.desc']) + `
-limit ? offset ?`;
+export const sortStrings = Object.keys(sortArray);
+
+// Kombinierbare Filter (alle optional, werden UND-verknüpft):
+// { searchString, tagId, ccNum, ccId, authorsId, serieId, publisherId, bookIds, excludeBookIds }
+// bookIds: Bücher aus der Cassis-Datenbank (z.B. meistgeladene), ohne eigene Sortierung in dieser Reihenfolge
+// excludeBookIds: Bücher, die nicht angezeigt werden (z.B. gelesene bei "Ungelesen")
+const linkFilters = {
+  "tagId": "SELECT book FROM books_tags_link WHERE tag = ?",
+  "authorsId": "SELECT book FROM books_authors_link WHERE author = ?",
+  "serieId": "SELECT book FROM books_series_link WHERE series = ?",
+  "publisherId": "SELECT book FROM books_publishers_link WHERE publisher = ?"
 };
 
-function countBooksQuery(searchString) {
-  return `
-WITH AuthorNames AS (
-    SELECT books.id AS bookId,
-           GROUP_CONCAT(authors.name, ', ') AS name
-    FROM books
-    JOIN books_authors_link ON books.id = books_authors_link.book
-    JOIN authors ON authors.id = books_authors_link.author
-    GROUP BY books.id
-),
-SeriesInfo AS (
-    SELECT books.id AS bookId, series.name AS series_name
-    FROM books
-    JOIN books_series_link ON books.id = books_series_link.book
-    JOIN series ON series.id = books_series_link.series
-)
-SELECT COUNT(*) AS count
-FROM (
-    SELECT (COALESCE(a.name, '') || ' ' || b.author_sort || ' ' || b.title || ' ' ||
-            COALESCE(s.series_name, '') || ' ' || b.path) AS search
-    FROM books b
-    LEFT JOIN AuthorNames a ON b.id = a.bookId
-    LEFT JOIN SeriesInfo s ON b.id = s.bookId
-    ` + searchClause(searchString) + `
-)`;
+function filterClause(filters, params) {
+  const conditions = [];
+  const search = searchCondition(filters.searchString, params);
+  if (search) conditions.push(search);
+
+  for (let key in linkFilters) {
+    if (filters[key] > 0) {
+      conditions.push("b.id IN (" + linkFilters[key] + ")");
+      params.push(filters[key]);
+    }
+  }
+  if (filters.ccNum > 0 && filters.ccId > 0) {
+    const column = getCustomColumnDefinitions().find((column) => column.id === filters.ccNum && column.browsable);
+    if (column) {
+      conditions.push("b.id IN (SELECT book FROM books_custom_column_" + column.id + "_link WHERE value = ?)");
+      params.push(filters.ccId);
+    } else {
+      conditions.push("0");
+    }
+  }
+  if (Array.isArray(filters.bookIds)) {
+    conditions.push("b.id IN (" + (bookIdList(filters.bookIds) || "NULL") + ")");
+  }
+  if (Array.isArray(filters.excludeBookIds) && bookIdList(filters.excludeBookIds)) {
+    conditions.push("b.id NOT IN (" + bookIdList(filters.excludeBookIds) + ")");
+  }
+  return (conditions.length > 0) ? " WHERE " + conditions.join(" AND ") : "";
+}
+
+const queryFilterNames = {
+  "tagId": "SELECT name FROM tags WHERE id = ?",
+  "authorsId": "SELECT name FROM authors WHERE id = ?",
+  "serieId": "SELECT name FROM series WHERE id = ?",
+  "publisherId": "SELECT name FROM publishers WHERE id = ?"
 };
 
-function findBooksWithTagsQuery(searchString, sortString, tagIdString) {
-  return `
-WITH AuthorNames AS (
-    SELECT books.id AS bookId,
-           GROUP_CONCAT(authors.name, ', ') AS name
-    FROM books
-    JOIN books_authors_link ON books.id = books_authors_link.book
-    JOIN authors ON authors.id = books_authors_link.author
-    GROUP BY books.id
-),
-SeriesInfo AS (
-    SELECT books.id AS bookId, series.name AS series_name
-    FROM books
-    JOIN books_series_link ON books.id = books_series_link.book
-    JOIN series ON series.id = books_series_link.series
-),
-FilteredBooks AS (
-    SELECT books.*
-    FROM books
-    JOIN books_tags_link ON books.id = books_tags_link.book
-    WHERE books_tags_link.tag = ` + tagIdString + `
-)
-SELECT ROW_NUMBER() OVER (ORDER BY b.timestamp DESC) AS num,
-       b.id AS bookId,
-       b.title,
-       b.sort,
-       b.timestamp,
-       b.pubdate,
-       b.series_index AS seriesIndex,
-       b.path,
-       (COALESCE(a.name, '') || ' ' || b.author_sort || ' ' || b.title || ' ' ||
-            COALESCE(s.series_name, '') || ' ' || b.path) AS search
-FROM FilteredBooks b
-LEFT JOIN AuthorNames a ON b.id = a.bookId
-LEFT JOIN SeriesInfo s ON b.id = s.bookId
-` + searchClause(searchString) + `
-` + (sortArray[sortString] || sortArray['timestamp.desc']) + ` limit ? offset ?`;
-}
-
-function countBooksWithTagsQuery(searchString, tagIdString) {
-  return `
-WITH AuthorNames AS (
-    SELECT books.id AS bookId,
-           GROUP_CONCAT(authors.name, ', ') AS name
-    FROM books
-    JOIN books_authors_link ON books.id = books_authors_link.book
-    JOIN authors ON authors.id = books_authors_link.author
-    GROUP BY books.id
-),
-SeriesInfo AS (
-    SELECT books.id AS bookId, series.name AS series_name
-    FROM books
-    JOIN books_series_link ON books.id = books_series_link.book
-    JOIN series ON series.id = books_series_link.series
-),
-FilteredBooks AS (
-    SELECT DISTINCT books.*
-    FROM books
-    JOIN books_tags_link ON books.id = books_tags_link.book
-    WHERE books_tags_link.tag = ` + tagIdString + `
-)
-SELECT COUNT(*) AS count
-FROM (
-    SELECT (COALESCE(a.name, '') || ' ' || b.author_sort || ' ' || b.title || ' ' || 
-            COALESCE(s.series_name, '') || ' ' || b.path) AS search
-    FROM FilteredBooks b
-    LEFT JOIN AuthorNames a ON b.id = a.bookId
-    LEFT JOIN SeriesInfo s ON b.id = s.bookId
-    ` + searchClause(searchString) + `
-)`;
+function bookIdList(bookIds) {
+  return bookIds.map((id) => parseInt(id, 10)).filter((id) => id > 0).join(",");
+}
+
+function sortClause(filters, sortString) {
+  if (!sortArray[sortString] && Array.isArray(filters.bookIds) && bookIdList(filters.bookIds)) {
+    return "ORDER BY CASE b.id " + bookIdList(filters.bookIds).split(",").map((id, i) => "WHEN " + id + " THEN " + i).join(" ") + " END";
+  }
+  return sortArray[sortString] || sortArray[(filters.serieId > 0) ? 'serie.asc' : 'timestamp.desc'];
 }
 
-function findBooksWithCCQuery(ccNum, searchString, sortString, ccIdString) {
+function findBooksQuery(filters, sortString, params) {
+  const order = sortClause(filters, sortString);
   return `
-WITH AuthorNames AS (
-    SELECT books.id AS bookId,
-           GROUP_CONCAT(authors.name, ', ') AS name
-    FROM books
-    JOIN books_authors_link ON books.id = books_authors_link.book
-    JOIN authors ON authors.id = books_authors_link.author
-    GROUP BY books.id
-),
-SeriesInfo AS (
-    SELECT books.id AS bookId, series.name AS series_name
-    FROM books
-    JOIN books_series_link ON books.id = books_series_link.book
-    JOIN series ON series.id = books_series_link.series
-),
-FilteredBooks AS (
-    SELECT books.*
-    FROM books
-    JOIN books_custom_column_` + ccNum + `_link AS ccl ON books.id = ccl.book
-    JOIN custom_column_` + ccNum + ` AS cc ON ccl.value = cc.id
-    WHERE cc.id IN (` + ccIdString + `)  -- Filterung nach Custom Column ID
-)
-SELECT ROW_NUMBER() OVER (` + (sortArray[sortString] || sortArray['timestamp.desc']) + `) AS num,
-       ` + bookColumns + `,
-       (COALESCE(a.name, '') || ' ' || b.author_sort || ' ' || b.title || ' ' || 
-            COALESCE(s.series_name, '') || ' ' || b.path) AS search
-FROM FilteredBooks b
-LEFT JOIN AuthorNames a ON b.id = a.bookId
-LEFT JOIN SeriesInfo s ON b.id = s.bookId
-` + searchClause(searchString) + `
+SELECT ROW_NUMBER() OVER (` + order + `) AS num, ` + bookColumns + `
+FROM ` + booksSource() + ` b
+` + filterClause(filters, params) + `
+` + order + `
 LIMIT ? OFFSET ?;`;
 }
 
-function countBooksWithCCQuery(ccNum, searchString, ccIdString) {
+function countBooksQuery(filters, params) {
   return `
-WITH AuthorNames AS (
-    SELECT books.id AS bookId,
-           GROUP_CONCAT(authors.name, ', ') AS name
-    FROM books
-    JOIN books_authors_link ON books.id = books_authors_link.book
-    JOIN authors ON authors.id = books_authors_link.author
-    GROUP BY books.id
-),
-SeriesInfo AS (
-    SELECT books.id AS bookId, series.name AS series_name
-    FROM books
-    JOIN books_series_link ON books.id = books_series_link.book
-    JOIN series ON series.id = books_series_link.series
-),
-FilteredBooks AS (
-    SELECT books.*
-    FROM books
-    JOIN books_custom_column_` + ccNum + `_link AS ccl ON books.id = ccl.book
-    JOIN custom_column_` + ccNum + ` AS cc ON ccl.value = cc.id
-    WHERE cc.id IN (` + ccIdString + `)  -- Frühzeitige Filterung nach Custom Column ID
-)
 SELECT COUNT(*) AS count
-FROM (
-    SELECT 1  -- Platzhalter, da wir nur die Zeilenanzahl zählen
-    FROM FilteredBooks b
-    LEFT JOIN AuthorNames a ON b.id = a.bookId
-    LEFT JOIN SeriesInfo s ON b.id = s.bookId
-    WHERE (COALESCE(a.name, '') || ' ' || b.author_sort || ' ' || b.title || ' ' || 
-           COALESCE(s.series_name, '') || ' ' || b.path) LIKE '%` + searchString + `%'
-);`
+FROM ` + booksSource() + ` b
+` + filterClause(filters, params) + `;`;
 }
 
-function findBooksByAuthorQuery(sortString) {
+const queryLibraryState = 'SELECT COUNT(*) AS books, MAX(timestamp) AS latest FROM books';
+
+function queryBooksAddedSince() {
   return `
-WITH AuthorBooks AS (
-    SELECT books.*
-    FROM books
-    JOIN books_authors_link ON books.id = books_authors_link.book
-    JOIN authors ON books_authors_link.author = authors.id
-    WHERE authors.id = ?
-)
-SELECT ROW_NUMBER() OVER (
-    ` + (sortArray[sortString] || sortArray['serie.asc']) + `
-) AS num, ` + bookColumns + `
-FROM AuthorBooks b
-LIMIT ? OFFSET ?;`
+SELECT COUNT(*) AS count, MAX(b.timestamp) AS latest
+FROM ` + booksSource() + ` b
+WHERE b.timestamp > ?;`;
 }
 
-const countBooksByAuthorQuery = `SELECT COUNT(*) AS count
-FROM authors a
-JOIN books_authors_link bal ON a.id = bal.author
-JOIN books b ON bal.book = b.id
-WHERE a.id = ?`;
+// Global prepared STMTs (for better performance of often used prepared STMTs), je Bibliothek
+for (let library of libraries) {
+  try {
+    library.coverStmt = library.db.prepare(queryCoverData);
+  } catch (error) {
+    errorLogger(error);
+    process.exit(1);
+  }
+}
 
-function findBooksBySerieQuery(sortString) {
-  return `
-WITH SeriesBooks AS (
-    SELECT books.*, series.name AS seriesName, series.id AS seriesId
-    FROM books
-    JOIN books_series_link ON books.id = books_series_link.book
-    JOIN series ON books_series_link.series = series.id
-    WHERE series.id = ?
-)
-SELECT ROW_NUMBER() OVER (
-    ` + (sortArray[sortString] || sortArray['serie.asc']) + `
-) AS num, ` + bookColumns + `, seriesName, seriesId
-FROM SeriesBooks b
-LIMIT ? OFFSET ?;`;
+// Überwachung von metadata.db: nach Schreibzugriffen von Calibre wird die Verbindung neu geöffnet
+// und "change" mit der Bibliothek und dem neuen Stand gemeldet (s. responsecache.js, eventsAction)
+export const libraryEvents = new EventEmitter();
+libraryEvents.setMaxListeners(0);  // je offenem Browser ein Listener (Server-Sent Events)
+
+function getLibraryState(library) {
+  try {
+    return library.db.prepare(queryLibraryState).get();
+  } catch (error) { errorLogger(error); return { books: 0, latest: null }; }
 }
 
-const countBooksBySerieQuery = `
-SELECT COUNT(*) AS count
-FROM books b
-JOIN books_series_link bsl ON bsl.book = b.id
-JOIN series s ON s.id = bsl.series
-WHERE s.id = ?;`;
+function reopenDb(library) {
+  try {
+    if (library.db.isOpen !== false) library.db.close();
+  } catch (error) { (logger.isLevelEnabled('debug')) && logger.debug("reopenDb: " + error.message) }
+  library.db.open();
+  library.coverStmt = library.db.prepare(queryCoverData);
+}
 
-// Global prepared STMTs (for better performance of often used prepared STMTs)
-let COVERDATA_STMT;
-try {
-  COVERDATA_STMT = METADATA_DB.prepare(queryCoverData);
-} catch (error) {
-  errorLogger(error);
-  process.exit(1);
+function libraryChanged(library) {
+  if (!library.connected) return;
+  try {
+    reopenDb(library);
+    const previous = library.state;
+    library.state = getLibraryState(library);
+    logger.info("Calibre database of library '" + library.id + "' has changed, reopened (" + library.state.books + " books, before " + previous.books + ")");
+    libraryEvents.emit('change', { library: library.id, previous, current: library.state });
+  } catch (error) { errorLogger(error) }
+}
+
+for (let library of libraries) {
+  library.connected = true;  // false, wenn ein Admin die Verbindung getrennt hat (unconnectDb)
+  library.state = getLibraryState(library);
+  if (WATCH_INTERVAL > 0) {
+    // Polling statt fs.watch, damit es auch auf Netzlaufwerken und in Docker-Volumes funktioniert
+    fs.watchFile(library.metadataPath, { interval: WATCH_INTERVAL * 1000 }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) libraryChanged(library);
+    });
+    logger.info("Watching " + library.metadataPath + " for changes every " + WATCH_INTERVAL + " s");
+  }
 }
 
 // Exported functions **************************************
-export function connectDb() {  // open database 
+export function getLibraryModified() {  // letzte Änderung von metadata.db (inkl. WAL-Datei) in ms, auf Sekunden gerundet
   try {
-    METADATA_DB.open();
+    const metadataPath = currentLibrary().metadataPath;
+    const times = [metadataPath, metadataPath + "-wal"]
+      .filter((file) => fs.existsSync(file))
+      .map((file) => fs.statSync(file).mtimeMs);
+    return Math.floor(Math.max(...times) / 1000) * 1000;
+  } catch (error) { errorLogger(error); return 0; }
+}
+
+export function connectDb() {  // open database of the current library
+  try {
+    reopenDb(currentLibrary());
+    currentLibrary().connected = true;
     logger.info("connectDb: DB opened");
     return { state: true, msg: "Calibre Database connected." }
   } catch (error) {
@@ -445,9 +525,10 @@ export function connectDb() {  // open database
   }
 }
 
-export function unconnectDb() {  // close database 
+export function unconnectDb() {  // close database of the current library
   try {
-    METADATA_DB.close();
+    currentLibrary().db.close();
+    currentLibrary().connected = false;
     logger.warn("unconnectDb: DB closed");
     return { state: true, msg: "Calibre Database closed" }
   } catch (error) {
@@ -455,215 +536,269 @@ export function unconnectDb() {  // close database
   }
 }
 
-export function findBooks(searchString, sortString, limit, offset) {
-  logger.isLevelEnabled('debug')
-    && logger.debug("findBooks: searchString=" + searchString + ", sortString=" + sortString + ", limit=" + limit + ", offset=" + offset)
-    && logger.isLevelEnabled("silly") && logger.silly(findBooksQuery(searchString, sortString));
+export function findBooks(filters, sortString, limit, offset) {
+  (logger.isLevelEnabled('debug')) && logger.debug("findBooks: filters=" + JSON.stringify(filters) + ", sortString=" + sortString + ", limit=" + limit + ", offset=" + offset);
   try {
-    const selectAllStmt = METADATA_DB.prepare(findBooksQuery(searchString, sortString));
-    return selectAllStmt.all(limit, offset);
+    const params = [];
+    const query = findBooksQuery(filters, sortString, params);
+    (logger.isLevelEnabled("silly")) && logger.silly("findBooks query=" + query + ", params=" + JSON.stringify(params));
+    return metadataDb().prepare(query).all(...params, limit, offset);
   } catch (error) { errorLogger(error); return [] }
 }
 
-export function countBooks(searchString) {
-  logger.isLevelEnabled('debug')
-    && logger.debug("countBooks: searchString=" + searchString)
-    && logger.isLevelEnabled("silly") && logger.silly("countBooks query=" + countBooksQuery(searchString));
+export function countBooks(filters) {
+  (logger.isLevelEnabled('debug')) && logger.debug("countBooks: filters=" + JSON.stringify(filters));
   try {
-    const selectOneStmt = METADATA_DB.prepare(countBooksQuery(searchString));
-    return selectOneStmt.get().count;
+    const params = [];
+    const query = countBooksQuery(filters, params);
+    (logger.isLevelEnabled("silly")) && logger.silly("countBooks query=" + query + ", params=" + JSON.stringify(params));
+    return metadataDb().prepare(query).get(...params).count;
   } catch (error) { errorLogger(error); return -1 }
 }
 
-export function findBooksWithTags(searchString, sortString, tagIdString, limit, offset) {
-  logger.isLevelEnabled('debug')
-    && logger.debug("findBooksWithTags: searchString=" + searchString + ", sortString=" + sortString + ", tagIdString=" + tagIdString + ", limit=" + limit + ", offset=" + offset)
-    && logger.isLevelEnabled("silly") && logger.silly("findBooksWithTags query=" + findBooksWithTagsQuery(searchString, sortString, tagIdString));
+// Namen der gesetzten Filter (für die Anzeige), z.B. { tagId: "Krimi", ccId: { column: "Reiseführer", value: "Italien" } }
+export function getFilterNames(filters) {
+  const names = {};
   try {
-    const selectAllStmt = METADATA_DB.prepare(findBooksWithTagsQuery(searchString, sortString, tagIdString));
-    return selectAllStmt.all(limit, offset);
-  } catch (error) { errorLogger(error); return []; }
-}
-
-export function countBooksWithTags(searchString, tagIdString) {
-  logger.isLevelEnabled('debug')
-    && logger.debug("countBooksWithTags: searchString=" + searchString + ", tagIdString=" + tagIdString)
-    && logger.isLevelEnabled("silly") && logger.silly("countBooksWithTags query=" + countBooksWithTagsQuery(searchString, tagIdString));
+    for (let key in queryFilterNames) {
+      if (filters[key] > 0) {
+        const row = metadataDb().prepare(queryFilterNames[key]).get(filters[key]);
+        if (row) names[key] = row.name;
+      }
+    }
+    if (filters.ccNum > 0 && filters.ccId > 0) {
+      const column = getCustomColumnDefinitions().find((column) => column.id === filters.ccNum && column.browsable);
+      const row = (column) && metadataDb().prepare("SELECT value FROM custom_column_" + column.id + " WHERE id = ?").get(filters.ccId);
+      if (row) names.ccId = { column, value: row.value };
+    }
+  } catch (error) { errorLogger(error); }
+  return names;
+}
+
+// Prüft eine Suche in Calibre-Syntax; liefert die Fehlermeldung oder null
+export function checkSearch(searchString) {
   try {
-    const selectOneStmt = METADATA_DB.prepare(countBooksWithTagsQuery(searchString, tagIdString));
-    return selectOneStmt.get().count;
-  } catch (error) { errorLogger(error); return -1; }
+    compileSearch(searchString, "b", searchContext(() => "?"));
+    return null;
+  } catch (error) {
+    if (error instanceof SearchError) return error.message;
+    errorLogger(error); return null;
+  }
 }
 
-export function findBooksWithCC(ccNum, searchString, sortString, ccIdString, limit, offset) {
-  logger.isLevelEnabled('debug')
-    && logger.debug("findBooksWithCC: ccNum=" + ccNum + ", searchString=" + searchString + ", sortString=" + sortString + ", ccIdString=" + ccIdString + ", limit=" + limit + ", offset=" + offset)
-    && logger.isLevelEnabled("silly") && logger.silly("findBooksWithCC query=" + findBooksWithCCQuery(ccNum, searchString, sortString, ccIdString));
+export function getBook(bookId) {
   try {
-    const selectAllStmt = METADATA_DB.prepare(findBooksWithCCQuery(ccNum, searchString, sortString, ccIdString));
-    return selectAllStmt.all(limit, offset);
-  } catch (error) { errorLogger(error); return []; }
+    const selectOneStmt = metadataDb().prepare(queryBook());
+    return selectOneStmt.get(bookId);
+  } catch (error) { errorLogger(error); return null; }
 }
 
-export function countBooksWithCC(ccNum, searchString, ccIdString) {
-  logger.isLevelEnabled('debug')
-    && logger.debug("countBooksWithCC: ccNum=" + ccNum + ", searchString=" + searchString + ", ccIdString=" + ccIdString)
-    && logger.isLevelEnabled("silly") && logger.silly("countBooksWithCC query=" + countBooksWithCCQuery(ccNum, searchString, ccIdString));
+export function getAuthorsOfBooks(bookIdString) {
   try {
-    const selectOneStmt = METADATA_DB.prepare(countBooksWithCCQuery(ccNum, searchString, ccIdString));
-    return selectOneStmt.get().count;
-  } catch (error) { errorLogger(error); return -1; }
+    const selectAllStmt = metadataDb().prepare(queryAuthorsOfBooks(bookIdString));
+    return selectAllStmt.all();
+  } catch (error) { errorLogger(error); return []; }
 }
 
-//====
-
-export function findBooksBySerie(seriesId, sortString, limit, offset) {
-  logger.debug("findBooksBySerie: seriesId=" + seriesId + ", sortString=" + sortString + ", limit=" + limit + ", offset=" + offset);
+export function getFormatsOfBooks(bookIdString) {
   try {
-    const selectAllStmt = METADATA_DB.prepare(findBooksBySerieQuery(sortString));
-    return selectAllStmt.all(seriesId, limit, offset);
+    const selectAllStmt = metadataDb().prepare(queryFormatsOfBooks(bookIdString));
+    return selectAllStmt.all();
   } catch (error) { errorLogger(error); return []; }
 }
 
-export function countBooksBySerie(seriesId) {
+export function getSeriesOfBooks(bookIdString) {
   try {
-    const selectOneStmt = METADATA_DB.prepare(countBooksBySerieQuery);
-    return selectOneStmt.get(seriesId).count;
-  } catch (error) { errorLogger(error); return -1; }
+    const selectAllStmt = metadataDb().prepare(querySeriesOfBooks(bookIdString));
+    return selectAllStmt.all();
+  } catch (error) { errorLogger(error); return []; }
 }
 
-export function findBooksByAuthor(authorsId, sortString, limit, offset) {
-  logger.debug("findBooksByAuthor: authorsId=" + authorsId + ", sortString=" + sortString + ", limit=" + limit + ", offset=" + offset);
+export function getTagsOfBooks(bookIdString) {
   try {
-    const selectAllStmt = METADATA_DB.prepare(findBooksByAuthorQuery(sortString));
-    return selectAllStmt.all(authorsId, limit, offset);
+    const selectAllStmt = metadataDb().prepare(queryTagsOfBook(bookIdString));
+    return selectAllStmt.all();
   } catch (error) { errorLogger(error); return []; }
 }
 
-export function countBooksByAuthor(authorsId) {
+export function getPublisherOfBooks(bookIdString) {
   try {
-    const selectOneStmt = METADATA_DB.prepare(countBooksByAuthorQuery);
-    return selectOneStmt.get(authorsId).count;
-  } catch (error) { errorLogger(error); return -1; }
+    const selectOneStmt = metadataDb().prepare(queryPublisherOfBook(bookIdString));
+    return selectOneStmt.all();
+  } catch (error) { errorLogger(error); return []; }
 }
 
-export function getBook(bookId) {
+export function getLanguagesOfBooks(bookIdString) {
   try {
-    const selectOneStmt = METADATA_DB.prepare(queryBook);
-    return selectOneStmt.get(bookId);
-  } catch (error) { errorLogger(error); return null; }
+    const selectAllStmt = metadataDb().prepare(queryLanguagesOfBooks(bookIdString));
+    return selectAllStmt.all();
+  } catch (error) { errorLogger(error); return []; }
 }
 
-export function getAuthorsOfBooks(bookIdString) {
+export function getIdentifiersOfBooks(bookIdString) {
   try {
-    const selectAllStmt = METADATA_DB.prepare(queryAuthorsOfBooks(bookIdString));
+    const selectAllStmt = metadataDb().prepare(queryIdentifiersOfBooks(bookIdString));
     return selectAllStmt.all();
   } catch (error) { errorLogger(error); return []; }
 }
 
-export function getFormatsOfBooks(bookIdString) {
+export function getUuidsOfBooks(bookIdString) {
   try {
-    const selectAllStmt = METADATA_DB.prepare(queryFormatsOfBooks(bookIdString));
+    const selectAllStmt = metadataDb().prepare(queryUuidsOfBooks(bookIdString));
     return selectAllStmt.all();
   } catch (error) { errorLogger(error); return []; }
 }
 
-export function getSeriesOfBooks(bookIdString) {
+export function getCommentsOfBooks(bookIdString) {
   try {
-    const selectAllStmt = METADATA_DB.prepare(querySeriesOfBooks(bookIdString));
+    const selectAllStmt = metadataDb().prepare(queryCommentsOfBooks(bookIdString));
     return selectAllStmt.all();
   } catch (error) { errorLogger(error); return []; }
 }
 
-export function getTagsOfBooks(bookIdString) {
+// Werte aller benutzerdefinierten Spalten eines Buches: [{ column, values: [{ id, value, extra }] }]
+export function getCustomColumnsOfBook(bookId) {
+  const result = [];
+  for (let column of getCustomColumnDefinitions()) {
+    if (column.datatype === 'composite') continue;
+    try {
+      const values = metadataDb().prepare(queryCustomColumnOfBook(column)).all(bookId)
+        .filter((row) => row.value !== null && row.value !== "");
+      if (values.length > 0) result.push({ column, values });
+    } catch (error) { errorLogger(error); }
+  }
+  return result;
+}
+
+export function getTags() {
   try {
-    const selectAllStmt = METADATA_DB.prepare(queryTagsOfBook(bookIdString));
+    const selectAllStmt = metadataDb().prepare(queryTags());
     return selectAllStmt.all();
   } catch (error) { errorLogger(error); return []; }
 }
 
-export function getPublisherOfBooks(bookIdString) {
+// Beschreibung der Spalten aus custom_columns; browsable = Auswahl der Werte im Menü möglich
+export function getCustomColumnDefinitions() {
   try {
-    const selectOneStmt = METADATA_DB.prepare(queryPublisherOfBook(bookIdString));
-    return selectOneStmt.all();
+    return metadataDb().prepare(queryCustomColumnDefinitions).all().map((column) => {
+      let display;
+      try { display = JSON.parse(column.display || "{}") || {}; } catch (error) { display = {}; }
+      return {
+        id: column.id, label: column.label, name: column.name, datatype: column.datatype,
+        isMultiple: !!column.isMultiple, normalized: !!column.normalized, display,
+        browsable: !!column.normalized && browsableDatatypes.indexOf(column.datatype) >= 0
+      };
+    });
   } catch (error) { errorLogger(error); return []; }
 }
 
-export function getCustomColumnOfBooks(colId, bookIdString) {
+export function getCustomColumns(ccNum) {
   try {
-    const selectAllStmt = METADATA_DB.prepare(queryCustomColumnsOfBooks(colId, bookIdString));
-    return selectAllStmt.all().map(res => res.value);
+    const selectAllStmt = metadataDb().prepare(queryCustomColumns(ccNum));
+    return selectAllStmt.all();
   } catch (error) { errorLogger(error); return []; }
 }
 
-export function getTags() {
+export function getCoverList() {  // alle Bücher mit Cover, ohne Einschränkung (Hintergrundjob des Cover-Caches)
   try {
-    const selectAllStmt = METADATA_DB.prepare(queryTags);
-    return selectAllStmt.all();
+    return metadataDb().prepare(queryCoverList).all();
   } catch (error) { errorLogger(error); return []; }
 }
 
-export function getCustomColumnsIds() {
+export function getLatestTimestamp() {  // Zeitstempel des neuesten (sichtbaren) Buches
   try {
-    const selectAllStmt = METADATA_DB.prepare(queryCustomColumnsIds);
-    return selectAllStmt.all();
-  } catch (error) { errorLogger(error); return []; }
+    return metadataDb().prepare(queryBooksAddedSince()).get("").latest;
+  } catch (error) { errorLogger(error); return null; }
 }
 
-export function getCustomColumns(ccNum) {
+export function countBooksAddedSince(timestamp) {  // returns { count, latest }
   try {
-    const selectAllStmt = METADATA_DB.prepare(queryCustomColumns(ccNum));
-    return selectAllStmt.all();
-  } catch (error) { errorLogger(error); return []; }
+    return metadataDb().prepare(queryBooksAddedSince()).get(timestamp || "");
+  } catch (error) { errorLogger(error); return { count: 0, latest: timestamp }; }
 }
 
 export function getCoverData(bookId) {
   try {
-    return COVERDATA_STMT.get(bookId);
+    if (!isBookVisible(bookId)) return null;
+    return currentLibrary().coverStmt.get(bookId);
   } catch (error) {
     if (error.code === "ERR_INVALID_STATE") {
       try {
         logger.warn("*** getCoverData: re-prepared global STMT");
-        COVERDATA_STMT = METADATA_DB.prepare(queryCoverData);
-        return COVERDATA_STMT.get(bookId);
+        currentLibrary().coverStmt = metadataDb().prepare(queryCoverData);
+        if (!isBookVisible(bookId)) return null;
+        return currentLibrary().coverStmt.get(bookId);
       } catch (error) { errorLogger(error); return null; }
     } else { errorLogger(error); return null; }
   }
 }
 
+// Calibre-UUID eines Buches (Kobo-Sync) -> Buch-Id, null wenn unbekannt oder nicht sichtbar
+export function getBookIdByUuid(uuid) {
+  try {
+    const row = metadataDb().prepare(queryBookByUuid).get(uuid);
+    return (row && isBookVisible(row.bookId)) ? row.bookId : null;
+  } catch (error) { errorLogger(error); return null; }
+}
+
 export function getFileData(bookId, format) {
   try {
-    return METADATA_DB.prepare(queryFileData,).get(bookId, format);
+    if (!isBookVisible(bookId)) return null;
+    return metadataDb().prepare(queryFileData,).get(bookId, format);
   } catch (error) { errorLogger(error); return null; }
 }
 
 export function getStatistics() {
   try {
-    return METADATA_DB.prepare(queryCounts).get();
+    return metadataDb().prepare(queryCounts()).get();
   } catch (error) { errorLogger(error); return {}; }
 }
 
 export function getTagsStatistics() {
   try {
-    return METADATA_DB.prepare(queryTagsCounts).all();
+    return metadataDb().prepare(queryTagsCounts()).all();
   } catch (error) { errorLogger(error); return []; }
 }
 
 export function getAuthorsStatistics() {
   try {
-    return METADATA_DB.prepare(queryAuthorsCounts).all();
+    return metadataDb().prepare(queryAuthorsCounts()).all();
   } catch (error) { errorLogger(error); return []; }
 }
 
 export function getSeriesStatistics() {
   try {
-    return METADATA_DB.prepare(querySeriesCounts).all();
+    return metadataDb().prepare(querySeriesCounts()).all();
   } catch (error) { errorLogger(error); return []; }
 }
 
 export function getPublishersStatistics() {
   try {
-    return METADATA_DB.prepare(queryPublisherCounts).all();
+    return metadataDb().prepare(queryPublisherCounts()).all();
+  } catch (error) { errorLogger(error); return []; }
+}
+
+
+export function getAuthorsList(limit, offset) {
+  try {
+    return metadataDb().prepare(queryAuthorsList()).all(limit, offset);
   } catch (error) { errorLogger(error); return []; }
 }
 
+export function getSeriesList(limit, offset) {
+  try {
+    return metadataDb().prepare(querySeriesList()).all(limit, offset);
+  } catch (error) { errorLogger(error); return []; }
+}
+
+export function getPublishersList(limit, offset) {
+  try {
+    return metadataDb().prepare(queryPublishersList()).all(limit, offset);
+  } catch (error) { errorLogger(error); return []; }
+}
+
+export function getTagsList(limit, offset) {
+  try {
+    return metadataDb().prepare(queryTagsList()).all(limit, offset);
+  } catch (error) { errorLogger(error); return []; }
+}
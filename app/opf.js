@@ -0,0 +1,150 @@
+'use strict';
+
+import fs from 'fs-extra';
+import path from 'node:path';
+import { finished } from 'node:stream/promises';
+
+import { listZip, readZipEntry, readRawZipEntry, createZipWriter, ZipError } from './zip.js';
+import { getOpfName, attribute, resolveHref } from './epub.js';
+
+// Aktuelle Metadaten aus Calibre in das OPF eines EPUB schreiben (wie "Metadaten in Buchdateien einbetten" in Calibre):
+// Titel, Autoren, Serie und Band, Schlagwörter, Verlag, Erscheinungsdatum, Beschreibung und Cover.
+// Die übrigen Einträge des EPUB werden unverändert (ohne neu zu komprimieren) übernommen.
+
+const OPF_NS = "http://www.idpf.org/2007/opf";
+const DC_NS = "http://purl.org/dc/elements/1.1/";
+
+// Base functions ***********************
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function element(prefixedName) {
+  return "<" + prefixedName + "\\b[^>]*?(?:\\/>|>[\\s\\S]*?<\\/" + prefixedName + "\\s*>)";
+}
+
+// Entfernt die ersetzten Angaben; ids der entfernten Elemente, damit auch deren <meta refines="#id"> verschwinden
+function removeMetadata(metadata, replaceCover) {
+  const removed = [];
+  const patterns = ["dc:title", "dc:creator", "dc:subject", "dc:publisher", "dc:date", "dc:description"].map((name) => new RegExp(element(name), "gi"));
+  const names = ["calibre:series", "calibre:series_index", "calibre:title_sort"].concat((replaceCover) ? ["cover"] : []);
+  patterns.push(new RegExp("<(?:opf:)?meta\\b(?=[^>]*\\sname\\s*=\\s*[\"'](?:" + names.join("|") + ")[\"'])[^>]*?(?:\\/>|>[\\s\\S]*?<\\/(?:opf:)?meta\\s*>)", "gi"));
+  patterns.push(new RegExp("<(?:opf:)?meta\\b(?=[^>]*\\sproperty\\s*=\\s*[\"']belongs-to-collection[\"'])[^>]*?(?:\\/>|>[\\s\\S]*?<\\/(?:opf:)?meta\\s*>)", "gi"));
+  for (let pattern of patterns) {
+    metadata = metadata.replace(pattern, (match) => {
+      const id = attribute(match.substring(0, match.indexOf(">") + 1), "id");
+      if (id) removed.push(id);
+      return "";
+    });
+  }
+  metadata = metadata.replace(/<(?:opf:)?meta\b[^>]*?(?:\/>|>[\s\S]*?<\/(?:opf:)?meta\s*>)/gi, (match) => {
+    const refines = attribute(match.substring(0, match.indexOf(">") + 1), "refines");
+    return (refines && removed.includes(refines.replace(/^#/, ""))) ? "" : match;
+  });
+  return metadata.replace(/\n\s*\n(\s*\n)+/g, "\n");  // Leerzeilen der entfernten Elemente
+}
+
+function newMetadata(book, epub3, coverId) {
+  const lines = [];
+  const meta = (name, content) => lines.push('<meta name="' + name + '" content="' + escapeXml(content) + '"/>');
+  lines.push('<dc:title' + ((epub3) ? ' id="cassis-title"' : '') + '>' + escapeXml(book.title) + '</dc:title>');
+  book.authors.forEach((author, i) => {
+    if (epub3) {
+      lines.push('<dc:creator id="cassis-creator' + i + '">' + escapeXml(author.name) + '</dc:creator>');
+      lines.push('<meta refines="#cassis-creator' + i + '" property="role" scheme="marc:relators">aut</meta>');
+      if (author.sort) lines.push('<meta refines="#cassis-creator' + i + '" property="file-as">' + escapeXml(author.sort) + '</meta>');
+    } else {
+      lines.push('<dc:creator opf:role="aut"' + ((author.sort) ? ' opf:file-as="' + escapeXml(author.sort) + '"' : '') + '>' + escapeXml(author.name) + '</dc:creator>');
+    }
+  });
+  for (let tag of book.tags) lines.push('<dc:subject>' + escapeXml(tag) + '</dc:subject>');
+  if (book.publisher) lines.push('<dc:publisher>' + escapeXml(book.publisher) + '</dc:publisher>');
+  if (book.pubdate) lines.push('<dc:date>' + escapeXml(book.pubdate) + '</dc:date>');
+  if (book.description) lines.push('<dc:description>' + escapeXml(book.description) + '</dc:description>');
+  if (book.series) {
+    if (epub3) {
+      lines.push('<meta property="belongs-to-collection" id="cassis-series">' + escapeXml(book.series) + '</meta>');
+      lines.push('<meta refines="#cassis-series" property="collection-type">series</meta>');
+      lines.push('<meta refines="#cassis-series" property="group-position">' + book.seriesIndex + '</meta>');
+    }
+    meta("calibre:series", book.series);
+    meta("calibre:series_index", book.seriesIndex);
+  }
+  if (book.titleSort) meta("calibre:title_sort", book.titleSort);
+  if (coverId) meta("cover", coverId);
+  return lines.map((line) => "    " + line + "\n").join("");
+}
+
+// Cover-Eintrag des Manifests: properties="cover-image" (EPUB 3) oder <meta name="cover" content="<id>"> (EPUB 2)
+function findCoverItem(opf) {
+  const items = Array.from(opf.matchAll(/<(?:opf:)?item\b[^>]*>/gi), (match) => match[0]);
+  const meta = opf.match(/<(?:opf:)?meta\b(?=[^>]*\sname\s*=\s*["']cover["'])[^>]*>/i);
+  const coverId = (meta) ? attribute(meta[0], "content") : null;
+  return items.find((item) => (attribute(item, "properties") || "").split(/\s+/).includes("cover-image"))
+    || items.find((item) => coverId && attribute(item, "id") === coverId && /^image\//.test(attribute(item, "media-type") || ""));
+}
+
+// Neues OPF und die Änderungen am Cover: { opf, coverEntry (zu ersetzen) | newCoverEntry (hinzuzufügen) }
+function rewriteOpf(opf, opfName, book, hasCover) {
+  const metadataMatch = opf.match(/(<(?:opf:)?metadata\b[^>]*>)([\s\S]*?)(<\/(?:opf:)?metadata\s*>)/i);
+  if (!metadataMatch) throw new ZipError("No metadata in " + opfName);
+  const packageTag = opf.match(/<(?:opf:)?package\b[^>]*>/i);
+  const epub3 = parseFloat((packageTag) ? attribute(packageTag[0], "version") : "2") >= 3;
+  const dir = path.posix.dirname(opfName);
+
+  let coverEntry = null;
+  let newCoverEntry = null;
+  let coverId = null;
+  if (hasCover) {
+    const item = findCoverItem(opf);
+    if (item) {
+      coverEntry = resolveHref(dir, attribute(item, "href") || "");
+      coverId = attribute(item, "id");
+      opf = opf.replace(item, item.replace(/(\smedia-type\s*=\s*["'])[^"']*/i, "$1image/jpeg"));
+    } else {
+      newCoverEntry = path.posix.join(dir, "cassis-cover.jpg");
+      coverId = "cassis-cover";
+      const manifestEnd = opf.match(/<\/(?:opf:)?manifest\s*>/i);
+      if (!manifestEnd) throw new ZipError("No manifest in " + opfName);
+      const prefix = (manifestEnd[0].includes("opf:")) ? "opf:" : "";
+      opf = opf.replace(manifestEnd[0], '  <' + prefix + 'item id="cassis-cover" href="cassis-cover.jpg" media-type="image/jpeg"' + ((epub3) ? ' properties="cover-image"' : '') + '/>\n  ' + manifestEnd[0]);
+    }
+  }
+
+  let [, start, metadata, end] = opf.match(/(<(?:opf:)?metadata\b[^>]*>)([\s\S]*?)(<\/(?:opf:)?metadata\s*>)/i);
+  if (!/xmlns:dc\s*=/.test(opf)) start = start.replace(/\s*(\/?>)$/, ' xmlns:dc="' + DC_NS + '"$1');
+  if (!epub3 && !/xmlns:opf\s*=/.test(opf)) start = start.replace(/\s*(\/?>)$/, ' xmlns:opf="' + OPF_NS + '"$1');
+  metadata = removeMetadata(metadata, Boolean(coverId)).replace(/\s*$/, "\n") + newMetadata(book, epub3, coverId) + "  ";
+  opf = opf.replace(metadataMatch[0], () => start + metadata + end);
+  return { opf, coverEntry, newCoverEntry };
+}
+
+// Exported functions **************************************
+
+// book: { title, titleSort, authors: [{ name, sort }], series, seriesIndex, tags: [], publisher, pubdate, description }
+// cover: Pfad der cover.jpg aus Calibre oder null (dann bleibt das Cover des EPUB)
+export async function embedMetadata(source, target, book, cover) {
+  const opfName = await getOpfName(source);
+  const opfData = (opfName) ? await readZipEntry(source, opfName) : null;
+  if (!opfData) throw new ZipError("No OPF file found in " + source);
+  const coverData = (cover && await fs.pathExists(cover)) ? await fs.readFile(cover) : null;
+  const { opf, coverEntry, newCoverEntry } = rewriteOpf(opfData.toString('utf8'), opfName, book, Boolean(coverData));
+
+  const output = fs.createWriteStream(target);
+  const zip = createZipWriter(output);
+  try {
+    await zip.addEntry("mimetype", Buffer.from("application/epub+zip"), { store: true });
+    for (let entry of await listZip(source)) {
+      if (entry.name === "mimetype") continue;
+      if (entry.name === opfName) await zip.addEntry(opfName, Buffer.from(opf, 'utf8'));
+      else if (entry.name === coverEntry) await zip.addEntry(coverEntry, coverData, { store: true });
+      else await zip.addRawEntry(await readRawZipEntry(source, entry.name));
+    }
+    if (newCoverEntry) await zip.addEntry(newCoverEntry, coverData, { store: true });
+    await zip.finish();
+  } finally {
+    output.end();
+    await finished(output);
+  }
+}
@@ -0,0 +1,567 @@
+'use strict';
+
+import fs from 'fs-extra';
+import zlib from 'node:zlib';
+import { promisify } from 'node:util';
+
+// Einfacher PDF-Leser für die Seitenbilder gescannter Comics und Zeitschriften: liest die Querverweistabelle (auch als
+// Stream, PDF 1.5), Objekt-Streams und den Seitenbaum und liefert je Seite das größte Bild. Text und Vektorgrafik werden
+// nicht gerendert, Seiten ohne ganzseitiges Bild fehlen in der Seitenliste. Bilder: JPEG (DCTDecode) unverändert,
+// Flate-komprimierte Pixel (Graustufen, RGB, CMYK, Palette; 1 bis 16 Bit) als Rohdaten für sharp.
+// Nicht unterstützt: Verschlüsselung, JPEG 2000, JBIG2, CCITT.
+// Die Seitenlisten der zuletzt benutzten Dateien werden zwischengespeichert (bis sich die Datei ändert).
+const MAX_DOCUMENTS = 10;
+const MIN_PAGE_IMAGE = 300;  // kürzere Seite in Pixeln, kleinere Bilder (Logos, Symbole) gelten nicht als Seite
+
+const inflate = promisify(zlib.inflate);
+const documents = new Map();  // Datei -> { mtimeMs, loading (Promise), ... }, Reihenfolge = letzte Benutzung (älteste zuerst)
+
+const SPACE = [0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20];
+const DELIMITER = [0x28, 0x29, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d, 0x2f, 0x25];
+
+export class PdfError extends Error { }
+
+// Der gelesene Ausschnitt der Datei ist zu kurz: mit größerem Ausschnitt erneut versuchen
+class EndOfData extends PdfError { }
+
+class Ref {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+// Stream-Objekt: Wörterbuch und Position der (noch nicht gelesenen) Daten in der Datei
+class Stream {
+  constructor(dict, offset) {
+    this.dict = dict;
+    this.offset = offset;
+  }
+}
+
+// Werte: Namen als String, Zeichenketten als Buffer, Wörterbücher als Objekt, Arrays, Zahlen, true/false/null, Ref.
+// complete: data enthält alles (sonst ist ein Wert am Ende des Puffers vielleicht abgeschnitten, s. EndOfData)
+class Parser {
+  constructor(data, pos = 0, complete = false) {
+    this.data = data;
+    this.pos = pos;
+    this.complete = complete;
+  }
+
+  skipSpace() {
+    const data = this.data;
+    while (this.pos < data.length) {
+      if (data[this.pos] === 0x25) {  // Kommentar bis zum Zeilenende
+        while (this.pos < data.length && data[this.pos] !== 0x0a && data[this.pos] !== 0x0d) this.pos++;
+      } else if (SPACE.includes(data[this.pos])) {
+        this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  endOfData() {
+    return new EndOfData("Unexpected end of data at " + this.pos);
+  }
+
+  // Zahl oder Schlüsselwort (obj, R, true ...)
+  token() {
+    this.skipSpace();
+    const data = this.data;
+    const start = this.pos;
+    while (this.pos < data.length && !SPACE.includes(data[this.pos]) && !DELIMITER.includes(data[this.pos])) this.pos++;
+    if (this.pos >= data.length && !this.complete) throw this.endOfData();
+    return data.toString('latin1', start, this.pos);
+  }
+
+  value() {
+    this.skipSpace();
+    if (this.pos >= this.data.length) throw this.endOfData();
+    switch (this.data[this.pos]) {
+      case 0x2f: return this.name();
+      case 0x3c: return (this.data[this.pos + 1] === 0x3c) ? this.dictionary() : this.hexString();
+      case 0x5b: return this.array();
+      case 0x28: return this.literalString();
+    }
+    const token = this.token();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) return (/^\d+$/.test(token)) ? this.reference(parseInt(token, 10)) : parseFloat(token);
+    if (token === "true") return true;
+    if (token === "false") return false;
+    if (token === "null") return null;
+    throw new PdfError("Unexpected '" + (token || String.fromCharCode(this.data[this.pos])) + "' at " + this.pos);
+  }
+
+  // "12 0 R" ist ein Verweis, sonst bleibt es bei der Zahl
+  reference(number) {
+    const pos = this.pos;
+    try {
+      const gen = this.token();
+      if (/^\d+$/.test(gen) && this.token() === "R") return new Ref(number, parseInt(gen, 10));
+    } catch (error) {
+      if (!(error instanceof EndOfData)) throw error;
+      if (!this.complete) throw error;
+    }
+    this.pos = pos;
+    return number;
+  }
+
+  name() {
+    const data = this.data;
+    const start = ++this.pos;
+    while (this.pos < data.length && !SPACE.includes(data[this.pos]) && !DELIMITER.includes(data[this.pos])) this.pos++;
+    if (this.pos >= data.length && !this.complete) throw this.endOfData();
+    return data.toString('latin1', start, this.pos).replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  dictionary() {
+    const dict = {};
+    this.pos += 2;
+    for (;;) {
+      this.skipSpace();
+      if (this.pos + 1 >= this.data.length) throw this.endOfData();
+      if (this.data[this.pos] === 0x3e && this.data[this.pos + 1] === 0x3e) {
+        this.pos += 2;
+        return dict;
+      }
+      const key = this.value();
+      if (typeof key !== 'string') throw new PdfError("Invalid dictionary key at " + this.pos);
+      dict[key] = this.value();
+    }
+  }
+
+  array() {
+    const array = [];
+    this.pos++;
+    for (;;) {
+      this.skipSpace();
+      if (this.pos >= this.data.length) throw this.endOfData();
+      if (this.data[this.pos] === 0x5d) {
+        this.pos++;
+        return array;
+      }
+      array.push(this.value());
+    }
+  }
+
+  hexString() {
+    const end = this.data.indexOf(0x3e, this.pos);
+    if (end < 0) throw this.endOfData();
+    const hex = this.data.toString('latin1', this.pos + 1, end).replace(/[^0-9a-fA-F]/g, "");
+    this.pos = end + 1;
+    return Buffer.from((hex.length % 2) ? hex + "0" : hex, 'hex');
+  }
+
+  literalString() {
+    const data = this.data;
+    const bytes = [];
+    let depth = 1;
+    this.pos++;
+    while (this.pos < data.length) {
+      let c = data[this.pos++];
+      if (c === 0x28) {
+        depth++;
+      } else if (c === 0x29 && --depth === 0) {
+        return Buffer.from(bytes);
+      } else if (c === 0x5c) {
+        if (this.pos >= data.length) break;
+        c = data[this.pos++];
+        const escapes = { 0x6e: 0x0a, 0x72: 0x0d, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0c };
+        if (escapes[c] !== undefined) {
+          c = escapes[c];
+        } else if (c >= 0x30 && c <= 0x37) {  // Oktal: \ddd
+          let octal = c - 0x30;
+          for (let i = 0; i < 2 && data[this.pos] >= 0x30 && data[this.pos] <= 0x37; i++) octal = octal * 8 + data[this.pos++] - 0x30;
+          c = octal & 0xff;
+        } else if (c === 0x0d || c === 0x0a) {  // Zeilenfortsetzung
+          if (c === 0x0d && data[this.pos] === 0x0a) this.pos++;
+          continue;
+        }
+      }
+      bytes.push(c);
+    }
+    throw this.endOfData();
+  }
+}
+
+// Base functions ***********************
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Liest ab offset, bis parse(parser) mit dem Ausschnitt auskommt
+async function parseAt(doc, handle, offset, size, parse) {
+  for (; ; size *= 8) {
+    const data = await readAt(handle, offset, Math.min(size, doc.size - offset));
+    const complete = offset + data.length >= doc.size;
+    try {
+      return parse(new Parser(data, 0, complete), data);
+    } catch (error) {
+      if (!(error instanceof EndOfData) || complete) throw error;
+    }
+  }
+}
+
+// Indirektes Objekt "12 0 obj ... endobj" an der Position offset
+function readIndirect(doc, handle, offset) {
+  return parseAt(doc, handle, offset, 4096, (parser, data) => {
+    parser.token();
+    parser.token();
+    if (parser.token() !== "obj") throw new PdfError("No object at offset " + offset);
+    const value = parser.value();
+    parser.skipSpace();
+    if (parser.pos + 8 > data.length && !parser.complete) throw parser.endOfData();
+    if (!value || typeof value !== 'object' || Array.isArray(value) || value instanceof Ref || Buffer.isBuffer(value)) return value;
+    if (data.toString('latin1', parser.pos, parser.pos + 6) !== "stream") return value;
+    let pos = parser.pos + 6;
+    if (data[pos] === 0x0d) pos++;
+    if (data[pos] === 0x0a) pos++;
+    return new Stream(value, offset + pos);
+  });
+}
+
+async function getObject(doc, handle, num) {
+  if (doc.objects.has(num)) return doc.objects.get(num);
+  const entry = doc.xref.get(num);
+  let value = null;
+  if (entry && entry.type === 1) {
+    value = await readIndirect(doc, handle, entry.offset);
+  } else if (entry && entry.type === 2) {
+    value = await readCompressed(doc, handle, entry.stream, entry.index);
+  }
+  doc.objects.set(num, value);
+  return value;
+}
+
+async function resolve(doc, handle, value) {
+  for (let depth = 0; value instanceof Ref; depth++) {
+    if (depth > 10) throw new PdfError("Reference loop at object " + value.num);
+    value = await getObject(doc, handle, value.num);
+  }
+  return value;
+}
+
+// Objekt Nummer index im Objekt-Stream (PDF 1.5)
+async function readCompressed(doc, handle, streamNum, index) {
+  let objectStream = doc.objectStreams.get(streamNum);
+  if (!objectStream) {
+    const stream = await getObject(doc, handle, streamNum);
+    if (!(stream instanceof Stream)) throw new PdfError("Invalid object stream " + streamNum);
+    const data = await streamData(doc, handle, stream);
+    const header = new Parser(data, 0, true);
+    const offsets = [];
+    for (let i = 0; i < stream.dict.N; i++) {
+      header.token();
+      offsets.push(parseInt(header.token(), 10));
+    }
+    objectStream = { data, first: stream.dict.First, offsets };
+    doc.objectStreams.set(streamNum, objectStream);
+  }
+  if (objectStream.offsets[index] === undefined) return null;
+  return new Parser(objectStream.data, objectStream.first + objectStream.offsets[index], true).value();
+}
+
+// PNG-Prädiktoren (Predictor >= 10) rückgängig machen, jede Zeile beginnt mit dem Filtertyp
+function unpredict(data, parms) {
+  const predictor = (parms && parms.Predictor) || 1;
+  if (predictor === 1) return data;
+  if (predictor < 10) throw new PdfError("Unsupported predictor " + predictor);
+  const bits = (parms.Colors || 1) * (parms.BitsPerComponent || 8);
+  const bpp = Math.max(Math.ceil(bits / 8), 1);
+  const rowLength = Math.ceil(bits * (parms.Columns || 1) / 8);
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const result = Buffer.alloc(rows * rowLength);
+  for (let row = 0; row < rows; row++) {
+    const type = data[row * (rowLength + 1)];
+    const source = row * (rowLength + 1) + 1;
+    const target = row * rowLength;
+    for (let i = 0; i < rowLength; i++) {
+      const left = (i >= bpp) ? result[target + i - bpp] : 0;
+      const up = (row > 0) ? result[target + i - rowLength] : 0;
+      const upLeft = (row > 0 && i >= bpp) ? result[target + i - rowLength - bpp] : 0;
+      let value = data[source + i];
+      if (type === 1) {
+        value += left;
+      } else if (type === 2) {
+        value += up;
+      } else if (type === 3) {
+        value += (left + up) >> 1;
+      } else if (type === 4) {  // Paeth
+        const estimate = left + up - upLeft;
+        const [a, b, c] = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+        value += (a <= b && a <= c) ? left : (b <= c) ? up : upLeft;
+      }
+      result[target + i] = value & 0xff;
+    }
+  }
+  return result;
+}
+
+// Daten eines Streams mit allen Filtern außer DCTDecode (JPEG), das nur als letzter Filter vorkommen darf:
+// { data, jpeg }. Ohne allowJpeg ist ein JPEG ein Fehler.
+async function decodeStream(doc, handle, stream, allowJpeg = false) {
+  const length = await resolve(doc, handle, stream.dict.Length);
+  let data = await readAt(handle, stream.offset, length);
+  const filter = await resolve(doc, handle, stream.dict.Filter);
+  const filters = (Array.isArray(filter)) ? filter : (filter) ? [filter] : [];
+  const decodeParms = await resolve(doc, handle, stream.dict.DecodeParms);
+  for (let i = 0; i < filters.length; i++) {
+    const parms = await resolve(doc, handle, (Array.isArray(decodeParms)) ? decodeParms[i] : decodeParms);
+    if (filters[i] === "FlateDecode" || filters[i] === "Fl") {
+      data = unpredict(await inflate(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH }), parms);
+    } else if ((filters[i] === "DCTDecode" || filters[i] === "DCT") && allowJpeg && i === filters.length - 1) {
+      return { data, jpeg: true };
+    } else {
+      throw new PdfError("Unsupported filter " + filters[i]);
+    }
+  }
+  return { data, jpeg: false };
+}
+
+async function streamData(doc, handle, stream) {
+  return (await decodeStream(doc, handle, stream)).data;
+}
+
+// Klassische Querverweistabelle ("xref") oder Querverweis-Stream (PDF 1.5): { entries, trailer }
+async function readXrefSection(doc, handle, offset) {
+  const table = await parseAt(doc, handle, offset, 65536, (parser) => {
+    if (parser.token() !== "xref") return null;
+    const entries = new Map();
+    for (;;) {
+      const word = parser.token();
+      if (word === "trailer") return { entries, trailer: parser.value() };
+      const start = parseInt(word, 10);
+      const count = parseInt(parser.token(), 10);
+      if (isNaN(start) || isNaN(count)) throw new PdfError("Invalid xref table at " + offset);
+      for (let i = 0; i < count; i++) {
+        const entryOffset = parseInt(parser.token(), 10);
+        parser.token();
+        if (parser.token() === "n" && entryOffset > 0) entries.set(start + i, { type: 1, offset: entryOffset });
+      }
+    }
+  });
+  if (table) return table;
+
+  const stream = await readIndirect(doc, handle, offset);
+  if (!(stream instanceof Stream) || stream.dict.Type !== "XRef") throw new PdfError("No xref at offset " + offset);
+  const data = await streamData(doc, handle, stream);
+  const widths = stream.dict.W;
+  const index = stream.dict.Index || [0, stream.dict.Size];
+  const entries = new Map();
+  let pos = 0;
+  const field = (width, defaultValue) => {
+    if (!width) return defaultValue;
+    let value = 0;
+    for (let i = 0; i < width; i++) value = value * 256 + data[pos++];
+    return value;
+  };
+  for (let i = 0; i + 1 < index.length; i += 2) {
+    for (let num = index[i]; num < index[i] + index[i + 1] && pos + widths[0] + widths[1] + widths[2] <= data.length; num++) {
+      const type = field(widths[0], 1);
+      const field2 = field(widths[1], 0);
+      const field3 = field(widths[2], 0);
+      if (type === 1) entries.set(num, { type: 1, offset: field2 });
+      if (type === 2) entries.set(num, { type: 2, stream: field2, index: field3 });
+    }
+  }
+  return { entries, trailer: stream.dict };
+}
+
+// Alle Querverweise vom Dateiende über /Prev zurück; neuere Einträge haben Vorrang
+async function readXref(doc, handle) {
+  const tailLength = Math.min(doc.size, 1024);
+  const tail = (await readAt(handle, doc.size - tailLength, tailLength)).toString('latin1');
+  const start = tail.lastIndexOf("startxref");
+  if (start < 0) throw new PdfError("Not a PDF file");
+  const merge = (section) => section.entries.forEach((entry, num) => doc.xref.has(num) || doc.xref.set(num, entry));
+  const seen = new Set();
+  let offset = parseInt(tail.substring(start + 9).trim(), 10);
+  while (Number.isInteger(offset) && !seen.has(offset)) {
+    seen.add(offset);
+    const section = await readXrefSection(doc, handle, offset);
+    merge(section);
+    // Hybrid-Dateien: Objekte in Objekt-Streams stehen im zusätzlichen Querverweis-Stream
+    if (Number.isInteger(section.trailer.XRefStm)) merge(await readXrefSection(doc, handle, section.trailer.XRefStm));
+    doc.trailer = doc.trailer || section.trailer;
+    offset = section.trailer.Prev;
+  }
+  if (!doc.trailer || !doc.trailer.Root) throw new PdfError("No document catalog");
+  if (doc.trailer.Encrypt) throw new PdfError("Encrypted PDF files are not supported");
+}
+
+// Größtes Bild einer Seite, auch in Formularen (Form XObjects) der Seite
+async function largestImage(doc, handle, resources, depth = 0) {
+  resources = await resolve(doc, handle, resources);
+  const xobjects = (resources) ? await resolve(doc, handle, resources.XObject) : null;
+  let largest = null;
+  for (let ref of Object.values(xobjects || {})) {
+    const xobject = await resolve(doc, handle, ref);
+    if (!(xobject instanceof Stream)) continue;
+    let image = null;
+    if (xobject.dict.Subtype === "Image") {
+      const [width, height] = [await resolve(doc, handle, xobject.dict.Width), await resolve(doc, handle, xobject.dict.Height)];
+      if (Math.min(width, height) >= MIN_PAGE_IMAGE) image = { stream: xobject, area: width * height };
+    } else if (xobject.dict.Subtype === "Form" && depth < 3) {
+      image = await largestImage(doc, handle, xobject.dict.Resources, depth + 1);
+    }
+    if (image && (!largest || image.area > largest.area)) largest = image;
+  }
+  return largest;
+}
+
+// Seitenbaum in Lesereihenfolge; Resources und Rotate werden vererbt
+async function readPages(doc, handle) {
+  const catalog = await resolve(doc, handle, doc.trailer.Root);
+  const pages = [];
+  const visited = new Set();
+  const walk = async (ref, inherited) => {
+    if (ref instanceof Ref) {
+      if (visited.has(ref.num)) return;
+      visited.add(ref.num);
+    }
+    const node = await resolve(doc, handle, ref);
+    if (!node || typeof node !== 'object') return;
+    const resources = (node.Resources !== undefined) ? node.Resources : inherited.resources;
+    const rotate = (node.Rotate !== undefined) ? await resolve(doc, handle, node.Rotate) : inherited.rotate;
+    const kids = await resolve(doc, handle, node.Kids);
+    if (Array.isArray(kids)) {
+      for (let kid of kids) await walk(kid, { resources, rotate });
+      return;
+    }
+    const image = await largestImage(doc, handle, resources);
+    if (image) pages.push({ image: image.stream, rotate: (((rotate || 0) % 360) + 360) % 360 });
+  };
+  await walk(catalog.Pages, { resources: null, rotate: 0 });
+  return pages;
+}
+
+async function getDocument(file, handle) {
+  const stat = await handle.stat();
+  const cached = documents.get(file);
+  documents.delete(file);
+  let doc = (cached && cached.mtimeMs === stat.mtimeMs) ? cached : null;
+  if (!doc) {
+    doc = { mtimeMs: stat.mtimeMs, size: stat.size, xref: new Map(), objects: new Map(), objectStreams: new Map(), trailer: null };
+    doc.loading = readXref(doc, handle).then(() => readPages(doc, handle)).then((pages) => { doc.pages = pages });
+  }
+  documents.set(file, doc);
+  if (documents.size > MAX_DOCUMENTS) documents.delete(documents.keys().next().value);
+  try {
+    await doc.loading;
+  } catch (error) {
+    documents.delete(file);
+    throw error;
+  }
+  return doc;
+}
+
+// Farbraum eines Bildes: { components, indexed: { base, hival, lookup } }
+async function colorSpace(doc, handle, value) {
+  value = await resolve(doc, handle, value);
+  const family = (Array.isArray(value)) ? value[0] : value;
+  switch (family) {
+    case "DeviceGray": case "G": case "CalGray":
+      return { components: 1 };
+    case "DeviceRGB": case "RGB": case "CalRGB":
+      return { components: 3 };
+    case "DeviceCMYK": case "CMYK":
+      return { components: 4 };
+    case "ICCBased": {
+      const profile = await resolve(doc, handle, value[1]);
+      return { components: await resolve(doc, handle, profile.dict.N) };
+    }
+    case "Indexed": case "I": {
+      const lookup = await resolve(doc, handle, value[3]);
+      return {
+        components: 1,
+        indexed: {
+          base: await colorSpace(doc, handle, value[1]),
+          hival: await resolve(doc, handle, value[2]),
+          lookup: (lookup instanceof Stream) ? await streamData(doc, handle, lookup) : lookup
+        }
+      };
+    }
+  }
+  throw new PdfError("Unsupported color space " + family);
+}
+
+// Pixel mit 1 bis 16 Bit je Komponente in Graustufen oder RGB mit 8 Bit umrechnen (Palette, CMYK, Decode [1 0])
+function toRaw(data, width, height, bits, space, invert) {
+  const components = space.components;
+  const base = (space.indexed) ? space.indexed.base.components : components;
+  const channels = (base === 1) ? 1 : 3;
+  const rowLength = Math.ceil(width * components * bits / 8);
+  const max = (1 << Math.min(bits, 8)) - 1;
+  const result = Buffer.alloc(width * height * channels);
+  const sample = (row, index) => {
+    if (bits === 8) return data[row + index];
+    if (bits === 16) return data[row + index * 2];
+    const bit = index * bits;
+    return (data[row + (bit >> 3)] >> (8 - bits - (bit & 7))) & max;
+  };
+  const color = [0, 0, 0, 0];
+  let target = 0;
+  for (let y = 0; y < height; y++) {
+    const row = y * rowLength;
+    for (let x = 0; x < width; x++) {
+      if (space.indexed) {
+        const index = Math.min(sample(row, x), space.indexed.hival) * base;
+        for (let c = 0; c < base; c++) color[c] = space.indexed.lookup[index + c] || 0;
+      } else {
+        for (let c = 0; c < components; c++) {
+          const value = (bits >= 8) ? sample(row, x * components + c) : Math.round(sample(row, x * components + c) * 255 / max);
+          color[c] = (invert) ? 255 - value : value;
+        }
+      }
+      if (base === 1) {
+        result[target++] = color[0];
+      } else if (base === 4) {  // CMYK -> RGB
+        for (let c = 0; c < 3; c++) result[target++] = Math.round((255 - color[c]) * (255 - color[3]) / 255);
+      } else {
+        for (let c = 0; c < 3; c++) result[target++] = color[c];
+      }
+    }
+  }
+  return { data: result, raw: { width, height, channels } };
+}
+
+// Exported functions **************************************
+
+// Seiten mit Bild in Lesereihenfolge: [{ image, rotate }]
+export async function getPdfPages(file) {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    return (await getDocument(file, handle)).pages;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Bild der Seite (ab 0, wie in getPdfPages) für sharp: { data, raw, rotate }, raw nur bei Pixeldaten (sonst JPEG),
+// rotate = Drehung der Seite im Uhrzeigersinn; null, wenn es die Seite nicht gibt
+export async function readPdfPage(file, page) {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    const doc = await getDocument(file, handle);
+    const entry = doc.pages[page];
+    if (!entry) return null;
+    const dict = entry.image.dict;
+    const { data, jpeg } = await decodeStream(doc, handle, entry.image, true);
+    if (jpeg) return { data, rotate: entry.rotate };
+
+    const [width, height] = [await resolve(doc, handle, dict.Width), await resolve(doc, handle, dict.Height)];
+    const imageMask = await resolve(doc, handle, dict.ImageMask);
+    const bits = (imageMask) ? 1 : await resolve(doc, handle, dict.BitsPerComponent);
+    const space = (imageMask) ? { components: 1 } : await colorSpace(doc, handle, dict.ColorSpace);
+    const decode = await resolve(doc, handle, dict.Decode);
+    if (![1, 2, 4, 8, 16].includes(bits) || ![1, 3, 4].includes(space.indexed ? space.indexed.base.components : space.components)) {
+      throw new PdfError("Unsupported image format on page " + (page + 1));
+    }
+    return Object.assign(toRaw(data, width, height, bits, space, Array.isArray(decode) && decode[0] > decode[1]), { rotate: entry.rotate });
+  } finally {
+    await handle.close();
+  }
+}
@@ -0,0 +1,84 @@
+'use strict';
+
+import crypto from 'node:crypto';
+
+import { logger } from '../log.js';
+import packagejson from '../package.json' with {type: 'json'}
+import { getLibraryModified, libraryEvents } from './model.js';
+import { restrictionContext } from './restrictions.js';
+import { currentLibrary, libraryBase, getLibrary, runInLibrary } from './libraries.js';
+import { currentLanguage } from './i18n.js';
+
+// Zwischenspeicher für gerenderte Antworten (Bücherliste, Buchseite), Schlüssel = Bibliothek, Benutzer, Regeln, Sprache und normalisierte Optionen.
+// Die Einträge einer Bibliothek werden gelöscht, sobald sich ihre metadata.db ändert. Bei GET-Anfragen erlauben ETag/Last-Modified dem Browser
+// bedingte Anfragen, die ohne Datenbankzugriff mit 304 beantwortet werden.
+const RESPONSE_CACHE_SIZE = parseInt(process.env.RESPONSE_CACHE_SIZE) || 500;
+
+const responses = new Map();  // Schlüssel -> Antwort, Reihenfolge = letzte Benutzung (älteste zuerst)
+const libraryModified = new Map();  // Bibliothek -> Änderungszeit von metadata.db
+
+libraryEvents.on('change', (change) => runInLibrary(getLibrary(change.library), () => checkLibrary()));
+
+// Base functions ***********************
+
+function checkLibrary() {
+  const library = currentLibrary().id;
+  const modified = getLibraryModified();
+  if (modified !== libraryModified.get(library)) {
+    const prefix = JSON.stringify([library]).slice(0, -1) + ",";
+    let count = 0;
+    for (let key of responses.keys()) {
+      if (key.startsWith(prefix)) { responses.delete(key); count++; }
+    }
+    if (count > 0) logger.info("Response cache cleared for library '" + library + "': Calibre database has changed");
+    libraryModified.set(library, modified);
+  }
+}
+
+function cacheKey(request, name, options) {
+  return JSON.stringify([currentLibrary().id, libraryBase(), name, request.user.id, restrictionContext.getStore() || [], currentLanguage(), options]);
+}
+
+function setValidators(response, key) {
+  const modified = libraryModified.get(currentLibrary().id);
+  const hash = crypto.createHash('sha1').update(packagejson.version + "/" + modified + "/" + key).digest('base64url');
+  response.set({
+    'ETag': '"' + hash + '"',
+    'Last-Modified': new Date(modified).toUTCString(),
+    'Cache-Control': 'private, no-cache'
+  });
+}
+
+// Exported functions **************************************
+
+// Beantwortet die Anfrage mit 304 oder aus dem Cache; false, wenn die Antwort erst erzeugt werden muss
+export function sendCached(request, response, name, options) {
+  checkLibrary();
+  const key = cacheKey(request, name, options);
+  if (request.method === 'GET') {
+    setValidators(response, key);
+    if (request.fresh) {
+      (logger.isLevelEnabled('debug')) && logger.debug("sendCached: 304 for " + key);
+      response.status(304).end();
+      return true;
+    }
+  }
+  const body = responses.get(key);
+  if (!body) return false;
+  (logger.isLevelEnabled('debug')) && logger.debug("sendCached: cached response for " + key);
+  responses.delete(key);
+  responses.set(key, body);
+  response.send(body);
+  return true;
+}
+
+export function sendAndCache(request, response, name, options, body) {
+  const key = cacheKey(request, name, options);
+  responses.set(key, body);
+  if (responses.size > RESPONSE_CACHE_SIZE) responses.delete(responses.keys().next().value);
+  response.send(body);
+}
+
+export function clearResponseCache() {
+  responses.clear();
+}
@@ -0,0 +1,13 @@
+'use strict';
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// Regeln des angemeldeten Benutzers für die Dauer eines Requests.
+// Gesetzt in auth.js (authenticate), ausgewertet in model.js bei jeder Abfrage.
+// Regel: { mode: 'allow' | 'deny', type: 'tag' | 'cc' | 'search', column, value }
+//   allow: nur Bücher, die mindestens eine allow-Regel erfüllen (falls vorhanden)
+//   deny:  keine Bücher, die eine deny-Regel erfüllen
+export const restrictionContext = new AsyncLocalStorage();
+
+export const ruleModes = ['allow', 'deny'];
+export const ruleTypes = ['tag', 'cc', 'search'];
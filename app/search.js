@@ -0,0 +1,285 @@
+'use strict';
+
+import { t } from './i18n.js';
+
+// Suchsprache wie in Calibre, z.B.:
+//   mankell                         Freitext in Titel, Autor, Serie, Schlagwort und Verlag
+//   author:lindgren title:"pippi"   Feld-Suche, Anführungszeichen für Phrasen
+//   tag:=Krimi                      "=" exakte Übereinstimmung (statt "enthält")
+//   tag:true  series:false          Feld hat (keinen) Wert
+//   pubdate:>2020  rating:>=4       Vergleiche für Zahlen und Datum (yyyy, yyyy-mm, yyyy-mm-dd, today ...)
+//   #reise:Skandinavien             benutzerdefinierte Spalte (Label)
+//   search:Wallander                gespeicherte Suche aus Calibre
+//   krimi and (mankell or not tag:Kinder)
+// compileSearch() liefert eine SQL-Bedingung für die Tabelle books (Alias); Werte werden
+// über context.param() als Parameter eingesetzt.
+
+export class SearchError extends Error { }
+
+const whitespace_char01 = String.fromCharCode(172);  // Onleihe: Abtrennung des Artikels in Titeln
+
+// Felder der Tabelle books (direkt) bzw. über Verknüpfungstabellen ("from", Spalte "book" der ersten Tabelle)
+const textFields = {
+  "title": { "column": "title" },
+  "authors": { "from": "books_authors_link l JOIN authors v ON v.id = l.author", "column": "v.name" },
+  "series": { "from": "books_series_link l JOIN series v ON v.id = l.series", "column": "v.name" },
+  "tags": { "from": "books_tags_link l JOIN tags v ON v.id = l.tag", "column": "v.name" },
+  "publisher": { "from": "books_publishers_link l JOIN publishers v ON v.id = l.publisher", "column": "v.name" },
+  "languages": { "from": "books_languages_link l JOIN languages v ON v.id = l.lang_code", "column": "v.lang_code" },
+  "formats": { "from": "data l", "column": "l.format" },
+  "identifiers": { "from": "identifiers l", "column": "l.type || ':' || l.val" },
+  "comments": { "from": "comments l", "column": "l.text" }
+};
+const numberFields = {
+  "rating": { "from": "books_ratings_link l JOIN ratings v ON v.id = l.rating", "column": "v.rating", "factor": 2 },
+  "series_index": { "column": "series_index" }
+};
+const dateFields = {
+  "pubdate": { "column": "pubdate" },
+  "timestamp": { "column": "timestamp" },
+  "last_modified": { "column": "last_modified" }
+};
+const fieldAliases = {
+  "author": "authors", "tag": "tags", "serie": "series", "language": "languages", "format": "formats",
+  "identifier": "identifiers", "comment": "comments", "date": "timestamp", "modified": "last_modified"
+};
+const freeTextFields = ["title", "authors", "series", "tags", "publisher"];
+
+const MAX_SAVED_SEARCH_DEPTH = 5;
+
+// Base functions ***********************
+
+function tokenize(searchString) {
+  const tokens = [];
+  const input = searchString.replaceAll(whitespace_char01, " ");
+  let i = 0;
+  while (i < input.length) {
+    const char = input[i];
+    if (/\s/.test(char)) { i++; continue; }
+    if (char === '(' || char === ')') { tokens.push({ type: char }); i++; continue; }
+
+    let text = "";
+    let quoted = false;
+    while (i < input.length && !/[\s()]/.test(input[i])) {
+      if (input[i] === '"') {
+        quoted = true;
+        i++;
+        while (i < input.length && input[i] !== '"') {
+          if (input[i] === '\\' && i + 1 < input.length) i++;
+          text += input[i++];
+        }
+        i++;  // schließendes Anführungszeichen (fehlt es, gilt das Ende der Eingabe)
+      } else {
+        text += input[i++];
+      }
+    }
+    const keyword = text.toLowerCase();
+    if (!quoted && (keyword === 'and' || keyword === 'or' || keyword === 'not')) {
+      tokens.push({ type: keyword });
+    } else {
+      tokens.push({ type: 'term', text, quoted });
+    }
+  }
+  return tokens;
+}
+
+function parse(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos] && tokens[pos].type;
+
+  function orExpression() {
+    const parts = [andExpression()];
+    while (peek() === 'or') { pos++; parts.push(andExpression()); }
+    return (parts.length === 1) ? parts[0] : { type: 'or', parts };
+  }
+
+  function andExpression() {
+    const parts = [notExpression()];
+    while (peek() && peek() !== 'or' && peek() !== ')') {
+      if (peek() === 'and') pos++;
+      parts.push(notExpression());
+    }
+    return (parts.length === 1) ? parts[0] : { type: 'and', parts };
+  }
+
+  function notExpression() {
+    if (peek() === 'not') { pos++; return { type: 'not', part: notExpression() }; }
+    return primary();
+  }
+
+  function primary() {
+    const token = tokens[pos++];
+    if (!token) throw new SearchError(t("search.incomplete"));
+    if (token.type === '(') {
+      const expression = orExpression();
+      if (peek() === ')') pos++;  // fehlende schließende Klammer wird toleriert
+      return expression;
+    }
+    if (token.type === 'term') return { type: 'term', text: token.text, quoted: token.quoted };
+    throw new SearchError(t("search.unexpected", { token: token.type }));
+  }
+
+  const tree = orExpression();
+  if (pos < tokens.length) throw new SearchError(t("search.unexpected", { token: tokens[pos].type }));
+  return tree;
+}
+
+function likePattern(value) {
+  return "%" + value.replace(/[\\%_]/g, '\\$&') + "%";
+}
+
+// Bedingung "Buch hat einen Wert in field, für den condition(column) zutrifft"
+function fieldCondition(field, alias, condition) {
+  const column = (field.from) ? field.column : alias + "." + field.column;
+  const where = (condition) ? condition(column) : column + " IS NOT NULL AND " + column + " <> ''";
+  if (!field.from) return "(" + where + ")";
+  return alias + ".id IN (SELECT l.book FROM " + field.from + " WHERE " + where + ")";
+}
+
+function textCondition(field, alias, value, quoted, context) {
+  if (!quoted && /^(true|false)$/i.test(value)) {
+    const has = fieldCondition(field, alias, null);
+    return (value.toLowerCase() === 'true') ? has : "NOT " + has;
+  }
+  if (value.startsWith('=')) {
+    const exact = context.param(value.substring(1));
+    return fieldCondition(field, alias, (column) => column + " = " + exact + " COLLATE NOCASE");
+  }
+  const pattern = context.param(likePattern(value));
+  return fieldCondition(field, alias, (column) => column + " LIKE " + pattern + " ESCAPE '\\'");
+}
+
+function splitOperator(value) {
+  const match = value.match(/^(>=|<=|!=|>|<|=)?(.*)$/);
+  return { operator: (!match[1] || match[1] === '=') ? '=' : (match[1] === '!=') ? '<>' : match[1], operand: match[2].trim() };
+}
+
+function numberCondition(field, alias, value, context) {
+  if (/^(true|false)$/i.test(value)) {
+    const has = fieldCondition(field, alias, null);
+    return (value.toLowerCase() === 'true') ? has : "NOT " + has;
+  }
+  const { operator, operand } = splitOperator(value);
+  const number = Number(operand);
+  if (operand === "" || isNaN(number)) throw new SearchError(t("search.notANumber", { value }));
+  const placeholder = context.param(number * (field.factor || 1));
+  return fieldCondition(field, alias, (column) => column + " " + operator + " " + placeholder);
+}
+
+function isoDay(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+function datePrefix(operand) {  // yyyy, yyyy-mm, yyyy-mm-dd bzw. today, yesterday, thismonth, <n>daysago
+  const keyword = operand.toLowerCase();
+  const now = new Date();
+  if (keyword === 'today') return isoDay(now);
+  if (keyword === 'yesterday') return isoDay(new Date(now.getTime() - 24 * 60 * 60 * 1000));
+  if (keyword === 'thismonth') return isoDay(now).substring(0, 7);
+  const daysAgo = keyword.match(/^(\d+)daysago$/);
+  if (daysAgo) return isoDay(new Date(now.getTime() - parseInt(daysAgo[1], 10) * 24 * 60 * 60 * 1000));
+  if (/^\d{4}(-\d{2}(-\d{2})?)?$/.test(operand)) return operand;
+  throw new SearchError(t("search.notADate", { value: operand }));
+}
+
+function dateCondition(field, alias, value, context) {
+  // Calibre speichert "undefinierte" Datumswerte als Jahr 0101
+  const defined = (column) => column + " IS NOT NULL AND SUBSTR(" + column + ", 1, 4) > '0101'";
+  if (/^(true|false)$/i.test(value)) {
+    const has = fieldCondition(field, alias, defined);
+    return (value.toLowerCase() === 'true') ? has : "NOT " + has;
+  }
+  const { operator, operand } = splitOperator(value);
+  const prefix = datePrefix(operand);
+  const placeholder = context.param(prefix);
+  return fieldCondition(field, alias, (column) => defined(column) + " AND SUBSTR(" + column + ", 1, " + prefix.length + ") " + operator + " " + placeholder);
+}
+
+function boolCondition(field, alias, value) {
+  switch (value.toLowerCase()) {
+    case 'true': case 'yes': case 'checked':
+      return fieldCondition(field, alias, (column) => column + " = 1");
+    case 'false': case 'no': case 'unchecked':
+      return fieldCondition(field, alias, (column) => column + " = 0");
+    case 'empty': case 'blank':
+      return "NOT " + fieldCondition(field, alias, (column) => column + " IS NOT NULL");
+  }
+  throw new SearchError(t("search.invalidBool", { value }));
+}
+
+function customColumnCondition(column, alias, value, quoted, context) {
+  const field = (column.normalized)
+    ? { "from": "books_custom_column_" + column.id + "_link l JOIN custom_column_" + column.id + " v ON v.id = l.value", "column": "v.value" }
+    : { "from": "custom_column_" + column.id + " l", "column": "l.value" };
+  switch (column.datatype) {
+    case 'bool':
+      return boolCondition(field, alias, value);
+    case 'int': case 'float':
+      return numberCondition(field, alias, value, context);
+    case 'rating':
+      return numberCondition(Object.assign(field, { "factor": 2 }), alias, value, context);
+    case 'datetime':
+      return dateCondition(field, alias, value, context);
+    case 'composite':
+      throw new SearchError(t("search.notSearchable", { label: column.label }));
+    default:
+      return textCondition(field, alias, value, quoted, context);
+  }
+}
+
+function savedSearchCondition(name, alias, context, depth) {
+  const key = Object.keys(context.savedSearches || {}).find((key) => key.toLowerCase() === name.replace(/^=/, "").toLowerCase());
+  if (key === undefined) throw new SearchError(t("search.savedNotFound", { name }));
+  if (depth >= MAX_SAVED_SEARCH_DEPTH) throw new SearchError(t("search.savedTooDeep"));
+  return "(" + compileTree(parse(tokenize(context.savedSearches[key])), alias, context, depth + 1) + ")";
+}
+
+function termCondition(term, alias, context, depth) {
+  const separator = term.text.indexOf(':');
+  if (separator > 0) {
+    const name = term.text.substring(0, separator).toLowerCase();
+    const value = term.text.substring(separator + 1);
+    const fieldName = fieldAliases[name] || name;
+
+    if (name.startsWith('#')) {
+      const column = (context.columns || []).find((column) => column.label.toLowerCase() === name.substring(1));
+      if (column) return customColumnCondition(column, alias, value, term.quoted, context);
+    } else if (fieldName === 'search') {
+      return savedSearchCondition(value, alias, context, depth);
+    } else if (textFields[fieldName]) {
+      return textCondition(textFields[fieldName], alias, value, term.quoted, context);
+    } else if (numberFields[fieldName]) {
+      return numberCondition(numberFields[fieldName], alias, value, context);
+    } else if (dateFields[fieldName]) {
+      return dateCondition(dateFields[fieldName], alias, value, context);
+    }
+    // unbekanntes Feld: wie Freitext behandeln (z.B. "Titel: Untertitel")
+  }
+  const conditions = freeTextFields.map((name) => textCondition(textFields[name], alias, term.text, true, context));
+  if (!term.text.startsWith('=')) conditions.push(textCondition({ "column": "author_sort" }, alias, term.text, true, context));
+  return "(" + conditions.join(" OR ") + ")";
+}
+
+function compileTree(node, alias, context, depth) {
+  switch (node.type) {
+    case 'or':
+      return "(" + node.parts.map((part) => compileTree(part, alias, context, depth)).join(" OR ") + ")";
+    case 'and':
+      return "(" + node.parts.map((part) => compileTree(part, alias, context, depth)).join(" AND ") + ")";
+    case 'not':
+      return "NOT " + compileTree(node.part, alias, context, depth);
+    default:
+      return termCondition(node, alias, context, depth);
+  }
+}
+
+// Exported functions **************************************
+
+// context: { columns: [{ id, label, datatype, normalized }] (s. getCustomColumnDefinitions), savedSearches: { name: query }, param: (value) => placeholder }
+// returns "" for an empty search, throws SearchError for invalid input
+export function compileSearch(searchString, alias, context) {
+  if (!searchString || !searchString.trim()) return "";
+  const tokens = tokenize(searchString);
+  if (tokens.length === 0) return "";
+  return compileTree(parse(tokens), alias, context, 0);
+}
@@ -0,0 +1,720 @@
+'use strict';
+
+import { DatabaseSync } from 'node:sqlite';
+import crypto from 'node:crypto';
+import path from 'node:path';
+import fs from 'fs-extra';
+import { logger, errorLogger } from '../log.js';
+import { ruleModes, ruleTypes } from './restrictions.js';
+
+// Eigene Datenbank (Benutzer, Sessions ...), getrennt von der Calibre-Datenbank metadata.db
+const CASSIS_DB_PATH = process.env.CASSIS_DB || "./data/cassis.db";
+const SESSION_DAYS = parseInt(process.env.SESSION_DAYS) || 30;
+const VERIFIED_MAX = 1000;  // gemerkte Passwortprüfungen (s. verifyPassword)
+
+export const roles = ['admin', 'user'];
+
+fs.ensureDirSync(path.dirname(CASSIS_DB_PATH), (error, exists) => {
+  if (error) { errorLogger(error); process.exit(1) }
+})
+
+const verifiedPasswords = new Set();
+
+const CASSIS_DB = new DatabaseSync(CASSIS_DB_PATH, { open: true });
+if (CASSIS_DB) logger.info("Connected to Cassis Database at " + CASSIS_DB_PATH)
+
+// SQL
+const createTables = `
+CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'user',
+    created TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE IF NOT EXISTS sessions (
+    token TEXT PRIMARY KEY,
+    user INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS rules (
+    id INTEGER PRIMARY KEY,
+    user INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    mode TEXT NOT NULL,
+    type TEXT NOT NULL,
+    column TEXT,
+    value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS tokens (
+    id INTEGER PRIMARY KEY,
+    user INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    label TEXT,
+    hash TEXT NOT NULL UNIQUE,
+    created TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used TIMESTAMP
+);
+CREATE TABLE IF NOT EXISTS recipients (
+    id INTEGER PRIMARY KEY,
+    user INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    email TEXT NOT NULL,
+    label TEXT,
+    format TEXT NOT NULL DEFAULT 'epub',
+    created TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user, email)
+);
+CREATE TABLE IF NOT EXISTS deliveries (
+    id INTEGER PRIMARY KEY,
+    user INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    library TEXT NOT NULL,
+    book INTEGER NOT NULL,
+    title TEXT,
+    format TEXT NOT NULL,
+    email TEXT NOT NULL,
+    size INTEGER,
+    status TEXT NOT NULL,
+    message TEXT,
+    created TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE IF NOT EXISTS downloads (
+    id INTEGER PRIMARY KEY,
+    user INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    library TEXT NOT NULL,
+    book INTEGER NOT NULL,
+    format TEXT NOT NULL,
+    created TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS downloads_book ON downloads (library, book);
+CREATE TABLE IF NOT EXISTS book_states (
+    user INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    library TEXT NOT NULL,
+    book INTEGER NOT NULL,
+    read TIMESTAMP,
+    favorite TIMESTAMP,
+    PRIMARY KEY (user, library, book)
+);
+CREATE TABLE IF NOT EXISTS shelves (
+    id INTEGER PRIMARY KEY,
+    user INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    library TEXT NOT NULL,
+    name TEXT NOT NULL COLLATE NOCASE,
+    created TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user, library, name)
+);
+CREATE TABLE IF NOT EXISTS shelf_books (
+    shelf INTEGER NOT NULL REFERENCES shelves(id) ON DELETE CASCADE,
+    book INTEGER NOT NULL,
+    added TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (shelf, book)
+);
+CREATE TABLE IF NOT EXISTS state_changes (
+    user INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    library TEXT NOT NULL,
+    modified INTEGER NOT NULL,
+    PRIMARY KEY (user, library)
+);
+CREATE TABLE IF NOT EXISTS sync_keys (
+    user INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    key TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS sync_progress (
+    user INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    document TEXT NOT NULL,
+    progress TEXT,
+    percentage REAL,
+    device TEXT,
+    device_id TEXT,
+    timestamp INTEGER NOT NULL,
+    PRIMARY KEY (user, document)
+);
+CREATE TABLE IF NOT EXISTS documents (
+    document TEXT NOT NULL,
+    library TEXT NOT NULL,
+    book INTEGER NOT NULL,
+    format TEXT NOT NULL,
+    PRIMARY KEY (document, library, book)
+);
+CREATE INDEX IF NOT EXISTS documents_book ON documents (library, book);
+CREATE TABLE IF NOT EXISTS kobo_tokens (
+    id INTEGER PRIMARY KEY,
+    user INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    hash TEXT NOT NULL UNIQUE,
+    library TEXT NOT NULL,
+    shelf INTEGER REFERENCES shelves(id) ON DELETE CASCADE,
+    tag TEXT,
+    created TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used TIMESTAMP
+);
+CREATE TABLE IF NOT EXISTS kobo_books (
+    token INTEGER NOT NULL REFERENCES kobo_tokens(id) ON DELETE CASCADE,
+    book INTEGER NOT NULL,
+    uuid TEXT NOT NULL,
+    PRIMARY KEY (token, book)
+);
+CREATE TABLE IF NOT EXISTS user_settings (
+    user INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    language TEXT
+);`;
+
+const queryUserByName = 'SELECT id, name, password, role FROM users WHERE name = ?';
+const queryUserById = 'SELECT id, name, role FROM users WHERE id = ?';
+const queryUsers = 'SELECT id, name, role, created FROM users ORDER BY name';
+const queryCountUsers = 'SELECT COUNT(*) AS count FROM users';
+const insertUser = 'INSERT INTO users (name, password, role) VALUES (?, ?, ?)';
+const updatePassword = 'UPDATE users SET password = ? WHERE name = ?';
+const updateRole = 'UPDATE users SET role = ? WHERE name = ?';
+const deleteUserByName = 'DELETE FROM users WHERE name = ?';
+
+const insertSession = 'INSERT INTO sessions (token, user, expires) VALUES (?, ?, ?)';
+const querySession = `
+SELECT u.id, u.name, u.role
+FROM sessions s
+JOIN users u ON u.id = s.user
+WHERE s.token = ? AND s.expires > ?`;
+const deleteSession = 'DELETE FROM sessions WHERE token = ?';
+const deleteExpiredSessions = 'DELETE FROM sessions WHERE expires <= ?';
+
+const queryRules = 'SELECT id, mode, type, column, value FROM rules WHERE user = ? ORDER BY id';
+const queryRulesByName = `
+SELECT r.id, r.mode, r.type, r.column, r.value
+FROM rules r
+JOIN users u ON u.id = r.user
+WHERE u.name = ?
+ORDER BY r.id`;
+const insertRule = 'INSERT INTO rules (user, mode, type, column, value) SELECT id, ?, ?, ?, ? FROM users WHERE name = ?';
+const deleteRuleById = 'DELETE FROM rules WHERE id = ? AND user = (SELECT id FROM users WHERE name = ?)';
+
+const insertToken = 'INSERT INTO tokens (user, label, hash) SELECT id, ?, ? FROM users WHERE name = ?';
+const queryTokenUser = `
+SELECT u.id, u.name, u.role
+FROM tokens t
+JOIN users u ON u.id = t.user
+WHERE t.hash = ?`;
+const updateTokenUsed = 'UPDATE tokens SET last_used = CURRENT_TIMESTAMP WHERE hash = ?';
+const queryTokensByName = `
+SELECT t.id, t.label, t.created, t.last_used
+FROM tokens t
+JOIN users u ON u.id = t.user
+WHERE u.name = ?
+ORDER BY t.id`;
+const deleteTokenById = 'DELETE FROM tokens WHERE id = ? AND user = (SELECT id FROM users WHERE name = ?)';
+
+const queryRecipients = 'SELECT id, email, label, format FROM recipients WHERE user = ? ORDER BY label, email';
+const queryRecipient = 'SELECT id, email, label, format FROM recipients WHERE id = ? AND user = ?';
+const insertRecipient = 'INSERT INTO recipients (user, email, label, format) VALUES (?, ?, ?, ?) ON CONFLICT (user, email) DO UPDATE SET label = excluded.label, format = excluded.format';
+const deleteRecipientById = 'DELETE FROM recipients WHERE id = ? AND user = ?';
+
+const insertDelivery = 'INSERT INTO deliveries (user, library, book, title, format, email, size, status, message) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)';
+const queryDeliveries = `
+SELECT id, library, book, title, format, email, size, status, message, created
+FROM deliveries
+WHERE user = ?
+ORDER BY id DESC
+LIMIT ?`;
+
+const insertDownload = 'INSERT INTO downloads (user, library, book, format) VALUES (?, ?, ?, ?)';
+const queryDownloadCount = 'SELECT COUNT(*) AS count FROM downloads WHERE library = ? AND book = ?';
+const queryDownloadTotal = 'SELECT COUNT(*) AS count, COUNT(DISTINCT book) AS books FROM downloads WHERE library = ?';
+const queryMostDownloaded = `
+SELECT book, COUNT(*) AS count
+FROM downloads
+WHERE library = ?
+GROUP BY book
+ORDER BY count DESC, MAX(id) DESC
+LIMIT ?`;
+const queryRecentlyDownloaded = `
+SELECT book, COUNT(*) AS count
+FROM downloads
+WHERE library = ? AND (? IS NULL OR user = ?)
+GROUP BY book
+ORDER BY MAX(id) DESC
+LIMIT ?`;
+
+const queryBookStates = 'SELECT book, read, favorite FROM book_states WHERE user = ? AND library = ? AND book IN (SELECT value FROM json_each(?))';
+const queryAllBookStates = 'SELECT book, read, favorite FROM book_states WHERE user = ? AND library = ? ORDER BY book';
+const queryStateBooks = {
+  "read": 'SELECT book FROM book_states WHERE user = ? AND library = ? AND read IS NOT NULL ORDER BY read DESC, book DESC',
+  "favorite": 'SELECT book FROM book_states WHERE user = ? AND library = ? AND favorite IS NOT NULL ORDER BY favorite DESC, book DESC'
+};
+const updateBookState = {
+  "read": 'INSERT INTO book_states (user, library, book, read) VALUES (?, ?, ?, ?) ON CONFLICT (user, library, book) DO UPDATE SET read = excluded.read',
+  "favorite": 'INSERT INTO book_states (user, library, book, favorite) VALUES (?, ?, ?, ?) ON CONFLICT (user, library, book) DO UPDATE SET favorite = excluded.favorite'
+};
+const deleteEmptyStates = 'DELETE FROM book_states WHERE user = ? AND library = ? AND book = ? AND read IS NULL AND favorite IS NULL';
+
+const queryShelves = `
+SELECT s.id, s.name, s.created, COUNT(sb.book) AS count
+FROM shelves s
+LEFT JOIN shelf_books sb ON sb.shelf = s.id
+WHERE s.user = ? AND s.library = ?
+GROUP BY s.id
+ORDER BY s.name`;
+const queryShelf = 'SELECT id, library, name, created FROM shelves WHERE id = ? AND user = ?';
+const queryShelvesOfBook = 'SELECT s.id FROM shelves s JOIN shelf_books sb ON sb.shelf = s.id WHERE s.user = ? AND s.library = ? AND sb.book = ?';
+const queryShelfBooks = 'SELECT book, added FROM shelf_books WHERE shelf = ? ORDER BY added DESC, rowid DESC';
+const insertShelf = 'INSERT INTO shelves (user, library, name) VALUES (?, ?, ?) ON CONFLICT (user, library, name) DO NOTHING';
+const queryShelfByName = 'SELECT id, library, name, created FROM shelves WHERE user = ? AND library = ? AND name = ?';
+const deleteShelfById = 'DELETE FROM shelves WHERE id = ? AND user = ?';
+const insertShelfBook = 'INSERT INTO shelf_books (shelf, book) VALUES (?, ?) ON CONFLICT (shelf, book) DO NOTHING';
+const deleteShelfBook = 'DELETE FROM shelf_books WHERE shelf = ? AND book = ?';
+
+const queryStateModified = 'SELECT modified FROM state_changes WHERE user = ? AND library = ?';
+const updateStateModified = 'INSERT INTO state_changes (user, library, modified) VALUES (?, ?, ?) ON CONFLICT (user, library) DO UPDATE SET modified = excluded.modified';
+
+const querySyncKey = 'SELECT u.id, u.name, u.role, k.key FROM users u JOIN sync_keys k ON k.user = u.id WHERE u.name = ?';
+const insertSyncKey = 'INSERT INTO sync_keys (user, key) SELECT id, ? FROM users WHERE name = ? ON CONFLICT (user) DO UPDATE SET key = excluded.key';
+const queryHasSyncKey = 'SELECT COUNT(*) AS count FROM sync_keys WHERE user = ?';
+const insertProgress = `
+INSERT INTO sync_progress (user, document, progress, percentage, device, device_id, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?)
+ON CONFLICT (user, document) DO UPDATE SET progress = excluded.progress, percentage = excluded.percentage, device = excluded.device,
+  device_id = excluded.device_id, timestamp = excluded.timestamp`;
+const queryProgressModified = 'SELECT MAX(timestamp) AS modified FROM sync_progress WHERE user = ?';
+const queryProgress = 'SELECT document, progress, percentage, device, device_id, timestamp FROM sync_progress WHERE user = ? AND document = ?';
+const queryLatestProgress = `
+SELECT document, progress, percentage, device, device_id, timestamp
+FROM sync_progress
+WHERE user = ? AND document IN (SELECT value FROM json_each(?))
+ORDER BY timestamp DESC
+LIMIT 1`;
+const insertDocument = 'INSERT INTO documents (document, library, book, format) VALUES (?, ?, ?, ?) ON CONFLICT DO UPDATE SET format = excluded.format';
+const queryDocumentsOfBook = 'SELECT document FROM documents WHERE library = ? AND book = ?';
+
+const insertKoboToken = 'INSERT INTO kobo_tokens (user, hash, library, shelf, tag) VALUES (?, ?, ?, ?, ?)';
+const queryKoboToken = `
+SELECT k.id, k.library, k.shelf, k.tag, u.id AS userId, u.name, u.role
+FROM kobo_tokens k
+JOIN users u ON u.id = k.user
+WHERE k.hash = ?`;
+const updateKoboTokenUsed = 'UPDATE kobo_tokens SET last_used = CURRENT_TIMESTAMP WHERE id = ?';
+const queryKoboTokens = `
+SELECT k.id, k.shelf, s.name AS shelfName, k.tag, k.created, k.last_used
+FROM kobo_tokens k
+LEFT JOIN shelves s ON s.id = k.shelf
+WHERE k.user = ? AND k.library = ?
+ORDER BY k.id`;
+const deleteKoboTokenById = 'DELETE FROM kobo_tokens WHERE id = ? AND user = ?';
+const queryKoboBooks = 'SELECT book, uuid FROM kobo_books WHERE token = ?';
+const insertKoboBook = 'INSERT INTO kobo_books (token, book, uuid) VALUES (?, ?, ?) ON CONFLICT (token, book) DO UPDATE SET uuid = excluded.uuid';
+const deleteKoboBook = 'DELETE FROM kobo_books WHERE token = ? AND book = ?';
+const deleteAllKoboBooks = 'DELETE FROM kobo_books WHERE token = ?';
+
+const queryLanguage = 'SELECT language FROM user_settings WHERE user = ?';
+const insertLanguage = 'INSERT INTO user_settings (user, language) VALUES (?, ?) ON CONFLICT (user) DO UPDATE SET language = excluded.language';
+
+try {
+  CASSIS_DB.exec('PRAGMA foreign_keys = ON;');
+  CASSIS_DB.exec(createTables);
+} catch (error) {
+  errorLogger(error);
+  process.exit(1);
+}
+
+// Passwörter: scrypt mit zufälligem Salt, gespeichert als "scrypt$salt$hash"
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return "scrypt$" + salt + "$" + hash;
+}
+
+// Erfolgreiche Prüfungen werden gemerkt (Basic Auth der OPDS-Clients und der KOReader-Sync schicken das Passwort bei
+// jedem Request), Schlüssel ist der gespeicherte Hash: nach passwd, delete oder neuem Sync-Passwort gilt der Eintrag nicht mehr
+function verifyPassword(password, stored) {
+  const key = crypto.createHash('sha256').update(stored + "\n" + password).digest('hex');
+  if (verifiedPasswords.has(key)) return true;
+  const [method, salt, hash] = stored.split('$');
+  if (method !== 'scrypt' || !salt || !hash) return false;
+  const hashBuffer = Buffer.from(hash, 'hex');
+  const testBuffer = crypto.scryptSync(password, salt, hashBuffer.length);
+  if (!crypto.timingSafeEqual(hashBuffer, testBuffer)) return false;
+  verifiedPasswords.add(key);
+  if (verifiedPasswords.size > VERIFIED_MAX) verifiedPasswords.delete(verifiedPasswords.values().next().value);
+  return true;
+}
+
+// Änderungszeit der Leseliste eines Benutzers (gelesen, Favoriten, Regale): Teil des Schlüssels im Antwort-Cache
+function touchState(userId, library) {
+  CASSIS_DB.prepare(updateStateModified).run(userId, library, Date.now());
+}
+
+// API-Tokens werden nur als SHA-256-Hash gespeichert
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Exported functions **************************************
+export function countUsers() {
+  try {
+    return CASSIS_DB.prepare(queryCountUsers).get().count;
+  } catch (error) { errorLogger(error); return -1; }
+}
+
+export function getUsers() {
+  try {
+    return CASSIS_DB.prepare(queryUsers).all();
+  } catch (error) { errorLogger(error); return []; }
+}
+
+export function getUser(userId) {
+  try {
+    return CASSIS_DB.prepare(queryUserById).get(userId);
+  } catch (error) { errorLogger(error); return null; }
+}
+
+export function createUser(name, password, role) {
+  if (roles.indexOf(role) < 0) throw new Error("Unknown role '" + role + "'");
+  const result = CASSIS_DB.prepare(insertUser).run(name, hashPassword(password), role);
+  logger.info("createUser: user '" + name + "' created, role=" + role);
+  return result.lastInsertRowid;
+}
+
+export function setPassword(name, password) {
+  return CASSIS_DB.prepare(updatePassword).run(hashPassword(password), name).changes;
+}
+
+export function setRole(name, role) {
+  if (roles.indexOf(role) < 0) throw new Error("Unknown role '" + role + "'");
+  return CASSIS_DB.prepare(updateRole).run(role, name).changes;
+}
+
+export function deleteUser(name) {
+  return CASSIS_DB.prepare(deleteUserByName).run(name).changes;
+}
+
+export function checkLogin(name, password) {  // returns user or null
+  try {
+    const user = CASSIS_DB.prepare(queryUserByName).get(name);
+    if (!user || !verifyPassword(password, user.password)) return null;
+    return { id: user.id, name: user.name, role: user.role };
+  } catch (error) { errorLogger(error); return null; }
+}
+
+export function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expires = Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000;
+  CASSIS_DB.prepare(deleteExpiredSessions).run(Date.now());
+  CASSIS_DB.prepare(insertSession).run(token, userId, expires);
+  return { token, expires: new Date(expires) };
+}
+
+export function getSessionUser(token) {
+  try {
+    return CASSIS_DB.prepare(querySession).get(token, Date.now());
+  } catch (error) { errorLogger(error); return null; }
+}
+
+export function removeSession(token) {
+  try {
+    CASSIS_DB.prepare(deleteSession).run(token);
+  } catch (error) { errorLogger(error); }
+}
+
+export function getRules(userId) {
+  try {
+    return CASSIS_DB.prepare(queryRules).all(userId);
+  } catch (error) { errorLogger(error); return [{ mode: 'allow', type: 'none', value: '' }]; }  // im Zweifel nichts anzeigen
+}
+
+export function getRulesOfUser(name) {
+  return CASSIS_DB.prepare(queryRulesByName).all(name);
+}
+
+export function addRule(name, mode, type, column, value) {
+  if (ruleModes.indexOf(mode) < 0) throw new Error("Unknown rule mode '" + mode + "'");
+  if (ruleTypes.indexOf(type) < 0) throw new Error("Unknown rule type '" + type + "'");
+  return CASSIS_DB.prepare(insertRule).run(mode, type, column || null, value, name).changes;
+}
+
+export function deleteRule(name, ruleId) {
+  return CASSIS_DB.prepare(deleteRuleById).run(ruleId, name).changes;
+}
+
+export function createToken(name, label) {  // returns token (nur einmal sichtbar) or null
+  const token = "cassis_" + crypto.randomBytes(24).toString('hex');
+  const changes = CASSIS_DB.prepare(insertToken).run(label || null, hashToken(token), name).changes;
+  return (changes > 0) ? token : null;
+}
+
+export function getTokenUser(token) {
+  try {
+    const hash = hashToken(token);
+    const user = CASSIS_DB.prepare(queryTokenUser).get(hash);
+    if (user) CASSIS_DB.prepare(updateTokenUsed).run(hash);
+    return user;
+  } catch (error) { errorLogger(error); return null; }
+}
+
+export function getTokensOfUser(name) {
+  return CASSIS_DB.prepare(queryTokensByName).all(name);
+}
+
+export function deleteToken(name, tokenId) {
+  return CASSIS_DB.prepare(deleteTokenById).run(tokenId, name).changes;
+}
+
+// Empfänger für "An E-Reader senden" (z.B. Kindle- oder PocketBook-Adressen) mit bevorzugtem Format
+export function getRecipients(userId) {
+  try {
+    return CASSIS_DB.prepare(queryRecipients).all(userId);
+  } catch (error) { errorLogger(error); return []; }
+}
+
+export function getRecipient(userId, recipientId) {
+  try {
+    return CASSIS_DB.prepare(queryRecipient).get(recipientId, userId);
+  } catch (error) { errorLogger(error); return null; }
+}
+
+export function saveRecipient(userId, email, label, format) {  // neue Adresse oder Änderung einer vorhandenen
+  return CASSIS_DB.prepare(insertRecipient).run(userId, email, label || null, format).changes;
+}
+
+export function deleteRecipient(userId, recipientId) {
+  return CASSIS_DB.prepare(deleteRecipientById).run(recipientId, userId).changes;
+}
+
+// Versandprotokoll, status: 'sent' | 'failed' | 'rejected' (zu groß)
+export function logDelivery(userId, delivery) {
+  try {
+    CASSIS_DB.prepare(insertDelivery).run(userId, delivery.library, delivery.bookId, delivery.title || null, delivery.format, delivery.email,
+      delivery.size ?? null, delivery.status, delivery.message || null);
+  } catch (error) { errorLogger(error); }
+}
+
+export function getDeliveries(userId, limit = 20) {
+  try {
+    return CASSIS_DB.prepare(queryDeliveries).all(userId, limit);
+  } catch (error) { errorLogger(error); return []; }
+}
+
+// Downloadstatistik je Bibliothek; Zugriffe ohne Anmeldung (AUTH=false) ohne Benutzer
+export function logDownload(userId, library, bookId, format) {
+  try {
+    CASSIS_DB.prepare(insertDownload).run(userId || null, library, bookId, format);
+  } catch (error) { errorLogger(error); }
+}
+
+export function getDownloadCount(library, bookId) {
+  try {
+    return CASSIS_DB.prepare(queryDownloadCount).get(library, bookId).count;
+  } catch (error) { errorLogger(error); return 0; }
+}
+
+export function getDownloadTotal(library) {  // returns { count, books }
+  try {
+    return CASSIS_DB.prepare(queryDownloadTotal).get(library);
+  } catch (error) { errorLogger(error); return { count: 0, books: 0 }; }
+}
+
+export function getMostDownloaded(library, limit) {  // returns [{ book, count }]
+  try {
+    return CASSIS_DB.prepare(queryMostDownloaded).all(library, limit);
+  } catch (error) { errorLogger(error); return []; }
+}
+
+export function getRecentlyDownloaded(library, userId, limit) {  // userId null: alle Benutzer
+  try {
+    return CASSIS_DB.prepare(queryRecentlyDownloaded).all(library, userId || null, userId || null, limit);
+  } catch (error) { errorLogger(error); return []; }
+}
+
+// Leseliste je Benutzer und Bibliothek (nur angemeldete Benutzer): gelesen/Favorit mit Zeitpunkt, eigene Regale
+export const bookStates = ['read', 'favorite'];
+
+export function getBookStates(userId, library, bookIds) {  // returns [{ book, read, favorite }]
+  try {
+    return CASSIS_DB.prepare(queryBookStates).all(userId, library, JSON.stringify(bookIds));
+  } catch (error) { errorLogger(error); return []; }
+}
+
+export function getStateBooks(userId, library, state) {  // returns [book], zuletzt markierte zuerst
+  try {
+    return CASSIS_DB.prepare(queryStateBooks[state]).all(userId, library).map((row) => row.book);
+  } catch (error) { errorLogger(error); return []; }
+}
+
+export function setBookState(userId, library, bookId, state, value) {
+  if (bookStates.indexOf(state) < 0) throw new Error("Unknown book state '" + state + "'");
+  CASSIS_DB.prepare(updateBookState[state]).run(userId, library, bookId, (value) ? new Date().toISOString() : null);
+  CASSIS_DB.prepare(deleteEmptyStates).run(userId, library, bookId);
+  touchState(userId, library);
+}
+
+export function getShelves(userId, library) {  // returns [{ id, name, created, count }]
+  try {
+    return CASSIS_DB.prepare(queryShelves).all(userId, library);
+  } catch (error) { errorLogger(error); return []; }
+}
+
+export function getShelf(userId, shelfId) {
+  try {
+    return CASSIS_DB.prepare(queryShelf).get(shelfId, userId);
+  } catch (error) { errorLogger(error); return null; }
+}
+
+export function getShelvesOfBook(userId, library, bookId) {  // returns [shelfId]
+  try {
+    return CASSIS_DB.prepare(queryShelvesOfBook).all(userId, library, bookId).map((row) => row.id);
+  } catch (error) { errorLogger(error); return []; }
+}
+
+export function getShelfBooks(shelfId) {  // returns [book], zuletzt hinzugefügte zuerst
+  try {
+    return CASSIS_DB.prepare(queryShelfBooks).all(shelfId).map((row) => row.book);
+  } catch (error) { errorLogger(error); return []; }
+}
+
+export function createShelf(userId, library, name) {  // returns shelf (vorhandenes Regal bei gleichem Namen)
+  CASSIS_DB.prepare(insertShelf).run(userId, library, name);
+  touchState(userId, library);
+  return CASSIS_DB.prepare(queryShelfByName).get(userId, library, name);
+}
+
+export function deleteShelf(userId, shelfId) {
+  const shelf = getShelf(userId, shelfId);
+  if (!shelf) return 0;
+  const changes = CASSIS_DB.prepare(deleteShelfById).run(shelfId, userId).changes;
+  touchState(userId, shelf.library);
+  return changes;
+}
+
+export function setShelfBook(userId, shelfId, bookId, value) {  // false, wenn das Regal nicht dem Benutzer gehört
+  const shelf = getShelf(userId, shelfId);
+  if (!shelf) return false;
+  CASSIS_DB.prepare((value) ? insertShelfBook : deleteShelfBook).run(shelfId, bookId);
+  touchState(userId, shelf.library);
+  return true;
+}
+
+export function getStateModified(userId, library) {
+  try {
+    const row = CASSIS_DB.prepare(queryStateModified).get(userId, library);
+    return (row) ? row.modified : 0;
+  } catch (error) { errorLogger(error); return 0; }
+}
+
+// Alles für den Export: { read: [{ book, date }], favorites: [{ book, date }], shelves: [{ name, created, books: [{ book, added }] }] }
+export function exportBookStates(userId, library) {
+  const states = CASSIS_DB.prepare(queryAllBookStates).all(userId, library);
+  return {
+    read: states.filter((state) => state.read).map((state) => ({ book: state.book, date: state.read })),
+    favorites: states.filter((state) => state.favorite).map((state) => ({ book: state.book, date: state.favorite })),
+    shelves: getShelves(userId, library).map((shelf) => ({
+      name: shelf.name, created: shelf.created,
+      books: CASSIS_DB.prepare(queryShelfBooks).all(shelf.id)
+    }))
+  };
+}
+
+// KOReader-Sync (kosync): KOReader meldet sich mit dem MD5 des Passworts an, gespeichert wird davon nur ein scrypt-Hash
+export function setSyncKey(name, key) {
+  return CASSIS_DB.prepare(insertSyncKey).run(hashPassword(key), name).changes;
+}
+
+export function checkSyncKey(name, key) {  // returns user or null
+  try {
+    const user = CASSIS_DB.prepare(querySyncKey).get(name);
+    if (!user || !verifyPassword(key, user.key)) return null;
+    return { id: user.id, name: user.name, role: user.role };
+  } catch (error) { errorLogger(error); return null; }
+}
+
+export function hasSyncKey(userId) {
+  try {
+    return CASSIS_DB.prepare(queryHasSyncKey).get(userId).count > 0;
+  } catch (error) { errorLogger(error); return false; }
+}
+
+// progress: { document, progress, percentage, device, device_id, timestamp (Sekunden) }
+export function saveProgress(userId, progress) {
+  CASSIS_DB.prepare(insertProgress).run(userId, progress.document, progress.progress, progress.percentage, progress.device, progress.device_id || null, progress.timestamp);
+}
+
+// Zeitpunkt der letzten Meldung eines Geräts: Teil des Schlüssels im Antwort-Cache für die Buchseite
+export function getProgressModified(userId) {
+  try {
+    const row = CASSIS_DB.prepare(queryProgressModified).get(userId);
+    return (row && row.modified) || 0;
+  } catch (error) { errorLogger(error); return 0; }
+}
+
+export function getProgress(userId, document) {
+  try {
+    return CASSIS_DB.prepare(queryProgress).get(userId, document);
+  } catch (error) { errorLogger(error); return null; }
+}
+
+export function getLatestProgress(userId, documents) {  // neuester Stand zu einem der Hashes
+  try {
+    return CASSIS_DB.prepare(queryLatestProgress).get(userId, JSON.stringify(documents));
+  } catch (error) { errorLogger(error); return null; }
+}
+
+// Hashes ausgelieferter Dateien (s. app/kosync.js), damit der Fortschritt einem Buch zugeordnet werden kann
+export function saveDocument(document, library, bookId, format) {
+  try {
+    CASSIS_DB.prepare(insertDocument).run(document, library, bookId, format);
+  } catch (error) { errorLogger(error); }
+}
+
+export function getDocumentsOfBook(library, bookId) {  // returns [document]
+  try {
+    return CASSIS_DB.prepare(queryDocumentsOfBook).all(library, bookId).map((row) => row.document);
+  } catch (error) { errorLogger(error); return []; }
+}
+
+// Kobo-Sync: ein Token je Gerät, gilt für eine Bibliothek; Filter: ein Regal (shelf) oder ein Schlagwort (tag), sonst alle Bücher
+export function createKoboToken(userId, library, shelfId, tag) {  // returns token (nur einmal sichtbar)
+  const token = crypto.randomBytes(24).toString('hex');
+  CASSIS_DB.prepare(insertKoboToken).run(userId, hashToken(token), library, shelfId || null, tag || null);
+  return token;
+}
+
+export function getKoboToken(token) {  // returns { id, library, shelf, tag, user } or null
+  try {
+    const row = CASSIS_DB.prepare(queryKoboToken).get(hashToken(token));
+    if (!row) return null;
+    CASSIS_DB.prepare(updateKoboTokenUsed).run(row.id);
+    return { id: row.id, library: row.library, shelf: row.shelf, tag: row.tag, user: { id: row.userId, name: row.name, role: row.role } };
+  } catch (error) { errorLogger(error); return null; }
+}
+
+export function getKoboTokens(userId, library) {  // returns [{ id, shelf, shelfName, tag, created, last_used }]
+  try {
+    return CASSIS_DB.prepare(queryKoboTokens).all(userId, library);
+  } catch (error) { errorLogger(error); return []; }
+}
+
+export function deleteKoboToken(userId, tokenId) {
+  return CASSIS_DB.prepare(deleteKoboTokenById).run(tokenId, userId).changes;
+}
+
+// Bücher, die auf dem Gerät sind (zuletzt synchronisiert): neue und entfernte werden damit erkannt.
+// Die UUID wird mitgespeichert, weil das Gerät Bücher nur über sie kennt (auch in Calibre gelöschte).
+export function getKoboBooks(tokenId) {  // returns [{ book, uuid }]
+  try {
+    return CASSIS_DB.prepare(queryKoboBooks).all(tokenId);
+  } catch (error) { errorLogger(error); return []; }
+}
+
+export function addKoboBook(tokenId, bookId, uuid) {
+  CASSIS_DB.prepare(insertKoboBook).run(tokenId, bookId, uuid);
+}
+
+export function removeKoboBook(tokenId, bookId) {
+  CASSIS_DB.prepare(deleteKoboBook).run(tokenId, bookId);
+}
+
+export function resetKoboBooks(tokenId) {
+  CASSIS_DB.prepare(deleteAllKoboBooks).run(tokenId);
+}
+
+// Sprache der Oberfläche (s. i18n.js), null = automatisch nach Accept-Language des Browsers
+export function getUserLanguage(userId) {
+  try {
+    const row = CASSIS_DB.prepare(queryLanguage).get(userId);
+    return (row) ? row.language : null;
+  } catch (error) { errorLogger(error); return null; }
+}
+
+export function setUserLanguage(userId, language) {
+  CASSIS_DB.prepare(insertLanguage).run(userId, language || null);
+}
@@ -0,0 +1,239 @@
+'use strict';
+
+import fs from 'fs-extra';
+import zlib from 'node:zlib';
+import { promisify } from 'node:util';
+
+// Einfacher ZIP-Leser und -Schreiber für E-Books (EPUB, CBZ). Der Leser liest das Inhaltsverzeichnis (Central Directory)
+// und entpackt einzelne Einträge, der Schreiber schreibt Einträge nacheinander in einen Stream.
+// Unterstützt "stored" und "deflate", kein ZIP64 (Einträge und Archiv unter 4 GB) und keine Verschlüsselung.
+// Die Inhaltsverzeichnisse der zuletzt benutzten Dateien werden zwischengespeichert (bis sich die Datei ändert).
+const MAX_DIRECTORIES = 20;
+
+const inflateRaw = promisify(zlib.inflateRaw);
+const deflateRaw = promisify(zlib.deflateRaw);
+const directories = new Map();  // Datei -> { mtimeMs, entries }, Reihenfolge = letzte Benutzung (älteste zuerst)
+
+export class ZipError extends Error { }
+
+// Base functions ***********************
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+async function readDirectory(handle, size) {
+  // End of Central Directory: 22 Bytes plus Kommentar (max. 65535 Bytes) am Dateiende
+  const tailLength = Math.min(size, 22 + 65535);
+  const tail = await readAt(handle, size - tailLength, tailLength);
+  let end = -1;
+  for (let pos = tail.length - 22; pos >= 0; pos--) {
+    if (tail.readUInt32LE(pos) === 0x06054b50) { end = pos; break; }
+  }
+  if (end < 0) throw new ZipError("Not a zip file");
+
+  const count = tail.readUInt16LE(end + 10);
+  const directorySize = tail.readUInt32LE(end + 12);
+  const directoryOffset = tail.readUInt32LE(end + 16);
+  if (count === 0xffff || directoryOffset === 0xffffffff) throw new ZipError("ZIP64 is not supported");
+
+  const directory = await readAt(handle, directoryOffset, directorySize);
+  const entries = new Map();
+  let pos = 0;
+  for (let i = 0; i < count; i++) {
+    if (pos + 46 > directory.length || directory.readUInt32LE(pos) !== 0x02014b50) throw new ZipError("Invalid zip directory");
+    const nameLength = directory.readUInt16LE(pos + 28);
+    const name = directory.toString('utf8', pos + 46, pos + 46 + nameLength);
+    if (!name.endsWith("/")) {
+      entries.set(name, {
+        name,
+        flags: directory.readUInt16LE(pos + 8),
+        method: directory.readUInt16LE(pos + 10),
+        time: directory.readUInt16LE(pos + 12),
+        date: directory.readUInt16LE(pos + 14),
+        crc: directory.readUInt32LE(pos + 16),
+        compressedSize: directory.readUInt32LE(pos + 20),
+        size: directory.readUInt32LE(pos + 24),
+        offset: directory.readUInt32LE(pos + 42)
+      });
+    }
+    pos += 46 + nameLength + directory.readUInt16LE(pos + 30) + directory.readUInt16LE(pos + 32);
+  }
+  return entries;
+}
+
+async function getDirectory(file, handle) {
+  const stat = await handle.stat();
+  const cached = directories.get(file);
+  directories.delete(file);
+  const directory = (cached && cached.mtimeMs === stat.mtimeMs) ? cached : { mtimeMs: stat.mtimeMs, entries: await readDirectory(handle, stat.size) };
+  directories.set(file, directory);
+  if (directories.size > MAX_DIRECTORIES) directories.delete(directories.keys().next().value);
+  return directory;
+}
+
+// Datum und Uhrzeit im DOS-Format der ZIP-Header
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function localHeader(entry) {
+  const name = Buffer.from(entry.name, 'utf8');
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(entry.flags, 6);
+  header.writeUInt16LE(entry.method, 8);
+  header.writeUInt16LE(entry.time, 10);
+  header.writeUInt16LE(entry.date, 12);
+  header.writeUInt32LE(entry.crc, 14);
+  header.writeUInt32LE(entry.compressedSize, 18);
+  header.writeUInt32LE(entry.size, 22);
+  header.writeUInt16LE(name.length, 26);
+  return Buffer.concat([header, name]);
+}
+
+function centralHeader(entry) {
+  const name = Buffer.from(entry.name, 'utf8');
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(20, 6);
+  header.writeUInt16LE(entry.flags, 8);
+  header.writeUInt16LE(entry.method, 10);
+  header.writeUInt16LE(entry.time, 12);
+  header.writeUInt16LE(entry.date, 14);
+  header.writeUInt32LE(entry.crc, 16);
+  header.writeUInt32LE(entry.compressedSize, 20);
+  header.writeUInt32LE(entry.size, 24);
+  header.writeUInt16LE(name.length, 28);
+  header.writeUInt32LE(entry.offset, 42);
+  return Buffer.concat([header, name]);
+}
+
+// Exported functions **************************************
+
+// Einträge der ZIP-Datei (ohne Verzeichnisse) in der Reihenfolge des Archivs
+export async function listZip(file) {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    return Array.from((await getDirectory(file, handle)).entries.values());
+  } finally {
+    await handle.close();
+  }
+}
+
+// Eintrag unverändert (komprimiert) als { entry, data }, null wenn es ihn nicht gibt
+export async function readRawZipEntry(file, name) {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    const entry = (await getDirectory(file, handle)).entries.get(name);
+    if (!entry) return null;
+    if (entry.flags & 0x1) throw new ZipError("Encrypted zip entries are not supported: " + name);
+
+    const header = await readAt(handle, entry.offset, 30);
+    if (header.length < 30 || header.readUInt32LE(0) !== 0x04034b50) throw new ZipError("Invalid zip entry: " + name);
+    return { entry, data: await readAt(handle, entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28), entry.compressedSize) };
+  } finally {
+    await handle.close();
+  }
+}
+
+// Inhalt eines Eintrags als Buffer, null wenn es ihn nicht gibt
+export async function readZipEntry(file, name) {
+  const raw = await readRawZipEntry(file, name);
+  if (!raw) return null;
+  const { entry, data } = raw;
+  switch (entry.method) {
+    case 0:
+      return data;
+    case 8:
+      return await inflateRaw(data);
+    default:
+      throw new ZipError("Unsupported compression method " + entry.method + ": " + name);
+  }
+}
+
+// ZIP-Schreiber für einen Writable-Stream (Datei oder HTTP-Antwort), berücksichtigt dessen Puffergrenze.
+// addEntry(name, data, { store }) schreibt einen Buffer, addRawEntry({ entry, data }) übernimmt einen Eintrag aus
+// readRawZipEntry ohne ihn neu zu komprimieren, addFile(name, path) kopiert eine Datei unkomprimiert als Stream
+// (CRC und Größen folgen im Data Descriptor), finish() schreibt das Inhaltsverzeichnis.
+export function createZipWriter(output) {
+  const entries = [];
+  let offset = 0;
+
+  async function write(buffer) {
+    if (offset + buffer.length > 0xffffffff) throw new ZipError("Zip archive would exceed 4 GB (ZIP64 is not supported)");
+    offset += buffer.length;
+    if (!output.write(buffer)) {
+      await new Promise((resolve, reject) => {
+        const cleanup = () => { output.off('drain', onDrain); output.off('close', onClose); output.off('error', onError); };
+        const onDrain = () => { cleanup(); resolve(); };
+        const onClose = () => { cleanup(); reject(new ZipError("Output stream closed")); };
+        const onError = (error) => { cleanup(); reject(error); };
+        output.on('drain', onDrain).on('close', onClose).on('error', onError);
+      });
+    }
+  }
+
+  function newEntry(name, method, flags, mtime) {
+    return Object.assign({ name, method, flags: 0x800 | flags, crc: 0, compressedSize: 0, size: 0, offset }, dosDateTime(mtime || new Date()));
+  }
+
+  return {
+    async addEntry(name, data, options = {}) {
+      const compressed = (options.store) ? data : await deflateRaw(data);
+      const entry = newEntry(name, (options.store) ? 0 : 8, 0, options.mtime);
+      Object.assign(entry, { crc: zlib.crc32(data), compressedSize: compressed.length, size: data.length });
+      entries.push(entry);
+      await write(localHeader(entry));
+      await write(compressed);
+    },
+
+    async addRawEntry(raw) {
+      const entry = newEntry(raw.entry.name, raw.entry.method, 0);
+      Object.assign(entry, { crc: raw.entry.crc, compressedSize: raw.entry.compressedSize, size: raw.entry.size, time: raw.entry.time, date: raw.entry.date });
+      entries.push(entry);
+      await write(localHeader(entry));
+      await write(raw.data);
+    },
+
+    async addFile(name, file) {
+      const stat = await fs.stat(file);
+      if (stat.size > 0xffffffff) throw new ZipError("File too large for zip archive: " + file);
+      const entry = newEntry(name, 0, 0x8, stat.mtime);
+      entries.push(entry);
+      await write(localHeader(entry));
+      for await (let chunk of fs.createReadStream(file)) {
+        entry.crc = zlib.crc32(chunk, entry.crc);
+        entry.size += chunk.length;
+        await write(chunk);
+      }
+      entry.compressedSize = entry.size;
+      const descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(0x08074b50, 0);
+      descriptor.writeUInt32LE(entry.crc, 4);
+      descriptor.writeUInt32LE(entry.compressedSize, 8);
+      descriptor.writeUInt32LE(entry.size, 12);
+      await write(descriptor);
+    },
+
+    async finish() {
+      if (entries.length > 0xfffe) throw new ZipError("Too many zip entries (ZIP64 is not supported)");
+      const start = offset;
+      for (let entry of entries) await write(centralHeader(entry));
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - start, 12);
+      end.writeUInt32LE(start, 16);
+      await write(end);
+    }
+  };
+}
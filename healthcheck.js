@@ -2,7 +2,7 @@ import { logger } from './log.js'
 
 if (process.env.HTTP_PORT)
   try {
-    const response = await fetch("http://localhost:" + process.env.HTTP_PORT + "/app/count/");
+    const response = await fetch("http://localhost:" + process.env.HTTP_PORT + "/app/health");
     const data = await response.json();
 
     if (data.healthy !== true) {
@@ -20,7 +20,7 @@ if (process.env.HTTP_PORT)
 
 if (process.env.HTTPS_PORT)
   try {
-    const response = await fetch("http://localhost:" + process.env.HTTP_PORT + "/app/count/");
+    const response = await fetch("http://localhost:" + process.env.HTTP_PORT + "/app/health");
     const data = await response.json();
 
     if (data.healthy !== true) {
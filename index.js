@@ -1,8 +1,16 @@
 import express from 'express';
 import https from 'https';
 import fs from 'fs-extra';
+import cookieParser from 'cookie-parser';
 
 import { router } from './app/index.js';
+import { router as opdsRouter } from './opds/index.js';
+import { router as apiRouter } from './api/index.js';
+import { router as kosyncRouter } from './kosync/index.js';
+import { router as koboRouter } from './kobo/index.js';
+import { authenticate, authenticateApi, authenticateKobo, loginPageAction, loginAction, logoutAction } from './app/auth.js';
+import { selectLibrary } from './app/libraries.js';
+import { selectLanguage } from './app/i18n.js';
 import { logger } from './log.js';
 
 const app = express();
@@ -11,13 +19,46 @@ const HTTPS_PORT = parseInt(process.env.HTTPS_PORT) || 443;
 
 app.set('view engine', 'pug');
 
+// Hinter einem Reverse-Proxy (HTTPS-Terminierung): X-Forwarded-Proto/-Host/-For übernehmen, z.B. TRUST_PROXY=true,
+// =1 (Anzahl der Proxys) oder =loopback; wirkt auf die Adressen für Kobo und KOReader, Secure-Cookies und Log-IPs
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', (trustProxy === "true") ? true : (/^\d+$/.test(trustProxy)) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 app.use(express.static(import.meta.dirname + '/public'));
 
 app.use(express.urlencoded({ extended: false }));
 
 app.use(express.json());
 
-app.use('/app', router);
+app.use(cookieParser());
+
+// Sprache der Oberfläche: Cookie (Einstellung), sonst Accept-Language (s. app/i18n.js)
+app.use(selectLanguage);
+
+app.get('/login', loginPageAction);
+app.post('/login', loginAction);
+app.get('/logout', logoutAction);
+
+// KOReader-Sync: Fortschritt je Benutzer, für alle Bibliotheken gemeinsam
+app.use('/kosync', kosyncRouter);
+
+// Kobo-Sync: Token je Gerät, legt Benutzer, Bibliothek und Filter fest
+app.use('/kobo/:token', authenticateKobo, koboRouter);
+
+// Routen einer Bibliothek: ohne Präfix die erste, unter /lib/<id> jede (s. app/libraries.js)
+const libraryRouter = express.Router({ mergeParams: true });
+
+libraryRouter.use('/app', router);
+
+libraryRouter.use('/opds/v2', authenticate, opdsRouter);
+libraryRouter.use('/opds', authenticate, opdsRouter);
+
+libraryRouter.use('/api/v1', authenticateApi, apiRouter);
+
+app.use('/lib/:library', selectLibrary, libraryRouter);
+app.use(selectLibrary, libraryRouter);
 
 app.use((request, response) => response.redirect('/app'));
 
@@ -0,0 +1,382 @@
+'use strict';
+
+import crypto from 'node:crypto';
+
+import { logger, errorLogger } from '../log.js';
+import { addFields, decode, toIsoDate, bookFile, serverUrl } from '../app/controller.js';
+import {
+  findBooks, getTags, getFormatsOfBooks, getUuidsOfBooks, getCommentsOfBooks, getPublisherOfBooks, getLanguagesOfBooks,
+  getBookIdByUuid, getCoverData
+} from '../app/model.js';
+import { currentLibrary } from '../app/libraries.js';
+import { getCachedCoverSize } from '../app/covercache.js';
+import {
+  getShelfBooks, getBookStates, setBookState, logDownload, getKoboBooks, addKoboBook, removeKoboBook, resetKoboBooks
+} from '../app/usermodel.js';
+
+// Kobo-Sync: Kobo-Reader synchronisieren ihre Bibliothek mit einem Server, der die Schnittstelle des Kobo-Stores spricht.
+// In .kobo/Kobo/Kobo eReader.conf wird dazu "api_endpoint=<Server>/kobo/<Token>" eingetragen. Auf das Gerät kommen alle
+// Bücher mit EPUB (als KEPUB) der Bibliothek des Tokens, eingeschränkt auf ein Regal oder ein Schlagwort.
+// Der Sync ist inkrementell: das Gerät bekommt im x-kobo-synctoken den Stand (last_modified) zurück und erhält beim
+// nächsten Mal nur neue und geänderte Bücher; was nicht mehr zum Filter passt, wird vom Gerät entfernt.
+// Anfragen an den Kobo-Store (Shop, Empfehlungen ...) werden nicht weitergeleitet, sie bekommen eine leere Antwort.
+const SYNC_LIMIT = 100;  // Bücher je Antwort, danach "x-kobo-sync: continue"
+const KOBO_FORMATS = { "kepub": "KEPUB", "epub": "EPUB" };
+
+class KoboError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Base functions ***********************
+
+function koboUrl(request) {
+  return serverUrl(request) + "/kobo/" + request.params.token;
+}
+
+// Kobo erwartet Zeitangaben ohne Millisekunden: "2024-01-01T10:00:00Z"
+function koboDate(date) {
+  if (!date) return null;
+  const parsed = new Date(date);
+  return (isNaN(parsed)) ? null : parsed.toISOString().replace(/\.\d+Z$/, "Z");
+}
+
+// Stand des Geräts im x-kobo-synctoken (Base64-JSON): zuletzt ausgelieferte Änderung { modified, id },
+// null ohne Token oder bei einem fremden Token (z.B. aus dem Kobo-Store) - dann wird alles neu synchronisiert
+function readSyncToken(header) {
+  try {
+    const token = JSON.parse(Buffer.from(header || "", 'base64').toString('utf8'));
+    return (token && token.cassis === 1 && typeof token.modified === 'string') ? { modified: token.modified, id: parseInt(token.id, 10) || 0 } : null;
+  } catch (error) { return null; }
+}
+
+function writeSyncToken(position) {
+  return Buffer.from(JSON.stringify({ cassis: 1, modified: position.modified, id: position.id })).toString('base64');
+}
+
+// Reihenfolge der Änderungen: last_modified, bei gleicher Zeit die Buch-Id
+function compareChange(a, b) {
+  return (a.modified < b.modified) ? -1 : (a.modified > b.modified) ? 1 : a.id - b.id;
+}
+
+// Bücher, die auf das Gerät gehören: Filter des Tokens, nur mit EPUB; sortiert nach last_modified
+function deviceBooks(kobo) {
+  const filters = {};
+  if (kobo.shelf) {
+    filters.bookIds = getShelfBooks(kobo.shelf);
+  } else if (kobo.tag) {
+    const tag = getTags().find((tag) => decode(tag.tagName).toLowerCase() === kobo.tag.toLowerCase());
+    if (tag) filters.tagId = tag.tagId; else filters.bookIds = [];
+  }
+  const books = findBooks(filters, "", -1, 0);
+  if (books.length === 0) return [];
+  const epubs = new Set(getFormatsOfBooks(books.map((book) => book.bookId).toString())
+    .filter((format) => format.name === "epub").map((format) => format.bookId));
+  return books.filter((book) => epubs.has(book.bookId))
+    .map((book) => Object.assign(book, { position: { modified: book.lastModified || "", id: book.bookId } }))
+    .sort((a, b) => compareChange(a.position, b.position));
+}
+
+// Metadaten wie im Kobo-Store; die Calibre-UUID dient als Id des Buches, des Covers und der Ausgabe
+function bookMetadata(request, book) {
+  const base = koboUrl(request);
+  const seriesName = (book.serie) ? book.serie.seriesName : null;
+  return {
+    Categories: ["00000000-0000-0000-0000-000000000001"],
+    CoverImageId: book.uuid,
+    CrossRevisionId: book.uuid,
+    CurrentDisplayPrice: { CurrencyCode: "EUR", TotalAmount: 0 },
+    CurrentLoveDisplayPrice: { TotalAmount: 0 },
+    Description: book.comment || null,
+    DownloadUrls: Object.keys(KOBO_FORMATS).map((format) => ({
+      Format: KOBO_FORMATS[format], Size: book.sizes.epub || 0, Url: base + "/download/" + book.bookId + "/" + format, Platform: "Generic"
+    })),
+    EntitlementId: book.uuid,
+    ExternalIds: [],
+    Genre: "00000000-0000-0000-0000-000000000001",
+    IsEligibleForKoboLove: false,
+    IsInternetArchive: false,
+    IsPreOrder: false,
+    IsSocialEnabled: true,
+    Language: book.language || "en",
+    PhoneticPronunciations: {},
+    PublicationDate: koboDate(toIsoDate(book.pubdate)),
+    Publisher: { Imprint: "", Name: book.publisher || null },
+    RevisionId: book.uuid,
+    Title: decode(book.title),
+    WorkId: book.uuid,
+    ContributorRoles: book.authors.map((author) => ({ Name: author.authorsName })),
+    Contributors: book.authors.map((author) => author.authorsName),
+    Series: (seriesName) ? {
+      Name: seriesName, Number: String(book.seriesIndex), NumberFloat: book.seriesIndex,
+      Id: crypto.createHash('md5').update(seriesName).digest('hex').replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, "$1-$2-$3-$4-$5")
+    } : undefined
+  };
+}
+
+function bookEntitlement(book, removed) {
+  return {
+    Accessibility: "Full",
+    ActivePeriod: { From: koboDate(new Date()) },
+    Created: koboDate(toIsoDate(book.timestamp)),
+    CrossRevisionId: book.uuid,
+    Id: book.uuid,
+    IsRemoved: removed,
+    IsHiddenFromArchive: false,
+    IsLocked: false,
+    LastModified: koboDate(toIsoDate(book.lastModified)) || koboDate(new Date()),
+    OriginCategory: "Imported",
+    RevisionId: book.uuid,
+    Status: "Active"
+  };
+}
+
+// Lesestatus aus Cassis (gelesen); den Fortschritt innerhalb des Buches verwaltet das Gerät selbst
+function readingState(book, state) {
+  const modified = koboDate((state && state.read) || toIsoDate(book.lastModified)) || koboDate(new Date());
+  return {
+    EntitlementId: book.uuid,
+    Created: modified,
+    LastModified: modified,
+    PriorityTimestamp: modified,
+    StatusInfo: { LastModified: modified, Status: (state && state.read) ? "Finished" : "ReadyToRead", TimesStartedReading: 0 },
+    Statistics: { LastModified: modified },
+    CurrentBookmark: { LastModified: modified }
+  };
+}
+
+// Autoren, Formate, Serie (addFields) und was der Kobo-Store sonst noch mitliefert
+function addKoboFields(books, user) {
+  if (books.length === 0) return books;
+  const bookIdString = books.map((book) => book.bookId).toString();
+  addFields(books);
+  const uuids = getUuidsOfBooks(bookIdString);
+  const comments = getCommentsOfBooks(bookIdString);
+  const publishers = getPublisherOfBooks(bookIdString);
+  const languages = getLanguagesOfBooks(bookIdString);
+  const states = (user.id) ? getBookStates(user.id, currentLibrary().id, books.map((book) => book.bookId)) : [];
+  for (let book of books) {
+    book.uuid = (uuids.find((row) => row.bookId == book.bookId) || {}).uuid;
+    book.comment = (comments.find((row) => row.bookId == book.bookId) || {}).comment;
+    book.publisher = decode((publishers.find((row) => row.bookId == book.bookId) || {}).name || "") || null;
+    book.language = languageCode((languages.find((row) => row.bookId == book.bookId) || {}).code);
+    book.state = states.find((state) => state.book == book.bookId);
+  }
+  return books;
+}
+
+// Calibre speichert ISO 639-2 ("deu"), Kobo erwartet zweistellige Codes ("de")
+function languageCode(code) {
+  try { return (code) ? new Intl.Locale(code).language : null } catch (error) { return null }
+}
+
+function findDeviceBook(uuid) {
+  const bookId = getBookIdByUuid(uuid);
+  const books = (bookId) ? findBooks({ bookIds: [bookId] }, "", 1, 0) : [];
+  if (books.length === 0) throw new KoboError(404, "Book " + uuid + " not found");
+  return books[0];
+}
+
+// Actions **************************
+
+// Adressen, die das Gerät beim Start abfragt; nur die für den Sync nötigen zeigen auf Cassis
+export async function initializationAction(request, response) {
+  try {
+    (logger.isLevelEnabled('debug')) && logger.debug("*** kobo initializationAction: user=" + request.user.name);
+    const base = koboUrl(request);
+    const Resources = {
+      image_host: serverUrl(request),
+      image_url_template: base + "/{ImageId}/{Width}/{Height}/false/image.jpg",
+      image_url_quality_template: base + "/{ImageId}/{Width}/{Height}/{Quality}/{IsGreyscale}/image.jpg",
+      library_sync: base + "/v1/library/sync",
+      library_items: base + "/v1/user/library",
+      library_metadata: base + "/v1/library/{Ids}/metadata",
+      reading_state: base + "/v1/library/{Ids}/state",
+      delete_entitlement: base + "/v1/library/{Ids}",
+      device_auth: base + "/v1/auth/device",
+      device_refresh: base + "/v1/auth/refresh",
+      get_tests_request: base + "/v1/analytics/gettests",
+      post_analytics_event: base + "/v1/analytics/event",
+      user_profile: base + "/v1/user/profile",
+      user_loyalty_benefits: base + "/v1/user/loyalty/benefits",
+      user_wishlist: base + "/v1/user/wishlist",
+      tags: base + "/v1/library/tags"
+    };
+    response.set('x-kobo-apitoken', 'e30=');
+    response.json({ Resources });
+  }
+  catch (error) { errorHandler(error, response, 'kobo initializationAction') }
+}
+
+// Anmeldung des Geräts: die Zugangsdaten stecken schon im Token der URL, das Gerät bekommt Platzhalter
+export async function authAction(request, response) {
+  try {
+    (logger.isLevelEnabled('debug')) && logger.debug("*** kobo authAction: user=" + request.user.name);
+    const userKey = (request.body && typeof request.body.UserKey === 'string') ? request.body.UserKey : crypto.randomUUID();
+    response.json({
+      AccessToken: crypto.randomBytes(24).toString('base64'),
+      RefreshToken: crypto.randomBytes(24).toString('base64'),
+      TokenType: "Bearer",
+      TrackingId: crypto.randomUUID(),
+      UserKey: userKey
+    });
+  }
+  catch (error) { errorHandler(error, response, 'kobo authAction') }
+}
+
+// Neue, geänderte und entfernte Bücher seit dem Stand im x-kobo-synctoken, höchstens SYNC_LIMIT je Antwort
+export async function syncAction(request, response) {
+  try {
+    const kobo = request.kobo;
+    const since = readSyncToken(request.get('x-kobo-synctoken'));
+    (logger.isLevelEnabled('debug')) && logger.debug("*** kobo syncAction: user=" + request.user.name + ", token=" + kobo.id + ", since=" + JSON.stringify(since));
+    if (!since) resetKoboBooks(kobo.id);
+
+    const books = deviceBooks(kobo);
+    const bookIds = new Set(books.map((book) => book.bookId));
+    const onDevice = new Set();
+    const removed = [];
+    for (let entry of getKoboBooks(kobo.id)) {
+      if (bookIds.has(entry.book)) onDevice.add(entry.book); else removed.push(entry);
+    }
+    const changed = books.filter((book) => !onDevice.has(book.bookId) || (since && compareChange(book.position, since) > 0));
+
+    const removedBatch = removed.slice(0, SYNC_LIMIT);
+    const changedBatch = addKoboFields(changed.slice(0, SYNC_LIMIT - removedBatch.length), request.user);
+    const more = removed.length + changed.length > removedBatch.length + changedBatch.length;
+
+    const items = removedBatch.map((entry) => ({
+      ChangedEntitlement: { BookEntitlement: bookEntitlement({ uuid: entry.uuid }, true) }
+    }));
+    for (let book of changedBatch) {
+      const type = (onDevice.has(book.bookId)) ? "ChangedEntitlement" : "NewEntitlement";
+      items.push({
+        [type]: { BookEntitlement: bookEntitlement(book, false), BookMetadata: bookMetadata(request, book), ReadingState: readingState(book, book.state) }
+      });
+    }
+    removedBatch.map((entry) => removeKoboBook(kobo.id, entry.book));
+    changedBatch.map((book) => addKoboBook(kobo.id, book.bookId, book.uuid));
+
+    // Neuer Stand: die letzte ausgelieferte Änderung, nach dem letzten Teil die neueste überhaupt
+    const positions = ((more) ? changedBatch : books).map((book) => book.position).concat((since) ? [since] : []);
+    const position = positions.sort(compareChange).pop() || { modified: "", id: 0 };
+    logger.info("kobo syncAction: user '" + request.user.name + "', " + changedBatch.length + " books, " + removedBatch.length + " removed" + ((more) ? ", more to come" : ""));
+    response.set('x-kobo-synctoken', writeSyncToken(position));
+    if (more) response.set('x-kobo-sync', 'continue');
+    response.json(items);
+  }
+  catch (error) { errorHandler(error, response, 'kobo syncAction') }
+}
+
+export async function metadataAction(request, response) {
+  try {
+    (logger.isLevelEnabled('debug')) && logger.debug("*** kobo metadataAction: uuid=" + request.params.uuid);
+    const book = addKoboFields([findDeviceBook(request.params.uuid)], request.user)[0];
+    response.json([bookMetadata(request, book)]);
+  }
+  catch (error) { errorHandler(error, response, 'kobo metadataAction') }
+}
+
+// Lesestatus abfragen (GET) oder vom Gerät übernehmen (PUT): "Finished" markiert das Buch in Cassis als gelesen
+export async function stateAction(request, response) {
+  try {
+    (logger.isLevelEnabled('debug')) && logger.debug("*** kobo stateAction: " + request.method + ", uuid=" + request.params.uuid + ", body=" + JSON.stringify(request.body));
+    const book = addKoboFields([findDeviceBook(request.params.uuid)], request.user)[0];
+    if (request.method === 'GET') {
+      response.json([readingState(book, book.state)]);
+      return;
+    }
+    const states = (request.body && Array.isArray(request.body.ReadingStates)) ? request.body.ReadingStates : [];
+    const state = states.find((state) => state.EntitlementId === book.uuid);
+    if (!state) throw new KoboError(400, "No reading state for " + book.uuid);
+    const status = state.StatusInfo && state.StatusInfo.Status;
+    if (status && request.user.id && (status === "Finished") !== Boolean(book.state && book.state.read)) {
+      setBookState(request.user.id, currentLibrary().id, book.bookId, "read", status === "Finished");
+    }
+    const success = { Result: "Success" };
+    response.json({
+      RequestResult: "Success",
+      UpdateResults: [{ EntitlementId: book.uuid, CurrentBookmarkResult: success, StatisticsResult: success, StatusInfoResult: success }]
+    });
+  }
+  catch (error) { errorHandler(error, response, 'kobo stateAction') }
+}
+
+// Buch auf dem Gerät gelöscht ("Aus der Bibliothek entfernen"): in Cassis bleibt es, kommt aber erst nach einer Änderung wieder
+export async function deleteAction(request, response) {
+  (logger.isLevelEnabled('debug')) && logger.debug("*** kobo deleteAction: uuid=" + request.params.uuid);
+  response.sendStatus(204);
+}
+
+// Cover in der angeforderten Größe (URL-Vorlagen aus initializationAction)
+export async function coverAction(request, response) {
+  try {
+    const width = parseInt(request.params.width, 10) || 0;
+    const height = parseInt(request.params.height, 10) || 0;
+    (logger.isLevelEnabled('debug')) && logger.debug("*** kobo coverAction: uuid=" + request.params.uuid + ", " + width + "x" + height);
+    const bookId = getBookIdByUuid(request.params.uuid);
+    const fileData = (bookId) ? getCoverData(bookId) : null;
+    if (!fileData || width <= 0 || height <= 0) { response.sendStatus(404); return; }
+    const source = currentLibrary().bookDir + "/" + fileData.path + "/cover.jpg";
+    let cover;
+    try {
+      cover = await getCachedCoverSize(bookId, source, width, height, request.params.greyscale === "true");
+    } catch (error) {  // Buch ohne Cover
+      (logger.isLevelEnabled('debug')) && logger.debug("kobo coverAction: " + error.message);
+      response.sendStatus(404);
+      return;
+    }
+    const headers = { 'Content-Type': cover.type, 'ETag': cover.etag, 'Cache-Control': 'private, max-age=86400' };
+    if (request.get('if-none-match') === cover.etag) {
+      response.set(headers).status(304).end();
+      return;
+    }
+    response.sendFile(cover.file, { root: cover.dir, headers, etag: false, lastModified: false });
+  }
+  catch (error) { errorHandler(error, response, 'kobo coverAction') }
+}
+
+// KEPUB (aus dem EPUB erzeugt) oder EPUB mit den aktuellen Metadaten, wie beim Download in der Web-Oberfläche
+export async function downloadAction(request, response) {
+  try {
+    const bookId = parseInt(request.params.id, 10);
+    const format = request.params.format;
+    (logger.isLevelEnabled('debug')) && logger.debug("*** kobo downloadAction: bookId=" + bookId + ", format=" + format);
+    const source = (KOBO_FORMATS[format]) ? await bookFile(bookId, format) : null;
+    if (!source) { response.sendStatus(404); return; }
+    response.on('close', source.release);
+    response.sendFile(source.file, { root: source.dir, dotfiles: 'deny', cacheControl: false }, function (error) {
+      if (!error) {
+        logDownload(request.user.id, currentLibrary().id, bookId, format);
+      } else if (response.headersSent) {
+        (logger.isLevelEnabled('debug')) && logger.debug('kobo downloadAction: aborted: ' + error.message);
+      } else if (error.status && error.status < 500) {
+        response.sendStatus(error.status);
+      } else {
+        errorHandler(error, response, 'kobo downloadAction');
+      }
+    });
+  }
+  catch (error) { errorHandler(error, response, 'kobo downloadAction') }
+}
+
+// Alles andere (Shop, Empfehlungen, Analytics ...): leere Antwort, damit das Gerät zufrieden ist
+export async function unknownAction(request, response) {
+  (logger.isLevelEnabled('debug')) && logger.debug("*** kobo unknownAction: " + request.method + " " + request.originalUrl.replace(/^\/kobo\/[^/]+/, "/kobo/***"));
+  response.json({});
+}
+
+// Helper functions ***********************
+
+function errorHandler(error, response, actionName) {
+  if (error instanceof KoboError) {
+    (logger.isLevelEnabled('debug')) && logger.debug(actionName + ": " + error.status + " " + error.message);
+    response.status(error.status).json({ error: error.message });
+    return;
+  }
+  logger.error("Cassis: Internal server error in '" + actionName + "': " + error.message);
+  errorLogger(error);
+  response.status(500).json({ error: "Internal server error" });
+}
@@ -0,0 +1,24 @@
+'use strict';
+
+import { Router } from 'express';
+
+import {
+  initializationAction, authAction, syncAction, metadataAction, stateAction, deleteAction, coverAction, downloadAction, unknownAction
+} from './controller.js';
+
+const router = Router({ mergeParams: true });
+
+// Kobo-Sync unter /kobo/<token> (in "Kobo eReader.conf" als api_endpoint eintragen), angemeldet über das Token (s. app/auth.js)
+router.get('/v1/initialization', initializationAction);
+router.post('/v1/auth/device', authAction);
+router.get('/v1/library/sync', syncAction);
+router.get('/v1/library/:uuid/metadata', metadataAction);
+router.get('/v1/library/:uuid/state', stateAction);
+router.put('/v1/library/:uuid/state', stateAction);
+router.delete('/v1/library/:uuid', deleteAction);
+router.get('/download/:id/:format', downloadAction);
+router.get('/:uuid/:width/:height/:greyscale/image.jpg', coverAction);
+router.get('/:uuid/:width/:height/:quality/:greyscale/image.jpg', coverAction);
+router.use(unknownAction);
+
+export { router };
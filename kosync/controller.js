@@ -0,0 +1,99 @@
+'use strict';
+
+import crypto from 'node:crypto';
+
+import { logger, errorLogger } from '../log.js';
+import { createUser, setSyncKey, saveProgress, getProgress } from '../app/usermodel.js';
+
+// KOReader-Sync-Server (Protokoll von koreader-sync-server): Lesefortschritt je Benutzer und Dokument-Hash.
+// Neue Benutzer aus KOReader heraus ("Registrieren") nur mit KOSYNC_REGISTRATION=true, sonst wird das
+// Sync-Passwort eines vorhandenen Benutzers auf der Info-Seite oder mit "node users.js kosync" gesetzt.
+const KOSYNC_REGISTRATION = process.env.KOSYNC_REGISTRATION === "true";
+
+class SyncError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Base functions ***********************
+
+// Schlüsselfelder (Benutzer, Passwort-Hash, Dokument): nicht leer, ohne ":"
+function isKeyField(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= 255 && !value.includes(":");
+}
+
+// Actions **************************
+
+export async function createUserAction(request, response) {
+  try {
+    const { username, password } = request.body || {};
+    (logger.isLevelEnabled('debug')) && logger.debug("*** kosync createUserAction: username=" + username);
+    if (!KOSYNC_REGISTRATION) throw new SyncError(402, 2005, "User registration is disabled.");
+    if (!isKeyField(username) || !isKeyField(password)) throw new SyncError(403, 2003, "Invalid request");
+    try {
+      createUser(username, crypto.randomBytes(24).toString('hex'), 'user');  // nur für den Sync, Passwort für die Web-Oberfläche mit "node users.js passwd"
+    } catch (error) {
+      throw new SyncError(402, 2002, "Username is already registered.");
+    }
+    setSyncKey(username, password);
+    logger.info("kosync: user '" + username + "' registered from KOReader");
+    response.status(201).json({ username });
+  }
+  catch (error) { errorHandler(error, response, 'kosync createUserAction') }
+}
+
+export async function authAction(request, response) {
+  response.json({ authorized: "OK" });
+}
+
+export async function updateProgressAction(request, response) {
+  try {
+    const { document, progress, percentage, device, device_id } = request.body || {};
+    (logger.isLevelEnabled('debug')) && logger.debug("*** kosync updateProgressAction: user=" + request.user.name + ", body=" + JSON.stringify(request.body));
+    if (!isKeyField(document)) throw new SyncError(403, 2004, "Field 'document' not provided.");
+    if (typeof progress !== 'string' || typeof percentage !== 'number' || !isFinite(percentage) || typeof device !== 'string') {
+      throw new SyncError(403, 2003, "Invalid request");
+    }
+    const timestamp = Math.floor(Date.now() / 1000);
+    saveProgress(request.user.id, { document, progress, percentage, device, device_id: (typeof device_id === 'string') ? device_id : null, timestamp });
+    response.json({ document, timestamp });
+  }
+  catch (error) { errorHandler(error, response, 'kosync updateProgressAction') }
+}
+
+export async function getProgressAction(request, response) {
+  try {
+    const document = request.params.document;
+    (logger.isLevelEnabled('debug')) && logger.debug("*** kosync getProgressAction: user=" + request.user.name + ", document=" + document);
+    if (!isKeyField(document)) throw new SyncError(403, 2004, "Field 'document' not provided.");
+    const progress = getProgress(request.user.id, document);
+    if (!progress) { response.json({}); return; }
+    if (!progress.device_id) delete progress.device_id;
+    response.json(progress);
+  }
+  catch (error) { errorHandler(error, response, 'kosync getProgressAction') }
+}
+
+export async function healthcheckAction(request, response) {
+  response.json({ state: "OK" });
+}
+
+export async function notFoundAction(request, response) {
+  errorHandler(new SyncError(404, 2000, "Unknown sync endpoint " + request.method + " " + request.originalUrl), response, 'kosync');
+}
+
+// Helper functions ***********************
+
+function errorHandler(error, response, actionName) {
+  if (error instanceof SyncError) {
+    (logger.isLevelEnabled('debug')) && logger.debug(actionName + ": " + error.status + " " + error.message);
+    response.status(error.status).json({ code: error.code, message: error.message });
+    return;
+  }
+  logger.error("Cassis: Internal server error in '" + actionName + "': " + error.message);
+  errorLogger(error);
+  response.status(500).json({ code: 2000, message: "Unknown server error." });
+}
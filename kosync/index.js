@@ -0,0 +1,23 @@
+'use strict';
+
+import { Router, json } from 'express';
+
+import {
+  createUserAction, authAction, updateProgressAction, getProgressAction, healthcheckAction, notFoundAction
+} from './controller.js';
+import { authenticateSync } from '../app/auth.js';
+
+const router = Router();
+
+// KOReader sendet JSON teils mit dem eigenen Medientyp
+router.use(json({ type: ['application/json', 'application/vnd.koreader.v1+json'] }));
+
+// KOReader-Sync unter /kosync (in KOReader als "Eigener Sync-Server" eintragen)
+router.get('/healthcheck', healthcheckAction);
+router.post('/users/create', createUserAction);
+router.get('/users/auth', authenticateSync, authAction);
+router.put('/syncs/progress', authenticateSync, updateProgressAction);
+router.get('/syncs/progress/:document', authenticateSync, getProgressAction);
+router.use(notFoundAction);
+
+export { router };
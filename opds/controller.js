@@ -0,0 +1,305 @@
+'use strict';
+
+import { logger, errorLogger } from '../log.js';
+import packagejson from '../package.json' with {type: 'json'}
+import { addFields, decode, toIsoDate, coverUrl } from '../app/controller.js';
+import {
+  findBooks, countBooks, getCommentsOfBooks,
+  getPublisherOfBooks, getStatistics, getAuthorsList, getSeriesList, getPublishersList, getTagsList, getTags
+} from '../app/model.js';
+import { libraries, currentLibrary, libraryBase } from '../app/libraries.js';
+import { t } from '../app/i18n.js';
+
+const PAGE_LIMIT = parseInt(process.env.PAGE_LIMIT) || 30;
+
+const ATOM_NAV = 'application/atom+xml;profile=opds-catalog;kind=navigation';
+const ATOM_ACQ = 'application/atom+xml;profile=opds-catalog;kind=acquisition';
+const OPDS2 = 'application/opds+json';
+
+const mimeTypes = {
+  "epub": "application/epub+zip",
+  "kepub": "application/kepub+zip",
+  "pdf": "application/pdf",
+  "mobi": "application/x-mobipocket-ebook",
+  "azw3": "application/vnd.amazon.ebook",
+  "cbz": "application/vnd.comicbook+zip",
+  "cbr": "application/vnd.comicbook-rar",
+  "cb7": "application/x-cb7",
+  "fb2": "application/x-fictionbook+xml",
+  "djvu": "image/vnd.djvu",
+  "rtf": "application/rtf",
+  "txt": "text/plain"
+};
+
+// Navigationseinträge des Start-Feeds; count = Schlüssel in getStatistics(), Titel und Text: opds.<id>, opds.<id>Content
+const rootEntries = [
+  { "id": "recent", "count": "books", "kind": "acquisition" },
+  { "id": "authors", "count": "authors", "kind": "navigation" },
+  { "id": "series", "count": "series", "kind": "navigation" },
+  { "id": "tags", "count": "tags", "kind": "navigation" },
+  { "id": "publishers", "count": "publishers", "kind": "navigation" }
+];
+
+// Navigations-Listen: Liste, Anzahl und Filter (findBooks/countBooks) der zugehörigen Bücher, Titel: opds.<type>
+const navigationTypes = {
+  "authors": { "list": getAuthorsList, "count": "authors", "filter": "authorsId" },
+  "series": { "list": getSeriesList, "count": "series", "filter": "serieId" },
+  "publishers": { "list": getPublishersList, "count": "publishers", "filter": "publisherId" },
+  "tags": { "list": getTagsList, "count": "tags", "filter": "tagId" }
+};
+
+// Base functions ***********************
+
+function isV2(request) {
+  return request.baseUrl.endsWith('/v2');
+}
+
+function getPage(request) {
+  const page = parseInt(request.query.page, 10);
+  return (isNaN(page) || page < 0) ? 0 : page;
+}
+
+function pageLinks(href, page, count) {
+  const lastpage = Math.max(Math.ceil(count / PAGE_LIMIT) - 1, 0);
+  const pageHref = (p) => href + ((href.includes('?')) ? '&' : '?') + 'page=' + p;
+  return {
+    first: (page > 0) ? pageHref(0) : null,
+    prev: (page > 0) ? pageHref(Math.min(page - 1, lastpage)) : null,
+    next: (page < lastpage) ? pageHref(page + 1) : null,
+    last: (page < lastpage) ? pageHref(lastpage) : null
+  }
+}
+
+function completeBooks(books, base) {
+  books = addFields(books);
+  if (books.length > 0) {
+    const bookIdString = books.map((book) => book.bookId).toString();
+    const comments = getCommentsOfBooks(bookIdString);
+    const publishers = getPublisherOfBooks(bookIdString);
+    books.map((book) => {
+      const comment = comments.find((comment) => comment.bookId == book.bookId);
+      book.comment = (comment) ? comment.comment : null;
+      const publisher = publishers.find((publisher) => publisher.bookId == book.bookId);
+      book.publisher = (publisher) ? decode(publisher.name) : null;
+      book.updated = toIsoDate(book.timestamp);
+      book.issued = toIsoDate(book.pubdate);
+      // viele E-Reader können kein AVIF/WebP: Cover immer als JPEG (Typ in feed.pug und toOpds2)
+      book.cover = coverUrl("book", book, 1, "jpeg");
+      book.thumbnail = coverUrl("list", book, 1, "jpeg");
+      book.acquisitions = book.formats.map((format) => {
+        return { href: libraryBase() + "/app/file/" + format + "/" + book.bookId, type: mimeTypes[format] || "application/octet-stream", format, length: book.sizes[format] };
+      });
+      book.authorLinks = book.authors.map((author) => {
+        return { name: author.authorsName, href: base + "/authors/" + author.authorsId };
+      });
+    });
+  }
+  return books;
+}
+
+function sendFeed(request, response, feed) {
+  feed.itemsPerPage = PAGE_LIMIT;
+  (logger.isLevelEnabled('silly')) && logger.silly("sendFeed: feed=" + JSON.stringify(feed));
+  if (isV2(request)) {
+    response.type(OPDS2).send(JSON.stringify(toOpds2(feed)));
+  } else {
+    response.render(import.meta.dirname + '/views/feed', { feed }, function (error, xml) {
+      if (error) {
+        errorHandler(error, response, 'render opds feed');
+      } else {
+        response.type((feed.kind === 'navigation') ? ATOM_NAV : ATOM_ACQ).send(xml);
+      }
+    });
+  }
+}
+
+function toOpds2(feed) {
+  const links = [
+    { rel: "self", href: feed.self, type: OPDS2 },
+    { rel: "start", href: feed.start, type: OPDS2 },
+    { rel: "search", href: feed.start + "/search{?query}", type: OPDS2, templated: true }
+  ];
+  for (let rel of ['first', 'prev', 'next', 'last']) {
+    (feed.pageNav && feed.pageNav[rel]) && links.push({ rel, href: feed.pageNav[rel], type: OPDS2 });
+  }
+
+  const result = {
+    metadata: { title: feed.title, numberOfItems: feed.count, itemsPerPage: PAGE_LIMIT, currentPage: feed.page + 1 },
+    links
+  };
+
+  if (feed.kind === 'navigation') {
+    result.navigation = feed.entries.map((entry) => {
+      return { href: entry.href, title: entry.title, type: OPDS2, rel: (entry.kind === 'acquisition') ? "http://opds-spec.org/sort/new" : "subsection", properties: { numberOfItems: entry.count } };
+    });
+  } else {
+    result.publications = feed.entries.map((book) => {
+      const metadata = {
+        "@type": "http://schema.org/Book",
+        identifier: "urn:cassis:book:" + book.bookId,
+        title: book.title,
+        sortAs: book.sort,
+        author: book.authorLinks.map((author) => { return { name: author.name, links: [{ href: author.href, type: OPDS2 }] } }),
+        subject: book.tags
+      };
+      (book.updated) && (metadata.modified = book.updated);
+      (book.issued) && (metadata.published = book.issued);
+      (book.comment) && (metadata.description = book.comment);
+      (book.publisher) && (metadata.publisher = book.publisher);
+      (book.serie) && (metadata.belongsTo = { series: [{ name: book.serie.seriesName, position: book.seriesIndex }] });
+      return {
+        metadata,
+        links: book.acquisitions.map((acq) => { return { rel: "http://opds-spec.org/acquisition", href: acq.href, type: acq.type } }),
+        images: [
+          { href: book.cover, type: "image/jpeg" },
+          { href: book.thumbnail, type: "image/jpeg", rel: "http://opds-spec.org/image/thumbnail" }
+        ]
+      }
+    });
+  }
+  return result;
+}
+
+function acquisitionFeed(request, response, id, title, self, books, count, page) {
+  const base = request.baseUrl;
+  sendFeed(request, response, {
+    kind: 'acquisition', id: "urn:cassis:" + id, title, self, start: base,
+    updated: new Date().toISOString(), author: packagejson.name.toUpperCase(),
+    count, page, pageNav: pageLinks(self, page, count),
+    entries: books
+  });
+}
+
+// Actions **************************
+
+export async function rootAction(request, response) {
+  try {
+    (logger.isLevelEnabled('debug')) && logger.debug("*** opds rootAction: baseUrl=" + request.baseUrl);
+    const base = request.baseUrl;
+    const stats = getStatistics();
+    const entries = rootEntries.map((entry) => {
+      return { id: "urn:cassis:" + entry.id, title: t("opds." + entry.id), content: t("opds." + entry.id + "Content"), href: base + "/" + entry.id, kind: entry.kind, count: stats[entry.count] }
+    });
+    // weitere Bibliotheken als eigene Kataloge
+    libraries.filter((library) => library.id !== currentLibrary().id).map((library) => {
+      entries.push({
+        id: "urn:cassis:library:" + library.id, title: t("opds.library", { name: library.name }), content: t("opds.libraryContent", { name: library.name }),
+        href: "/lib/" + library.id + ((isV2(request)) ? "/opds/v2" : "/opds"), kind: 'navigation'
+      });
+    });
+    const title = (libraries.length > 1) ? t("opds.title", { name: currentLibrary().name }) : t("app.title");
+    sendFeed(request, response, {
+      kind: 'navigation', id: "urn:cassis:root", title, self: base, start: base,
+      updated: new Date().toISOString(), author: packagejson.name.toUpperCase(),
+      count: entries.length, page: 0, entries
+    });
+  }
+  catch (error) { errorHandler(error, response, 'opds rootAction') }
+}
+
+export async function recentAction(request, response) {
+  try {
+    (logger.isLevelEnabled('debug')) && logger.debug("*** opds recentAction: query=" + JSON.stringify(request.query));
+    const page = getPage(request);
+    const count = countBooks({});
+    const books = (count > 0) ? completeBooks(findBooks({}, "timestamp.desc", PAGE_LIMIT, page * PAGE_LIMIT), request.baseUrl) : [];
+    acquisitionFeed(request, response, "recent", t("opds.recent"), request.baseUrl + "/recent", books, count, page);
+  }
+  catch (error) { errorHandler(error, response, 'opds recentAction') }
+}
+
+export async function searchAction(request, response) {
+  try {
+    (logger.isLevelEnabled('debug')) && logger.debug("*** opds searchAction: query=" + JSON.stringify(request.query));
+    const searchString = request.query.q || request.query.query || "";
+    const page = getPage(request);
+    const count = countBooks({ searchString });
+    const books = (count > 0) ? completeBooks(findBooks({ searchString }, "", PAGE_LIMIT, page * PAGE_LIMIT), request.baseUrl) : [];
+    const self = request.baseUrl + "/search?" + ((isV2(request)) ? "query=" : "q=") + encodeURIComponent(searchString);
+    acquisitionFeed(request, response, "search", t("opds.search", { query: searchString }), self, books, count, page);
+  }
+  catch (error) { errorHandler(error, response, 'opds searchAction') }
+}
+
+export async function navigationAction(request, response) {
+  try {
+    (logger.isLevelEnabled('debug')) && logger.debug("*** opds navigationAction: params=" + JSON.stringify(request.params) + ", query=" + JSON.stringify(request.query));
+    const type = navigationTypes[request.params.type];
+    if (!type) { response.sendStatus(404); return; }
+
+    const base = request.baseUrl;
+    const self = base + "/" + request.params.type;
+    const page = getPage(request);
+    const count = getStatistics()[type.count] || 0;
+    const entries = type.list(PAGE_LIMIT, page * PAGE_LIMIT).map((item) => {
+      return {
+        id: "urn:cassis:" + request.params.type + ":" + item.id, title: decode(item.name), href: self + "/" + item.id,
+        content: t("opds.books", { count: item.count }), kind: 'acquisition', count: item.count
+      }
+    });
+    sendFeed(request, response, {
+      kind: 'navigation', id: "urn:cassis:" + request.params.type, title: t("opds." + request.params.type), self, start: base,
+      updated: new Date().toISOString(), author: packagejson.name.toUpperCase(),
+      count, page, pageNav: pageLinks(self, page, count), entries
+    });
+  }
+  catch (error) { errorHandler(error, response, 'opds navigationAction') }
+}
+
+export async function booksAction(request, response) {
+  try {
+    (logger.isLevelEnabled('debug')) && logger.debug("*** opds booksAction: params=" + JSON.stringify(request.params) + ", query=" + JSON.stringify(request.query));
+    const type = navigationTypes[request.params.type];
+    const id = parseInt(request.params.id, 10);
+    if (!type || isNaN(id)) { response.sendStatus(404); return; }
+
+    const page = getPage(request);
+    const filters = { [type.filter]: id };
+    const count = countBooks(filters);
+    const books = (count > 0) ? completeBooks(findBooks(filters, "", PAGE_LIMIT, page * PAGE_LIMIT), request.baseUrl) : [];
+    const typeTitle = t("opds." + request.params.type);
+    const title = (books.length > 0) ? typeTitle + ": " + bookGroupName(request.params.type, books[0], id) : typeTitle;
+    const self = request.baseUrl + "/" + request.params.type + "/" + id;
+    acquisitionFeed(request, response, request.params.type + ":" + id, title, self, books, count, page);
+  }
+  catch (error) { errorHandler(error, response, 'opds booksAction') }
+}
+
+export async function openSearchAction(request, response) {
+  try {
+    (logger.isLevelEnabled('debug')) && logger.debug("*** opds openSearchAction");
+    response.render(import.meta.dirname + '/views/opensearch', { base: request.baseUrl, type: ATOM_ACQ }, function (error, xml) {
+      if (error) {
+        errorHandler(error, response, 'render opensearch description');
+      } else {
+        response.type('application/opensearchdescription+xml').send(xml);
+      }
+    });
+  }
+  catch (error) { errorHandler(error, response, 'opds openSearchAction') }
+}
+
+// Helper functions ***********************
+
+function bookGroupName(type, book, id) {
+  switch (type) {
+    case "authors":
+      const author = book.authors.find((author) => author.authorsId === id);
+      return (author) ? author.authorsName : "";
+    case "series":
+      return (book.serie) ? book.serie.seriesName : "";
+    case "publishers":
+      return book.publisher || "";
+    case "tags":
+      const tag = getTags().find((tag) => tag.tagId === id);
+      return (tag) ? decode(tag.tagName) : "";
+  }
+}
+
+function errorHandler(error, response, actionName) {
+  const message = "Cassis: Internal server error in '" + actionName + "': " + error.message;
+  logger.error(message);
+  errorLogger(error);
+  response.writeHead(500, message, { 'content-type': 'text/html' });
+  response.end();
+}
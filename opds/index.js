@@ -0,0 +1,19 @@
+'use strict';
+
+import { Router } from 'express';
+
+import {
+  rootAction, recentAction, searchAction, navigationAction, booksAction, openSearchAction
+} from './controller.js';
+
+const router = Router();
+
+// OPDS 1.2 (Atom) unter /opds, OPDS 2.0 (JSON) unter /opds/v2 - gleiche Routen
+router.get('/', rootAction);
+router.get('/opensearch.xml', openSearchAction);
+router.get('/recent', recentAction);
+router.get('/search', searchAction);
+router.get('/:type', navigationAction);
+router.get('/:type/:id', booksAction);
+
+export { router };
@@ -2,19 +2,38 @@
 
 const DEF_OPTIONS = {
   'target': 'list',
-  'type': 'search',
   'searchString': '',
   'bookId': 0,
   'serieId': 0,
   'authorsId': 0,
+  'publisherId': 0,
   'tagId': 0,
   'ccId': 0,
   'ccNum': 0,
+  'listType': '',
+  'shelfId': 0,
   'num': 0,
   'sortString': 'timestamp.desc',
   'screenwidth': '0'
 };
 
+// URL-Präfix der Bibliothek ("" oder "/lib/<id>", s. start.pug), gilt für alle Aufrufe von /app/...
+const BASE = document.documentElement.dataset.base || "";
+
+// Texte in der Sprache der Seite (app/locales, Abschnitt "client"), von start.pug als JSON eingebettet
+let MESSAGES;
+
+function t(key, params = {}) {
+  if (!MESSAGES) {
+    const element = document.getElementById('messages');
+    MESSAGES = (element) ? JSON.parse(element.textContent) : {};
+  }
+  let text = MESSAGES[key];
+  if (text === undefined) return key;
+  if (typeof text === 'object') text = text[new Intl.PluralRules(document.documentElement.lang).select(params.count)] || text.other;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined) ? params[name] : match);
+}
+
 let OPTIONS_COUNTER;
 
 let OPTIONS;
@@ -34,6 +53,25 @@ function pushOptions(options) {
   }
 }
 
+// Optionen als Query-String für GET /app/list und /app/book (der Browser-Cache fragt dann mit ETag nach)
+function optionsQuery(options) {
+  const params = new URLSearchParams();
+  for (let key in options) {
+    if (options[key] !== undefined && options[key] !== null && key !== 'width') params.set(key, options[key]);
+  }
+  return params.toString();
+}
+
+async function fetchData(url, options = {}) {
+  options.headers = Object.assign({ "X-Requested-With": "XMLHttpRequest" }, options.headers);
+  const response = await fetch((url.startsWith("/app/")) ? BASE + url : url, options);
+  if (response.status === 401) {
+    location.href = "/login?next=" + encodeURIComponent(location.pathname);
+    throw new Error(t("notLoggedIn"));
+  }
+  return response.json();
+}
+
 function getOptions() {
   const optionsString = sessionStorage.getItem("cassis" + OPTIONS_COUNTER)
   return (optionsString) && JSON.parse(optionsString);
@@ -57,7 +95,7 @@ function restoreOptions() {
     document.getElementById('forward').classList.add("disabled");
   else
     document.getElementById('forward').classList.remove("disabled");
-  if (options.type !== 'search')
+  if (options.authorsId)
     document.getElementById('authorsort').classList.add("disabled");
   else
     document.getElementById('authorsort').classList.remove("disabled");
@@ -73,6 +111,10 @@ async function historyMove(num) {
     getBooklist(options);
   } else if (options.target === 'book') {
     getBook(options);
+  } else if (options.target === 'reader') {
+    getReader(options);
+  } else if (options.target === 'comic') {
+    getComic(options);
   }
   sessionStorage.setItem("cassis_OPTIONS_COUNTER", OPTIONS_COUNTER);
   restoreOptions();
@@ -83,36 +125,22 @@ function goForward() { historyMove(1) }
 
 async function getBooklist(options) {
   options.width = window.innerWidth;
-  const response = await fetch("/app/list/", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(options)
-  });
-  const data = await response.json();
+  document.getElementById('searchInput').value = options.searchString || "";
+  const data = await fetchData("/app/list?" + optionsQuery(options));
   document.getElementById("books").innerHTML = data.html;
   document.body.scrollIntoView();
   restoreOptions();
 }
 
 async function appendToBooklist(options) {
-  const response = await fetch("/app/list/", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(options)
-  });
-  const data = await response.json();
+  const data = await fetchData("/app/list?" + optionsQuery(options));
   document.getElementById("pagedown").remove();
   document.getElementById("books").insertAdjacentHTML("beforeend", data.html);
   CURPAGE = 0;
 }
 
 async function getBook(options) {
-  const response = await fetch("/app/book/", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(options)
-  })
-  const data = await response.json();
+  const data = await fetchData("/app/book?" + optionsQuery(options));
   document.getElementById("books").innerHTML = data.html;
   document.body.scrollIntoView();
   document.getElementById('searchInput').value = "";
@@ -128,70 +156,74 @@ function setOptionsHome() {
   document.getElementById('searchInput').value = '';
 }
 
+// Filter (Suche, Genre, Custom Column, Autor, Serie, Verlag, Liste) werden kombiniert:
+// neue Filter ergänzen die aktuellen Optionen, removeFilter() entfernt einen Filter
+function listOptions(newOptions) {
+  let options = Object.assign({}, getOptions(), newOptions);
+  options.target = 'list';
+  options.page = 0;
+  delete options.num;
+  return options;
+}
+
 function setOptionsSearch() {
-  let options = {
-    'target': 'list',
-    'type': 'search',
-    'searchString': document.getElementById('searchInput').value
-  };
+  let options = listOptions({ 'searchString': document.getElementById('searchInput').value });
   getBooklist(options);
   pushOptions(options);
 }
 
 function setOptionsTag(newOptions) {
   //alert("setOptionsTag: tagOptions=" + JSON.stringify(newOptions));
-  let oldOptions = getOptions();
-  let options = {
-    'target': 'list',
-    'type': 'search',
-    'searchString': document.getElementById('searchInput').value,
-    'tagId': newOptions.tagId || oldOptions.tagId,
-    'sortString': newOptions.sortString || oldOptions.sortString
-  };
-
+  let options = listOptions({ 'tagId': newOptions.tagId });
+  if (newOptions.sortString) options.sortString = newOptions.sortString;
   getBooklist(options);
   pushOptions(options);
 }
 
 function setOptionsCC(newOptions) {
   //alert(("setOptionsCC: newOptions=" + JSON.stringify(newOptions));
-  let oldOptions = getOptions();
-  let options = {
-    'target': 'list',
-    'type': 'search',
-    'searchString': document.getElementById('searchInput').value,
-    'ccNum': newOptions.ccNum || oldOptions.ccNum,
-    'ccId': newOptions.ccId || oldOptions.ccId,
-    'sortString': newOptions.sortString || oldOptions.sortString
-  };
+  let options = listOptions({ 'ccNum': newOptions.ccNum, 'ccId': newOptions.ccId });
+  if (newOptions.sortString) options.sortString = newOptions.sortString;
   getBooklist(options);
   pushOptions(options);
 }
 
 function setOptionsSerie(newOptions) {
   //("setOptionsSerie: newOptions=" + JSON.stringify(newOptions));
-  document.getElementById('searchInput').value = "";
-  let options = {
-    'target': 'list',
-    'type': 'serie',
-    'serieId': newOptions.serieId,
-    'sortString': 'serie.asc'
-  };
+  let options = listOptions({ 'serieId': newOptions.serieId, 'sortString': 'serie.asc' });
   getBooklist(options);
   pushOptions(options);
 }
 
 function setOptionsAuthor(newOptions) {
   //alert("setOptionsAuthor: " + JSON.stringify(newOptions));
-  document.getElementById('searchInput').value = "";
-  let options = {
-    'target': 'list',
-    'type': 'author',
-    'authorsId': newOptions.authorsId,
-    'sortString': 'timestamp.desc'
-  };
+  let options = listOptions({ 'authorsId': newOptions.authorsId });
+  getBooklist(options);
+  pushOptions(options);
+}
+
+function setOptionsPublisher(newOptions) {
+  //alert("setOptionsPublisher: " + JSON.stringify(newOptions));
+  let options = listOptions({ 'publisherId': newOptions.publisherId });
+  getBooklist(options);
+  pushOptions(options);
+}
+
+// Listen aus der Cassis-Datenbank (meistgeladen, zuletzt geladen, Favoriten, Regale): ohne sortString in der Reihenfolge der Liste
+function setOptionsListType(listType, shelfId) {
+  let options = listOptions({ 'listType': listType, 'shelfId': shelfId || 0, 'sortString': '' });
+  getBooklist(options);
+  pushOptions(options);
+  hideDropdownMenu();
+}
+
+function removeFilter(key) {
+  let options = listOptions({ [key]: (key === 'searchString' || key === 'listType') ? '' : 0 });
+  if (key === 'ccId') options.ccNum = 0;
+  if (key === 'serieId' && options.sortString && options.sortString.startsWith('serie.')) options.sortString = DEF_OPTIONS.sortString;
+  if (key === 'listType') options.shelfId = 0;
+  if (key === 'listType' && !options.sortString) options.sortString = DEF_OPTIONS.sortString;
   getBooklist(options);
-  document.getElementById('searchInput').value = "";
   pushOptions(options);
 }
 
@@ -205,6 +237,22 @@ async function setOptionsBook(newOptions) {
   pushOptions(options);
 }
 
+async function setOptionsReader(newOptions) {
+  let options = getOptions();
+  options.target = 'reader';
+  options.bookId = newOptions.bookId;
+  getReader(options);
+  pushOptions(options);
+}
+
+async function setOptionsComic(newOptions) {
+  let options = getOptions();
+  options.target = 'comic';
+  options.bookId = newOptions.bookId;
+  getComic(options);
+  pushOptions(options);
+}
+
 async function setOptionsPage(page) {
   let options = getOptions();
   options.page = page;
@@ -228,7 +276,11 @@ function setOptionsHub(type, id) {
       break;
     }
     case "publisher": {
-      // TODO
+      setOptionsPublisher({ "publisherId": id })
+      break;
+    }
+    case "book": {
+      setOptionsBook({ "bookId": id })
       break;
     }
   }
@@ -255,8 +307,7 @@ function clearSearchInput() {
 }
 
 async function getPage(url) {
-  const response = await fetch(url);
-  const data = await response.json();
+  const data = await fetchData(url);
   document.getElementById("books").innerHTML = data.html;
   setTimeout(() => {
     hideDropdownMenu();
@@ -278,39 +329,34 @@ function hideDropdownMenu() {
 
 async function connectDb(connect) {
   const url = (!connect) ? "/app/unconnectdb" : "/app/connectdb";
-  const response = await fetch(url);
-  const data = await response.json();
+  const data = await fetchData(url);
   alert(data.msg);
 }
 
 async function setLogLevel() {
   let loglevel = document.getElementById('loglevel').value;
-  const response = await fetch("/app/log/level/" + loglevel);
-  const data = await response.json();
+  const data = await fetchData("/app/log/level/" + loglevel);
   document.getElementById('loglevel-value').innerHTML = data.level;
   document.getElementById('loglevel').value = "0";
 }
 
 async function setLogConTransport() {
   let checked = document.getElementById('logToConsole').checked;
-  const response = await fetch("/app/log/con/" + (checked ? "1" : "0"));
-  const data = await response.json();
+  const data = await fetchData("/app/log/con/" + (checked ? "1" : "0"));
   //alert(JSON.stringify(data));
   document.getElementById('logToConsole').checked = data.consoleOn;
 }
 
 async function setLogFilTransport() {
   let checked = document.getElementById('logToFile').checked;
-  const response = await fetch("/app/log/fil/" + (checked ? "1" : "0"));
-  const data = await response.json();
+  const data = await fetchData("/app/log/fil/" + (checked ? "1" : "0"));
   //alert(JSON.stringify(data));
   document.getElementById('logToFile').checked = data.fileOn;
 }
 
 async function showTagsStats() {
   //alert("showTagsStats");
-  const response = await fetch("/app/tags/count");
-  const data = await response.json();
+  const data = await fetchData("/app/tags/count");
   document.getElementById('info_popup').outerHTML = data.html;
   document.getElementById('transparent').style.display = 'block';
   document.getElementById('info_popup').style.display = 'block';
@@ -318,8 +364,7 @@ async function showTagsStats() {
 
 async function showAuthorsStats() {
   //alert("showAuthorsStats");
-  const response = await fetch("/app/authors/count");
-  const data = await response.json();
+  const data = await fetchData("/app/authors/count");
   document.getElementById('info_popup').outerHTML = data.html;
   document.getElementById('transparent').style.display = 'block';
   document.getElementById('info_popup').style.display = 'block';
@@ -327,8 +372,7 @@ async function showAuthorsStats() {
 
 async function showSeriesStats() {
   //alert("showSeriesStats");
-  const response = await fetch("/app/series/count");
-  const data = await response.json();
+  const data = await fetchData("/app/series/count");
   document.getElementById('info_popup').outerHTML = data.html;
   document.getElementById('transparent').style.display = 'block';
   document.getElementById('info_popup').style.display = 'block';
@@ -336,20 +380,127 @@ async function showSeriesStats() {
 
 async function showPublisherStats() {
   //alert("showPublisherStats");
-  const response = await fetch("/app/publishers/count");
-  const data = await response.json();
+  const data = await fetchData("/app/publishers/count");
+  document.getElementById('info_popup').outerHTML = data.html;
+  document.getElementById('transparent').style.display = 'block';
+  document.getElementById('info_popup').style.display = 'block';
+}
+
+async function showDownloadsStats() {
+  const data = await fetchData("/app/downloads/count");
   document.getElementById('info_popup').outerHTML = data.html;
   document.getElementById('transparent').style.display = 'block';
   document.getElementById('info_popup').style.display = 'block';
 }
 
 function sendMail(authors, title, bookId, tagName) {
+  const subject = (tagName === 'Zeitschrift') ? t("mailTitleMagazine", { title }) : t("mailTitle", { title, authors });
   location.href = 'mailto:?' +
-    'subject=' + encodeURIComponent('"' + title + ((tagName === 'Zeitschrift') ? '"' : '" von ' + authors)) +
-    '&body=' + encodeURIComponent('... mit besten Empfehlungen aus der Cassis-Bibliothek:\n\n'
-      + '"' + title + ((tagName === 'Zeitschrift') ? '"' : '" von ' + authors) + '\n\n'
-      + location.protocol + '//' + location.host + '/app/book/' + bookId + '\n\n'
-      + location.protocol + '//' + location.host + '/app/cover/book/' + bookId);
+    'subject=' + encodeURIComponent(subject) +
+    '&body=' + encodeURIComponent(t("mailBody") + '\n\n'
+      + subject + '\n\n'
+      + location.protocol + '//' + location.host + BASE + '/app/book/' + bookId + '\n\n'
+      + location.protocol + '//' + location.host + BASE + '/app/cover/book/' + bookId);
+}
+
+// An E-Reader senden: Dialog mit den Empfängern des Benutzers (Kindle-, PocketBook-Adressen ...), der Server versendet das Buch
+async function showSendto(bookId) {
+  const data = await fetchData("/app/sendto/" + bookId);
+  document.getElementById('info_popup').outerHTML = data.html;
+  document.getElementById('transparent').style.display = 'block';
+  document.getElementById('info_popup').style.display = 'block';
+}
+
+function postJson(url, body, method = "POST") {
+  return fetchData(url, { method, headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+}
+
+async function sendBook(bookId, recipientId) {
+  const button = document.getElementById('sendbutton' + recipientId);
+  button.disabled = true;
+  button.textContent = t("sending");
+  const data = await postJson("/app/sendto/" + bookId, { recipientId, format: document.getElementById('sendformat' + recipientId).value });
+  alert(data.msg);
+  showSendto(bookId);
+}
+
+async function saveRecipient(bookId) {
+  const data = await postJson("/app/recipients", {
+    email: document.getElementById('recipientEmail').value,
+    label: document.getElementById('recipientLabel').value,
+    format: document.getElementById('recipientFormat').value
+  });
+  if (!data.ok) { alert(data.msg); return; }
+  showSendto(bookId);
+}
+
+async function deleteRecipient(bookId, recipientId) {
+  if (!confirm(t("confirmDeleteRecipient"))) return;
+  const data = await fetchData("/app/recipients/" + recipientId, { method: "DELETE" });
+  if (!data.ok) alert(data.msg);
+  showSendto(bookId);
+}
+
+// Leseliste: gelesen/Favorit auf der Buchseite, Regale im Popup und unter "Meine Bücher"
+async function setBookState(bookId, state, value) {
+  const data = await postJson("/app/state/" + bookId, { state, value });
+  if (!data.ok) { alert(data.msg); return; }
+  getBook(getOptions());
+}
+
+async function showBookShelves(bookId) {
+  const data = await fetchData("/app/shelves/book/" + bookId);
+  document.getElementById('info_popup').outerHTML = data.html;
+  document.getElementById('transparent').style.display = 'block';
+  document.getElementById('info_popup').style.display = 'block';
+}
+
+async function setShelfBook(bookId, shelfId, value) {
+  const data = await fetchData("/app/shelves/" + shelfId + "/books/" + bookId, { method: (value) ? "PUT" : "DELETE" });
+  if (!data.ok) alert(data.msg);
+  showBookShelves(bookId);
+}
+
+// bookId: auf der Buchseite wird das Buch gleich in das neue Regal gestellt
+async function createShelf(bookId) {
+  const data = await postJson("/app/shelves", { name: document.getElementById('shelfName').value, bookId });
+  if (!data.ok) { alert(data.msg); return; }
+  if (bookId) showBookShelves(bookId);
+  else getPage('/app/shelves');
+}
+
+async function deleteShelf(shelfId) {
+  if (!confirm(t("confirmDeleteShelf"))) return;
+  const data = await fetchData("/app/shelves/" + shelfId, { method: "DELETE" });
+  if (!data.ok) alert(data.msg);
+  getPage('/app/shelves');
+}
+
+async function createKoboToken() {
+  const data = await postJson("/app/kobo", { shelf: document.getElementById('koboShelf').value, tag: document.getElementById('koboTag').value });
+  if (!data.ok) { alert(data.msg); return; }
+  prompt(t("koboPrompt"), "api_endpoint=" + data.url);
+  getPage('/app/shelves');
+}
+
+async function deleteKoboToken(tokenId) {
+  if (!confirm(t("confirmDeleteToken"))) return;
+  const data = await fetchData("/app/kobo/" + tokenId, { method: "DELETE" });
+  if (!data.ok) alert(data.msg);
+  getPage('/app/shelves');
+}
+
+// Sprache der Oberfläche: die Seite wird in der neuen Sprache neu geladen
+async function setLanguage(language) {
+  const data = await postJson("/app/language", { language });
+  if (!data.ok) { alert(data.msg); return; }
+  location.reload();
+}
+
+async function saveSyncKey() {
+  const data = await postJson("/app/kosync", { password: document.getElementById('syncPassword').value });
+  alert(data.msg);
+  if (data.ok) getPage('/app/info');
 }
 
 function submitInputOnEnter() {
@@ -358,19 +509,334 @@ function submitInputOnEnter() {
   });
 }
 
+// Neue Bücher in Calibre: der Server meldet sie per Server-Sent Events (/app/events), angezeigt als Banner
+let NEW_BOOKS = 0;
+
+function listenForChanges() {
+  if (!window.EventSource) return;
+  const events = new EventSource(BASE + "/app/events");
+  events.addEventListener("library", function (event) {
+    const data = JSON.parse(event.data);
+    if (data.added > 0) {
+      NEW_BOOKS += data.added;
+      document.getElementById('newbooksText').textContent = t("newBooks", { count: NEW_BOOKS });
+      document.getElementById('newbooks').style.display = 'block';
+    }
+  });
+}
+
+function refreshPage() {
+  NEW_BOOKS = 0;
+  document.getElementById('newbooks').style.display = 'none';
+  const options = getOptions() || DEF_OPTIONS;
+  if (options.target === 'book') {
+    getBook(options);
+  } else if (options.target === 'reader') {
+    getReader(options);
+  } else if (options.target === 'comic') {
+    getComic(options);
+  } else {
+    getBooklist(options);
+  }
+}
+
 async function docReady(type, id) {
+  if (sessionStorage.getItem("cassis_LIBRARY") !== BASE) {
+    // andere Bibliothek: gespeicherte Optionen (Filter-Ids) gelten dort nicht
+    sessionStorage.clear();
+    sessionStorage.setItem("cassis_LIBRARY", BASE);
+  }
   switch (type) {
     case 'book': {
       getBook({ "bookId": id });
       break;
     }
+    case 'read': {
+      setOptionsReader({ "bookId": id });
+      break;
+    }
+    case 'comic': {
+      setOptionsComic({ "bookId": id });
+      break;
+    }
     default: {
       getBooklist(DEF_OPTIONS);
     }
   }
   submitInputOnEnter();
+  listenForChanges();
+}
+
+
+// EPUB-Reader: die Kapitel (Spine) werden im iframe geladen und per CSS-Spalten in Seiten geteilt.
+// Lesepositionen (Kapitel, Anteil der Seiten) und Schriftgröße merkt sich der Browser (localStorage).
+const READER_GAP = 40;
+const READER_FONTSIZES = [60, 200];
+let READER = null;
+
+async function getReader(options) {
+  const data = await fetchData("/app/reader/" + options.bookId);
+  document.getElementById("books").innerHTML = data.html;
+  document.body.scrollIntoView();
+  document.getElementById('searchInput').value = "";
+  restoreOptions();
+  openReader();
+}
+
+function readerPositionKey(bookId) {
+  return "cassis_reader" + BASE + "/" + bookId;
+}
+
+function openReader() {
+  const element = document.getElementById('reader');
+  if (!element) { READER = null; return; }
+  const saved = JSON.parse(localStorage.getItem(readerPositionKey(element.dataset.book)) || "null") || { index: 0, fraction: 0 };
+  READER = {
+    bookId: element.dataset.book, spine: JSON.parse(element.dataset.spine), index: -1, page: 0, pages: 1, target: {},
+    fontSize: parseInt(localStorage.getItem("cassis_reader_fontsize")) || 100
+  };
+  document.getElementById('readerframe').onload = readerLoaded;
+  readerShow(Math.min(saved.index, READER.spine.length - 1), { fraction: saved.fraction });
+}
+
+function readerDocument() {
+  const frame = document.getElementById('readerframe');
+  return (READER && frame && frame.contentDocument && frame.contentDocument.body) ? frame.contentDocument : null;
+}
+
+function readerShow(index, target) {
+  if (!READER || index < 0 || index >= READER.spine.length) return;
+  READER.target = target || {};
+  if (index === READER.index && readerDocument()) {
+    readerLayout();
+  } else {
+    READER.index = index;
+    document.getElementById('readerframe').src = READER.spine[index];
+  }
 }
 
+function readerLoaded() {
+  const doc = readerDocument();
+  if (!doc) return;
+  const style = doc.createElement('style');
+  style.id = "cassis-reader";
+  (doc.head || doc.documentElement).appendChild(style);
+  doc.addEventListener('keydown', readerKey);
+  doc.addEventListener('click', readerClick);
+  readerLayout();
+}
+
+function readerLayout() {
+  const doc = readerDocument();
+  if (!doc) return;
+  const frame = document.getElementById('readerframe');
+  const width = frame.clientWidth;
+  const height = frame.clientHeight;
+  doc.getElementById('cassis-reader').textContent =
+    "html { height: 100%; overflow: hidden; }\n" +
+    "body { box-sizing: border-box; height: " + height + "px; margin: 0 !important; padding: 0 !important; overflow: hidden; " +
+    "column-width: " + width + "px; column-gap: " + READER_GAP + "px; column-fill: auto; font-size: " + READER.fontSize + "% !important; }\n" +
+    "img, svg, video { max-width: 100%; max-height: " + height + "px; object-fit: contain; }";
+  READER.pages = Math.max(Math.round((doc.body.scrollWidth + READER_GAP) / (width + READER_GAP)), 1);
+
+  const target = READER.target;
+  READER.target = {};
+  let page = 0;
+  const element = (target.fragment) && doc.getElementById(target.fragment);
+  if (element) {
+    page = Math.floor((element.getBoundingClientRect().left + doc.body.scrollLeft) / (width + READER_GAP));
+  } else if (target.last) {
+    page = READER.pages - 1;
+  } else if (target.fraction) {
+    page = Math.floor(target.fraction * READER.pages + 0.01);
+  }
+  readerPage(page);
+}
+
+function readerPage(page) {
+  const doc = readerDocument();
+  if (!doc) return;
+  READER.page = Math.min(Math.max(page, 0), READER.pages - 1);
+  doc.body.scrollLeft = READER.page * (document.getElementById('readerframe').clientWidth + READER_GAP);
+  document.getElementById('readerposition').textContent =
+    t("readerPosition", { chapter: READER.index + 1, chapters: READER.spine.length, page: READER.page + 1, pages: READER.pages });
+  localStorage.setItem(readerPositionKey(READER.bookId), JSON.stringify({ index: READER.index, fraction: READER.page / READER.pages }));
+}
+
+function readerNext() {
+  if (!READER) return;
+  if (READER.page < READER.pages - 1) readerPage(READER.page + 1);
+  else readerShow(READER.index + 1, {});
+}
+
+function readerPrev() {
+  if (!READER) return;
+  if (READER.page > 0) readerPage(READER.page - 1);
+  else readerShow(READER.index - 1, { last: true });
+}
+
+function readerGoto(index, fragment) {
+  document.getElementById('readertoc').style.display = 'none';
+  readerShow(parseInt(index, 10), { fragment });
+}
+
+function readerToggleToc() {
+  const toc = document.getElementById('readertoc');
+  toc.style.display = (toc.style.display === 'none') ? 'block' : 'none';
+}
+
+function readerFontSize(step) {
+  if (!READER) return;
+  READER.fontSize = Math.min(Math.max(READER.fontSize + step, READER_FONTSIZES[0]), READER_FONTSIZES[1]);
+  localStorage.setItem("cassis_reader_fontsize", READER.fontSize);
+  READER.target = { fraction: READER.page / READER.pages };
+  readerLayout();
+}
+
+function readerKey(event) {
+  if (!READER || !document.getElementById('reader') || event.target.tagName === 'INPUT') return;
+  if (["ArrowRight", "PageDown", " "].includes(event.key)) { event.preventDefault(); readerNext(); }
+  if (["ArrowLeft", "PageUp"].includes(event.key)) { event.preventDefault(); readerPrev(); }
+}
+
+// Klick im Buch: Verweise auf Kapitel im Reader öffnen, externe in neuem Tab; sonst blättern (linkes/rechtes Drittel)
+function readerClick(event) {
+  const link = event.target.closest('a[href]');
+  if (link) {
+    event.preventDefault();
+    const url = new URL(link.href);
+    const index = READER.spine.findIndex((entry) => new URL(entry, location.href).pathname === url.pathname);
+    if (index >= 0) readerShow(index, { fragment: decodeURIComponent(url.hash.substring(1)) });
+    else if (url.origin !== location.origin) window.open(url.href, '_blank', 'noopener');
+    return;
+  }
+  const width = document.getElementById('readerframe').clientWidth;
+  if (event.clientX < width / 3) readerPrev();
+  else if (event.clientX > width * 2 / 3) readerNext();
+}
+
+document.addEventListener('keydown', readerKey);
+
+window.addEventListener('resize', function () {
+  if (!readerDocument() || !document.getElementById('reader')) return;
+  READER.target = { fraction: READER.page / READER.pages };
+  readerLayout();
+});
+
+// Comic-Viewer: Seitenbilder in der Breite des Fensters (s. comicPageAction), auf breiten Bildschirmen im Querformat
+// als Doppelseiten (die Titelseite einzeln). Die nächsten Seiten werden vorab geladen, die Position merkt sich der Browser.
+const COMIC_SPREAD_MIN_WIDTH = 900;
+let COMIC = null;
+
+async function getComic(options) {
+  const data = await fetchData("/app/comics/" + options.bookId);
+  document.getElementById("books").innerHTML = data.html;
+  document.body.scrollIntoView();
+  document.getElementById('searchInput').value = "";
+  restoreOptions();
+  openComic();
+}
+
+function comicPositionKey(bookId) {
+  return "cassis_comic" + BASE + "/" + bookId;
+}
+
+function openComic() {
+  const element = document.getElementById('comic');
+  if (!element) { COMIC = null; return; }
+  COMIC = {
+    bookId: element.dataset.book, pages: parseInt(element.dataset.pages, 10), url: element.dataset.url, version: element.dataset.version,
+    widths: JSON.parse(element.dataset.widths), page: 0, spreadOff: localStorage.getItem("cassis_comic_spread") === "off"
+  };
+  if (COMIC.pages === 0) {
+    document.getElementById('comicposition').textContent = t("noPages");
+    return;
+  }
+  comicShow(Math.min(parseInt(localStorage.getItem(comicPositionKey(COMIC.bookId)), 10) || 0, COMIC.pages - 1));
+}
+
+function comicSpread() {
+  return !COMIC.spreadOff && window.innerWidth >= COMIC_SPREAD_MIN_WIDTH && window.innerWidth > window.innerHeight;
+}
+
+// Seiten, die zusammen mit page angezeigt werden: Doppelseiten 2+3, 4+5 ...
+function comicPagesAt(page) {
+  if (!comicSpread() || page === 0) return [page];
+  const left = (page % 2 === 1) ? page : page - 1;
+  return (left + 1 < COMIC.pages) ? [left, left + 1] : [left];
+}
+
+function comicPageUrl(page, columns) {
+  const width = document.getElementById('comicpage').clientWidth / columns * (window.devicePixelRatio || 1);
+  const size = COMIC.widths.find((size) => size >= width) || COMIC.widths[COMIC.widths.length - 1];
+  return COMIC.url + page + "?w=" + size + "&v=" + COMIC.version;
+}
+
+function comicShow(page) {
+  if (!COMIC || !document.getElementById('comic') || page < 0 || page >= COMIC.pages) return;
+  const shown = comicPagesAt(page);
+  COMIC.page = shown[0];
+  const right = document.getElementById('comicright');
+  document.getElementById('comicleft').src = comicPageUrl(shown[0], shown.length);
+  right.style.display = (shown.length > 1) ? '' : 'none';
+  if (shown.length > 1) right.src = comicPageUrl(shown[1], 2);
+  document.getElementById('comicpage').classList.toggle('spread', shown.length > 1);
+  document.getElementById('comicspread').classList.toggle('inactive', COMIC.spreadOff);
+  document.getElementById('comicposition').textContent =
+    t("comicPosition", { page: shown.map((page) => page + 1).join("–"), pages: COMIC.pages });
+  document.getElementById('comicthumbs').style.display = 'none';
+  document.querySelectorAll('#comicthumbs img').forEach((thumb) => thumb.classList.toggle('selected', shown.includes(parseInt(thumb.dataset.page, 10))));
+  localStorage.setItem(comicPositionKey(COMIC.bookId), COMIC.page);
+
+  // nächste Seite(n) vorab laden
+  const next = shown[shown.length - 1] + 1;
+  if (next < COMIC.pages) {
+    const following = comicPagesAt(next);
+    following.map((page) => { new Image().src = comicPageUrl(page, following.length) });
+  }
+}
+
+function comicNext() {
+  if (!COMIC) return;
+  const shown = comicPagesAt(COMIC.page);
+  comicShow(shown[shown.length - 1] + 1);
+}
+
+function comicPrev() {
+  if (!COMIC || COMIC.page === 0) return;
+  comicShow(comicPagesAt(COMIC.page - 1)[0]);
+}
+
+function comicToggleSpread() {
+  COMIC.spreadOff = !COMIC.spreadOff;
+  localStorage.setItem("cassis_comic_spread", (COMIC.spreadOff) ? "off" : "on");
+  comicShow(COMIC.page);
+}
+
+function comicToggleThumbs() {
+  const thumbs = document.getElementById('comicthumbs');
+  thumbs.style.display = (thumbs.style.display === 'none') ? 'block' : 'none';
+  const selected = thumbs.querySelector('img.selected');
+  if (selected) selected.scrollIntoView({ block: 'nearest' });
+}
+
+function comicClick(event) {
+  const rect = document.getElementById('comicpage').getBoundingClientRect();
+  if (event.clientX < rect.left + rect.width / 3) comicPrev();
+  else if (event.clientX > rect.left + rect.width * 2 / 3) comicNext();
+}
+
+function comicKey(event) {
+  if (!COMIC || !document.getElementById('comic') || event.target.tagName === 'INPUT') return;
+  if (["ArrowRight", "PageDown", " "].includes(event.key)) { event.preventDefault(); comicNext(); }
+  if (["ArrowLeft", "PageUp"].includes(event.key)) { event.preventDefault(); comicPrev(); }
+}
+
+document.addEventListener('keydown', comicKey);
+
+window.addEventListener('resize', function () {
+  if (COMIC && document.getElementById('comic')) comicShow(COMIC.page);
+});
 
 let CURPAGE = 0;
 window.onscroll = function () {
@@ -384,4 +850,4 @@ window.onscroll = function () {
       }
     }
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,104 @@
+// Benutzerverwaltung auf der Kommandozeile, z.B. im Docker-Container:
+//   node users.js list
+//   node users.js add <name> <password> [admin|user]
+//   node users.js passwd <name> <password>
+//   node users.js role <name> <admin|user>
+//   node users.js delete <name>
+// Einschränkungen der sichtbaren Bücher je Benutzer:
+//   node users.js rules <name>
+//   node users.js allow|deny <name> tag <tag>
+//   node users.js allow|deny <name> cc <column label> <value>
+//   node users.js allow|deny <name> search <saved search>
+//   node users.js unrule <name> <rule id>
+// API-Tokens (JSON-API unter /api/v1):
+//   node users.js tokens <name>
+//   node users.js token <name> [label]
+//   node users.js untoken <name> <token id>
+// KOReader-Sync (/kosync):
+//   node users.js kosync <name> <password>
+
+import { logger, errorLogger } from './log.js'
+import { getUsers, createUser, setPassword, setRole, deleteUser, roles, getRulesOfUser, addRule, deleteRule,
+  getTokensOfUser, createToken, deleteToken, setSyncKey } from './app/usermodel.js';
+import { syncKey } from './app/kosync.js';
+
+const [command, name, value, role] = process.argv.slice(2);
+
+function usage() {
+  console.log("Usage: node users.js list | add <name> <password> [" + roles.join("|") + "] | passwd <name> <password> | role <name> <" + roles.join("|") + "> | delete <name>");
+  console.log("       node users.js rules <name> | allow|deny <name> tag|search <value> | allow|deny <name> cc <column> <value> | unrule <name> <rule id>");
+  console.log("       node users.js tokens <name> | token <name> [label] | untoken <name> <token id>");
+  console.log("       node users.js kosync <name> <password>");
+  process.exit(1);
+}
+
+try {
+  switch (command) {
+    case 'list':
+      for (let user of getUsers()) console.log(user.id + "\t" + user.name + "\t" + user.role + "\t" + user.created);
+      break;
+    case 'add':
+      if (!name || !value) usage();
+      createUser(name, value, role || 'user');
+      break;
+    case 'passwd':
+      if (!name || !value) usage();
+      if (setPassword(name, value) === 0) { logger.error("User '" + name + "' not found"); process.exit(1); }
+      logger.info("Password of user '" + name + "' changed");
+      break;
+    case 'role':
+      if (!name || !value) usage();
+      if (setRole(name, value) === 0) { logger.error("User '" + name + "' not found"); process.exit(1); }
+      logger.info("Role of user '" + name + "' set to " + value);
+      break;
+    case 'delete':
+      if (!name) usage();
+      if (deleteUser(name) === 0) { logger.error("User '" + name + "' not found"); process.exit(1); }
+      logger.info("User '" + name + "' deleted");
+      break;
+    case 'rules':
+      if (!name) usage();
+      for (let rule of getRulesOfUser(name)) console.log(rule.id + "\t" + rule.mode + "\t" + rule.type + "\t" + (rule.column || "") + "\t" + rule.value);
+      break;
+    case 'allow':
+    case 'deny':
+      const [type, ...args] = process.argv.slice(4);
+      if (!name || !type || args.length < ((type === 'cc') ? 2 : 1)) usage();
+      const column = (type === 'cc') ? args.shift() : null;
+      if (addRule(name, command, type, column, args.join(" ")) === 0) { logger.error("User '" + name + "' not found"); process.exit(1); }
+      logger.info("Rule added for user '" + name + "': " + command + " " + type + " " + (column ? column + " " : "") + args.join(" "));
+      break;
+    case 'unrule':
+      if (!name || !value) usage();
+      if (deleteRule(name, parseInt(value, 10)) === 0) { logger.error("Rule " + value + " of user '" + name + "' not found"); process.exit(1); }
+      logger.info("Rule " + value + " of user '" + name + "' deleted");
+      break;
+    case 'tokens':
+      if (!name) usage();
+      for (let token of getTokensOfUser(name)) console.log(token.id + "\t" + (token.label || "") + "\t" + token.created + "\t" + (token.last_used || "-"));
+      break;
+    case 'token':
+      if (!name) usage();
+      const token = createToken(name, process.argv.slice(4).join(" "));
+      if (!token) { logger.error("User '" + name + "' not found"); process.exit(1); }
+      console.log(token);
+      break;
+    case 'untoken':
+      if (!name || !value) usage();
+      if (deleteToken(name, parseInt(value, 10)) === 0) { logger.error("Token " + value + " of user '" + name + "' not found"); process.exit(1); }
+      logger.info("Token " + value + " of user '" + name + "' deleted");
+      break;
+    case 'kosync':
+      if (!name || !value) usage();
+      if (setSyncKey(name, syncKey(value)) === 0) { logger.error("User '" + name + "' not found"); process.exit(1); }
+      logger.info("Sync password of user '" + name + "' set");
+      break;
+    default:
+      usage();
+  }
+} catch (error) {
+  errorLogger(error);
+  process.exit(1);
+}
+
+process.exit(0);